@@ -0,0 +1,27 @@
+// Contact pipeline: statuses, allowed moves between them and the fields each move needs
+
+const CONTACT_STATUSES = ['new', 'contacted', 'in-progress', 'completed', 'cancelled'];
+
+// Allowed status changes, keyed by current status (converting to a booking jumps straight to in-progress)
+const DEFAULT_CONTACT_TRANSITIONS = {
+  new: ['contacted', 'in-progress', 'cancelled'],
+  contacted: ['in-progress', 'completed', 'cancelled'],
+  'in-progress': ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Fields that can be made mandatory when a contact moves into a status
+const TRANSITION_FIELDS = ['cancelReason', 'completionValue'];
+
+const DEFAULT_REQUIRED_FIELDS = {
+  cancelled: ['cancelReason'],
+  completed: ['completionValue']
+};
+
+export {
+  CONTACT_STATUSES,
+  DEFAULT_CONTACT_TRANSITIONS,
+  TRANSITION_FIELDS,
+  DEFAULT_REQUIRED_FIELDS
+};
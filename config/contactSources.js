@@ -0,0 +1,11 @@
+// Channels contacts arrive through
+
+const CONTACT_SOURCES = ['website', 'whatsapp', 'phone', 'partner'];
+
+// Kinds of organisation that can submit leads through the partner API
+const PARTNER_TYPES = ['hotel', 'event-agency', 'other'];
+
+export {
+  CONTACT_SOURCES,
+  PARTNER_TYPES
+};
@@ -0,0 +1,78 @@
+// Permission matrix for dashboard roles
+
+const PERMISSIONS = [
+  'dashboard:read',
+  'contacts:read',
+  'contacts:write',
+  'contacts:assign',
+  'contacts:delete',
+  'calls:log',
+  'bookings:read',
+  'bookings:write',
+  'bookings:delete',
+  'billing:read',
+  'billing:write',
+  'email:read',
+  'email:write',
+  'email:delete',
+  'email:import',
+  'email:export',
+  'campaigns:manage',
+  'users:manage',
+  'audit:read',
+  'privacy:manage',
+  'partners:manage'
+];
+
+// The audit log shows changes to every record, so it is not part of read-only access
+const readOnly = PERMISSIONS.filter((permission) => permission.endsWith(':read') && permission !== 'audit:read');
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  manager: PERMISSIONS.filter((permission) => permission !== 'users:manage'),
+  'sales-agent': [
+    'dashboard:read',
+    'contacts:read',
+    'contacts:write',
+    'calls:log',
+    'bookings:read',
+    'bookings:write',
+    'billing:read',
+    'billing:write',
+    'email:read'
+  ],
+  dispatcher: [
+    'dashboard:read',
+    'contacts:read',
+    'calls:log',
+    'bookings:read',
+    'bookings:write'
+  ],
+  analyst: readOnly
+};
+
+// Roles stored before granular roles existed
+const LEGACY_ROLE_ALIASES = {
+  admin: 'owner',
+  user: 'analyst'
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const resolveRole = (role) => LEGACY_ROLE_ALIASES[role] || role;
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[resolveRole(role)] || [];
+
+const hasPermission = (user, permission) => {
+  return Boolean(user) && getRolePermissions(user.role).includes(permission);
+};
+
+export {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  LEGACY_ROLE_ALIASES,
+  ROLES,
+  resolveRole,
+  getRolePermissions,
+  hasPermission
+};
@@ -0,0 +1,90 @@
+// Collections covered by data retention policies (by model name) and the fields a policy may clear
+
+const RETENTION_TARGETS = {
+  contacts: {
+    model: 'Contact',
+    fields: ['ipAddress', 'userAgent'],
+    anonymise: true
+  },
+  subscriptions: {
+    model: 'EmailSubscription',
+    fields: [
+      'metadata.ipAddress',
+      'metadata.userAgent',
+      'metadata.referrer',
+      'metadata.country',
+      'metadata.city',
+      'consent.ipAddress',
+      'consent.userAgent'
+    ],
+    anonymise: true
+  },
+  bookings: {
+    model: 'Booking',
+    fields: [],
+    anonymise: true
+  },
+  quotes: {
+    model: 'Quote',
+    fields: ['response.ipAddress', 'response.userAgent'],
+    anonymise: true
+  },
+  emailEvents: {
+    model: 'EmailEvent',
+    fields: ['ipAddress', 'userAgent'],
+    anonymise: false
+  }
+};
+
+const RETENTION_ACTIONS = ['clear-fields', 'anonymise'];
+
+// Policies created on first use; they can be edited or disabled but not deleted
+const DEFAULT_RETENTION_POLICIES = [
+  {
+    key: 'contact-network-data',
+    name: 'Drop contact IP address and browser after 90 days',
+    target: 'contacts',
+    action: 'clear-fields',
+    fields: ['ipAddress', 'userAgent'],
+    afterDays: 90
+  },
+  {
+    key: 'subscription-network-data',
+    name: 'Drop subscriber IP address, browser and referrer after 90 days',
+    target: 'subscriptions',
+    action: 'clear-fields',
+    fields: ['metadata.ipAddress', 'metadata.userAgent', 'metadata.referrer'],
+    afterDays: 90
+  },
+  {
+    key: 'email-event-network-data',
+    name: 'Drop IP address and browser of email opens and clicks after 90 days',
+    target: 'emailEvents',
+    action: 'clear-fields',
+    fields: ['ipAddress', 'userAgent'],
+    afterDays: 90
+  },
+  {
+    key: 'quote-response-network-data',
+    name: 'Drop IP address and browser of quote responses after 90 days',
+    target: 'quotes',
+    action: 'clear-fields',
+    fields: ['response.ipAddress', 'response.userAgent'],
+    afterDays: 90
+  },
+  {
+    key: 'cancelled-contacts',
+    name: 'Anonymise cancelled contacts 2 years after their last update',
+    target: 'contacts',
+    action: 'anonymise',
+    statuses: ['cancelled'],
+    dateField: 'updatedAt',
+    afterDays: 730
+  }
+];
+
+export {
+  RETENTION_TARGETS,
+  RETENTION_ACTIONS,
+  DEFAULT_RETENTION_POLICIES
+};
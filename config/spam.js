@@ -0,0 +1,31 @@
+// Anti-spam defaults for the public contact and subscribe forms
+
+// Hidden form field that people never see; bots that fill in every input do
+const HONEYPOT_FIELD = 'website';
+
+// Blocked phrases in a contact description (matched case-insensitively)
+const DEFAULT_BLOCKED_KEYWORDS = [
+  'seo services',
+  'backlinks',
+  'guest post',
+  'casino',
+  'viagra',
+  'crypto investment',
+  'bitcoin investment',
+  'forex signals',
+  'loan offer',
+  'web design services'
+];
+
+// Links allowed in a contact description before it is treated as spam
+const DEFAULT_MAX_LINKS = 2;
+
+// Forms submitted faster than this after they were opened are treated as spam
+const DEFAULT_MIN_FILL_SECONDS = 3;
+
+export {
+  HONEYPOT_FIELD,
+  DEFAULT_BLOCKED_KEYWORDS,
+  DEFAULT_MAX_LINKS,
+  DEFAULT_MIN_FILL_SECONDS
+};
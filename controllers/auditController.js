@@ -0,0 +1,164 @@
+import AuditLog from '../models/AuditLog.js';
+import { validationResult } from 'express-validator';
+import { toCsvRow } from '../utils/csv.js';
+
+const EXPORT_COLUMNS = [
+  'createdAt',
+  'actorEmail',
+  'action',
+  'entityType',
+  'entityId',
+  'changes',
+  'ipAddress',
+  'userAgent'
+];
+
+// Build the audit log query from request filters
+const buildAuditQuery = ({ actor, action, entityType, entityId, from, to }) => {
+  let query = {};
+
+  if (actor) {
+    query.actor = actor;
+  }
+
+  if (action) {
+    query.action = action;
+  }
+
+  if (entityType) {
+    query.entityType = entityType;
+  }
+
+  if (entityId) {
+    query.entityId = entityId;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+// @desc    Get audit log entries (Admin only)
+// @route   GET /api/audit
+// @access  Private (audit:read)
+const getAuditLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const query = buildAuditQuery(req.query);
+
+    const entries = await AuditLog.find(query)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log'
+    });
+  }
+};
+
+// @desc    Export filtered audit log entries as CSV (Admin only)
+// @route   GET /api/audit/export
+// @access  Private (audit:read)
+const exportAuditLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const query = buildAuditQuery(req.query);
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
+    res.write(toCsvRow(EXPORT_COLUMNS));
+
+    const cursor = AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    for (let entry = await cursor.next(); entry; entry = await cursor.next()) {
+      const row = {
+        createdAt: entry.createdAt?.toISOString(),
+        actorEmail: entry.actorEmail,
+        action: entry.action,
+        entityType: entry.entityType,
+        entityId: entry.entityId?.toString() || null,
+        changes: (entry.changes || [])
+          .map((change) => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+          .join('; '),
+        ipAddress: entry.ipAddress,
+        userAgent: entry.userAgent
+      };
+
+      // Respect backpressure so large exports do not buffer in memory
+      if (!res.write(toCsvRow(EXPORT_COLUMNS.map((column) => row[column])))) {
+        await new Promise((resolve) => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+
+      // Stop reading from the database if the client went away
+      if (res.destroyed) break;
+    }
+
+    await cursor.close();
+    res.end();
+
+  } catch (error) {
+    console.error('Export audit logs error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export audit log'
+    });
+  }
+};
+
+export {
+  getAuditLogs,
+  exportAuditLogs
+};
@@ -0,0 +1,421 @@
+import Booking from '../models/Booking.js';
+import Contact from '../models/Contact.js';
+import Customer from '../models/Customer.js';
+import { validationResult } from 'express-validator';
+import { checkStatusChange } from '../utils/contactPipeline.js';
+import { upsertCustomer } from '../utils/customers.js';
+
+// Strip formatting characters the form allows so the stored number matches the model
+const normalisePhone = (phone) => phone.replace(/[\s\-\(\)\.]/g, '');
+
+// @desc    Create booking request
+// @route   POST /api/bookings
+// @access  Public
+const createBooking = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      name,
+      email,
+      phone,
+      eventStart,
+      eventEnd,
+      venue,
+      numberOfCars,
+      valetsRequired,
+      serviceType,
+      notes
+    } = req.body;
+
+    const booking = new Booking({
+      name,
+      email,
+      phone: normalisePhone(phone),
+      eventStart,
+      eventEnd,
+      venue,
+      numberOfCars,
+      valetsRequired,
+      serviceType,
+      source: 'website'
+    });
+
+    if (notes) {
+      booking.notes.push({ note: notes, addedBy: 'customer' });
+    }
+
+    // The request still goes through if it cannot be linked to a customer
+    try {
+      const customer = await upsertCustomer({ name, email, phone });
+      booking.customer = customer?._id || null;
+    } catch (error) {
+      console.error('Booking customer linking error:', error);
+    }
+
+    await booking.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking request submitted successfully! We will send you a quote soon.',
+      data: {
+        id: booking._id,
+        name: booking.name,
+        email: booking.email,
+        eventStart: booking.eventStart,
+        status: booking.status,
+        createdAt: booking.createdAt
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((err) => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Booking creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit booking request. Please try again later.'
+    });
+  }
+};
+
+// @desc    Create booking from an existing contact (Admin only)
+// @route   POST /api/bookings/from-contact/:contactId
+// @access  Private/Admin
+const createBookingFromContact = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const contact = await Contact.findById(req.params.contactId);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    // WhatsApp, phone and partner leads may have no email, use the one on their customer
+    let email = contact.email;
+    if (!email && contact.customer) {
+      const customer = await Customer.findById(contact.customer).select('emails');
+      email = customer?.emails[0] || null;
+    }
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contact has no email address, add one before creating a booking'
+      });
+    }
+
+    const { eventStart, eventEnd, venue, numberOfCars, valetsRequired, serviceType, quotedPrice } = req.body;
+
+    const booking = new Booking({
+      name: contact.name,
+      email,
+      phone: normalisePhone(contact.phone),
+      eventStart,
+      eventEnd,
+      venue,
+      numberOfCars,
+      valetsRequired,
+      serviceType,
+      quotedPrice,
+      status: quotedPrice !== undefined ? 'quoted' : 'requested',
+      source: 'contact',
+      contact: contact._id,
+      customer: contact.customer,
+      assignedTo: contact.assignedTo,
+      createdBy: req.user._id,
+      // Carry the enquiry and its history over to the booking
+      notes: [
+        { note: `Original enquiry: ${contact.description}`, addedBy: 'system' },
+        ...contact.notes.map(({ note, addedBy, addedAt }) => ({ note, addedBy, addedAt }))
+      ]
+    });
+
+    await booking.save();
+
+    contact.notes.push({
+      note: `Converted to booking ${booking._id}`,
+      addedBy: req.user?.name || 'admin',
+      addedAt: new Date()
+    });
+    if (['new', 'contacted'].includes(contact.status) && (await checkStatusChange(contact, 'in-progress')).length === 0) {
+      contact.changeStatus('in-progress', { changedBy: req.user._id });
+    }
+    await contact.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking created from contact successfully',
+      data: booking
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((err) => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Create booking from contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create booking from contact'
+    });
+  }
+};
+
+// @desc    Get all bookings (Admin only)
+// @route   GET /api/bookings
+// @access  Private/Admin
+const getBookings = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status, serviceType, from, to, search } = req.query;
+
+    // Build query
+    let query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (serviceType) {
+      query.serviceType = serviceType;
+    }
+
+    if (from || to) {
+      query.eventStart = {};
+      if (from) query.eventStart.$gte = new Date(from);
+      if (to) query.eventStart.$lte = new Date(to);
+    }
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } },
+        { 'venue.name': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const bookings = await Booking.find(query)
+      .populate('assignedTo', 'name email')
+      .sort({ eventStart: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Booking.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: bookings,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bookings'
+    });
+  }
+};
+
+// @desc    Get single booking (Admin only)
+// @route   GET /api/bookings/:id
+// @access  Private/Admin
+const getBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('assignedTo', 'name email')
+      .populate('contact', 'name email phone status')
+      .populate('customer', 'name emails phones');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: booking
+    });
+
+  } catch (error) {
+    console.error('Get booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch booking'
+    });
+  }
+};
+
+// @desc    Update booking (Admin only)
+// @route   PUT /api/bookings/:id
+// @access  Private/Admin
+const updateBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const {
+      status,
+      eventStart,
+      eventEnd,
+      venue,
+      numberOfCars,
+      valetsRequired,
+      serviceType,
+      quotedPrice,
+      assignedTo,
+      notes
+    } = req.body;
+
+    if (status && status !== booking.status) {
+      if (!booking.canTransitionTo(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change booking status from ${booking.status} to ${status}`
+        });
+      }
+
+      booking.notes.push({
+        note: `Status changed from ${booking.status} to ${status}`,
+        addedBy: req.user?.name || 'admin',
+        addedAt: new Date()
+      });
+      booking.status = status;
+    }
+
+    // Update fields
+    if (eventStart) booking.eventStart = eventStart;
+    if (eventEnd !== undefined) booking.eventEnd = eventEnd;
+    if (venue) booking.venue = { ...booking.venue, ...venue };
+    if (numberOfCars) booking.numberOfCars = numberOfCars;
+    if (valetsRequired) booking.valetsRequired = valetsRequired;
+    if (serviceType) booking.serviceType = serviceType;
+    if (quotedPrice !== undefined) booking.quotedPrice = quotedPrice;
+    if (assignedTo) booking.assignedTo = assignedTo;
+
+    // Add note if provided
+    if (notes) {
+      booking.notes.push({
+        note: notes,
+        addedBy: req.user?.name || 'admin',
+        addedAt: new Date()
+      });
+    }
+
+    await booking.save();
+
+    res.json({
+      success: true,
+      message: 'Booking updated successfully',
+      data: booking
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((err) => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Update booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update booking'
+    });
+  }
+};
+
+// @desc    Delete booking (Admin only)
+// @route   DELETE /api/bookings/:id
+// @access  Private/Admin
+const deleteBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    await booking.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Booking deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete booking'
+    });
+  }
+};
+
+export {
+  createBooking,
+  createBookingFromContact,
+  getBookings,
+  getBooking,
+  updateBooking,
+  deleteBooking
+};
@@ -0,0 +1,442 @@
+import Campaign from '../models/Campaign.js';
+import CampaignDelivery from '../models/CampaignDelivery.js';
+import EmailSubscription from '../models/EmailSubscription.js';
+import { validationResult } from 'express-validator';
+import { buildSegmentQuery, buildAudienceQuery } from '../utils/segments.js';
+
+// Count how many subscribers match a segment and how many can actually receive the campaign
+const countAudience = async (segment, category) => {
+  const [matching, recipients] = await Promise.all([
+    EmailSubscription.countDocuments(buildSegmentQuery(segment)),
+    EmailSubscription.countDocuments(buildAudienceQuery(segment, category))
+  ]);
+
+  return { matching, recipients };
+};
+
+// @desc    Create campaign
+// @route   POST /api/email/campaigns
+// @access  Private/Admin
+const createCampaign = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, subject, htmlBody, textBody, category, segment } = req.body;
+
+    const campaign = new Campaign({
+      name,
+      subject,
+      htmlBody,
+      textBody,
+      category,
+      segment,
+      createdBy: req.user._id
+    });
+
+    await campaign.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign created successfully',
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Create campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create campaign'
+    });
+  }
+};
+
+// @desc    Get all campaigns
+// @route   GET /api/email/campaigns
+// @access  Private/Admin
+const getCampaigns = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const status = req.query.status;
+    const category = req.query.category;
+
+    // Build query
+    let query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (category) {
+      query.category = category;
+    }
+
+    const campaigns = await Campaign.find(query)
+      .populate('createdBy', 'name email')
+      .select('-htmlBody -textBody')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Campaign.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: campaigns,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get campaigns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch campaigns'
+    });
+  }
+};
+
+// @desc    Get single campaign
+// @route   GET /api/email/campaigns/:id
+// @access  Private/Admin
+const getCampaign = async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id)
+      .populate('createdBy', 'name email');
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch campaign'
+    });
+  }
+};
+
+// @desc    Update campaign (draft or scheduled only)
+// @route   PUT /api/email/campaigns/:id
+// @access  Private/Admin
+const updateCampaign = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (!campaign.isEditable()) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${campaign.status} campaign can no longer be edited`
+      });
+    }
+
+    const { name, subject, htmlBody, textBody, category, segment } = req.body;
+
+    // Update fields
+    if (name) campaign.name = name;
+    if (subject) campaign.subject = subject;
+    if (htmlBody) campaign.htmlBody = htmlBody;
+    if (textBody !== undefined) campaign.textBody = textBody;
+    if (category) campaign.category = category;
+    if (segment) campaign.segment = segment;
+
+    await campaign.save();
+
+    res.json({
+      success: true,
+      message: 'Campaign updated successfully',
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Update campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update campaign'
+    });
+  }
+};
+
+// @desc    Delete campaign (not while sending or after it was sent)
+// @route   DELETE /api/email/campaigns/:id
+// @access  Private/Admin
+const deleteCampaign = async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (['sending', 'sent'].includes(campaign.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Campaigns that have started sending cannot be deleted'
+      });
+    }
+
+    await CampaignDelivery.deleteMany({ campaign: campaign._id });
+    await campaign.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Campaign deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete campaign'
+    });
+  }
+};
+
+// @desc    Preview recipient count for an ad-hoc segment
+// @route   POST /api/email/campaigns/preview
+// @access  Private/Admin
+const previewSegment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { segment = {}, category } = req.body;
+
+    res.json({
+      success: true,
+      data: await countAudience(segment, category)
+    });
+
+  } catch (error) {
+    console.error('Preview segment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview audience'
+    });
+  }
+};
+
+// @desc    Preview recipient count for a saved campaign
+// @route   GET /api/email/campaigns/:id/preview
+// @access  Private/Admin
+const previewCampaign = async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await countAudience(campaign.segment, campaign.category)
+    });
+
+  } catch (error) {
+    console.error('Preview campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview audience'
+    });
+  }
+};
+
+// @desc    Schedule campaign for sending
+// @route   POST /api/email/campaigns/:id/schedule
+// @access  Private/Admin
+const scheduleCampaign = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (!campaign.isEditable()) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${campaign.status} campaign cannot be scheduled`
+      });
+    }
+
+    // No send time means "as soon as the worker picks it up"
+    campaign.scheduledAt = req.body.scheduledAt ? new Date(req.body.scheduledAt) : new Date();
+    campaign.status = 'scheduled';
+
+    await campaign.save();
+
+    res.json({
+      success: true,
+      message: 'Campaign scheduled successfully',
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Schedule campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule campaign'
+    });
+  }
+};
+
+// @desc    Cancel a scheduled or sending campaign
+// @route   POST /api/email/campaigns/:id/cancel
+// @access  Private/Admin
+const cancelCampaign = async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
+      });
+    }
+
+    if (!['scheduled', 'sending'].includes(campaign.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${campaign.status} campaign cannot be cancelled`
+      });
+    }
+
+    campaign.status = 'cancelled';
+    campaign.completedAt = new Date();
+    await campaign.save();
+
+    await CampaignDelivery.updateMany(
+      { campaign: campaign._id, status: 'pending' },
+      { $set: { status: 'skipped' } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Campaign cancelled successfully',
+      data: campaign
+    });
+
+  } catch (error) {
+    console.error('Cancel campaign error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel campaign'
+    });
+  }
+};
+
+// @desc    Get per-recipient delivery state for a campaign
+// @route   GET /api/email/campaigns/:id/deliveries
+// @access  Private/Admin
+const getCampaignDeliveries = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const status = req.query.status;
+
+    // Build query
+    let query = { campaign: req.params.id };
+
+    if (status) {
+      query.status = status;
+    }
+
+    const deliveries = await CampaignDelivery.find(query)
+      .sort({ createdAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CampaignDelivery.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get campaign deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch campaign deliveries'
+    });
+  }
+};
+
+export {
+  createCampaign,
+  getCampaigns,
+  getCampaign,
+  updateCampaign,
+  deleteCampaign,
+  previewSegment,
+  previewCampaign,
+  scheduleCampaign,
+  cancelCampaign,
+  getCampaignDeliveries
+};
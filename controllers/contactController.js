@@ -1,5 +1,12 @@
 import Contact from '../models/Contact.js';
+import User from '../models/User.js';
 import { validationResult } from 'express-validator';
+import { hasPermission } from '../config/permissions.js';
+import { CONTACT_SOURCES } from '../config/contactSources.js';
+import { notifyAssignee, OPEN_STATUSES } from '../utils/assignment.js';
+import { checkStatusChange } from '../utils/contactPipeline.js';
+import { buildOverdueQuery, describeOverdue, followUpDueQuery, slaOverdueQuery } from '../utils/sla.js';
+import { linkCustomer, autoAssign, saveNewContact, captureInteraction, normaliseLeadPhone } from '../utils/leadCapture.js';
 
 // @desc    Create new contact
 // @route   POST /api/contact
@@ -48,7 +55,15 @@ const createContact = async (req, res) => {
       source: 'website'
     });
 
-    await contact.save();
+    // Suspected spam is held back for review; the sender gets the usual response
+    const spamReasons = req.spamReasons || [];
+
+    if (spamReasons.length > 0) {
+      contact.quarantine(spamReasons);
+      await contact.save();
+    } else {
+      await saveNewContact(contact);
+    }
 
     res.status(201).json({
       success: true,
@@ -71,16 +86,92 @@ const createContact = async (req, res) => {
   }
 };
 
+// @desc    Log a phone call: added to the caller's open contact, or a new contact is started
+// @route   POST /api/contact/calls
+// @access  Private (calls:log)
+const logCall = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { phone, name, email, direction = 'inbound', durationSeconds, summary, contactId } = req.body;
+
+    let contact = null;
+    if (contactId) {
+      contact = await Contact.findById(contactId);
+
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: 'Contact not found'
+        });
+      }
+    }
+
+    const result = await captureInteraction({
+      source: 'phone',
+      name: name || normaliseLeadPhone(phone),
+      email: email || null,
+      phone,
+      contact,
+      interaction: {
+        direction,
+        body: summary,
+        durationSeconds: durationSeconds ?? null,
+        loggedBy: req.user._id
+      }
+    });
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? 'Call logged as a new contact' : 'Call added to the contact',
+      data: result.contact
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((err) => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Log call error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log call'
+    });
+  }
+};
+
 // @desc    Get all contacts (Admin only)
 // @route   GET /api/contact
 // @access  Private/Admin
 const getContacts = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const status = req.query.status;
     const priority = req.query.priority;
+    const source = req.query.source;
     const search = req.query.search;
+    const assignedTo = req.query.assignedTo;
 
     // Build query
     let query = {};
@@ -92,6 +183,19 @@ const getContacts = async (req, res) => {
     if (priority) {
       query.priority = priority;
     }
+
+    if (source) {
+      query.source = source;
+    }
+
+    // "me" for the signed-in user's contacts, "none" for unassigned ones
+    if (assignedTo === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (assignedTo === 'none') {
+      query.assignedTo = null;
+    } else if (assignedTo) {
+      query.assignedTo = assignedTo;
+    }
     
     if (search) {
       query.$or = [
@@ -135,7 +239,10 @@ const getContacts = async (req, res) => {
 const getContact = async (req, res) => {
   try {
     const contact = await Contact.findById(req.params.id)
-      .populate('assignedTo', 'name email');
+      .populate('assignedTo', 'name email')
+      .populate('customer', 'name emails phones')
+      .populate('assignmentHistory.from assignmentHistory.to assignmentHistory.assignedBy', 'name email')
+      .populate('statusHistory.changedBy', 'name email');
 
     if (!contact) {
       return res.status(404).json({
@@ -163,7 +270,23 @@ const getContact = async (req, res) => {
 // @access  Private/Admin
 const updateContact = async (req, res) => {
   try {
-    const { status, priority, assignedTo, notes } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, priority, assignedTo, followUpDate, cancelReason, completionValue, notes } = req.body;
+
+    if (assignedTo && !hasPermission(req.user, 'contacts:assign')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Missing permission: contacts:assign'
+      });
+    }
 
     const contact = await Contact.findById(req.params.id);
 
@@ -174,10 +297,47 @@ const updateContact = async (req, res) => {
       });
     }
 
+    let assignee = null;
+
+    if (assignedTo) {
+      assignee = await User.findOne({ _id: assignedTo, isActive: true });
+
+      if (!assignee) {
+        return res.status(400).json({
+          success: false,
+          message: 'Contacts can only be assigned to active users'
+        });
+      }
+    }
+
+    if (status && status !== contact.status) {
+      const problems = await checkStatusChange(contact, status, { cancelReason, completionValue });
+
+      if (problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: problems[0],
+          errors: problems.map((msg) => ({ path: 'status', msg }))
+        });
+      }
+    }
+
     // Update fields
-    if (status) contact.status = status;
+    if (cancelReason !== undefined) contact.cancelReason = cancelReason;
+    if (completionValue !== undefined) contact.completionValue = completionValue;
+    if (status) contact.changeStatus(status, { changedBy: req.user._id });
     if (priority) contact.priority = priority;
-    if (assignedTo) contact.assignedTo = assignedTo;
+
+    // A new follow-up date (or null to clear it) gets its own reminder
+    if (followUpDate !== undefined) {
+      contact.followUpDate = followUpDate;
+      contact.followUpNotifiedAt = null;
+    }
+
+    const reassigned = assignee && contact.assignTo(assignee._id, {
+      assignedBy: req.user._id,
+      method: 'manual'
+    });
     
     // Add note if provided
     if (notes) {
@@ -190,6 +350,10 @@ const updateContact = async (req, res) => {
 
     await contact.save();
 
+    if (reassigned && !assignee._id.equals(req.user._id)) {
+      await notifyAssignee(contact, assignee);
+    }
+
     res.json({
       success: true,
       message: 'Contact updated successfully',
@@ -205,7 +369,68 @@ const updateContact = async (req, res) => {
   }
 };
 
-// @desc    Delete contact (Admin only)
+// @desc    Get contacts with a due follow-up or a missed first-response target (Admin only)
+// @route   GET /api/contact/overdue
+// @access  Private/Admin
+const getOverdueContacts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { type, assignedTo } = req.query;
+    const now = new Date();
+
+    // Build query
+    let query = buildOverdueQuery(type, now);
+
+    if (assignedTo === 'me') {
+      query.assignedTo = req.user._id;
+    } else if (assignedTo === 'none') {
+      query.assignedTo = null;
+    } else if (assignedTo) {
+      query.assignedTo = assignedTo;
+    }
+
+    const contacts = await Contact.find(query)
+      .populate('assignedTo', 'name email')
+      .sort({ 'sla.firstResponseDueAt': 1, followUpDate: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Contact.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: contacts.map((contact) => ({
+        ...contact.toJSON(),
+        overdueReasons: describeOverdue(contact, now)
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get overdue contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch overdue contacts'
+    });
+  }
+};
+
+// @desc    Move contact to the trash (Admin only)
 // @route   DELETE /api/contact/:id
 // @access  Private/Admin
 const deleteContact = async (req, res) => {
@@ -219,11 +444,11 @@ const deleteContact = async (req, res) => {
       });
     }
 
-    await contact.deleteOne();
+    await contact.softDelete(req.user);
 
     res.json({
       success: true,
-      message: 'Contact deleted successfully'
+      message: 'Contact moved to trash'
     });
 
   } catch (error) {
@@ -235,6 +460,199 @@ const deleteContact = async (req, res) => {
   }
 };
 
+// @desc    Move several contacts to the trash (Admin only)
+// @route   POST /api/contact/bulk-delete
+// @access  Private/Admin
+const bulkDeleteContacts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await Contact.softDeleteMany({ _id: { $in: req.body.ids } }, req.user);
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} contact(s) moved to trash`,
+      data: {
+        deleted: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk delete contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete contacts'
+    });
+  }
+};
+
+// @desc    Get contacts in the trash (Admin only)
+// @route   GET /api/contact/trash
+// @access  Private/Admin
+const getDeletedContacts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const search = req.query.search;
+
+    // Build query
+    let query = { deletedAt: { $ne: null } };
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const contacts = await Contact.find(query)
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Contact.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: contacts,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get deleted contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deleted contacts'
+    });
+  }
+};
+
+// @desc    Restore contact from the trash (Admin only)
+// @route   POST /api/contact/:id/restore
+// @access  Private/Admin
+const restoreContact = async (req, res) => {
+  try {
+    const contact = await Contact.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found in trash'
+      });
+    }
+
+    await contact.restore();
+
+    res.json({
+      success: true,
+      message: 'Contact restored successfully',
+      data: contact
+    });
+
+  } catch (error) {
+    console.error('Restore contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore contact'
+    });
+  }
+};
+
+// @desc    Get contacts held in spam quarantine (Admin only)
+// @route   GET /api/contact/spam
+// @access  Private/Admin
+const getSpamContacts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const search = req.query.search;
+
+    // Build query
+    let query = { 'spam.quarantinedAt': { $ne: null } };
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const contacts = await Contact.find(query)
+      .sort({ 'spam.quarantinedAt': -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Contact.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: contacts,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get spam contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch spam contacts'
+    });
+  }
+};
+
+// @desc    Release contact from spam quarantine (Admin only)
+// @route   POST /api/contact/:id/release
+// @access  Private/Admin
+const releaseContact = async (req, res) => {
+  try {
+    const contact = await Contact.findOne({ _id: req.params.id, 'spam.quarantinedAt': { $ne: null } });
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found in spam quarantine'
+      });
+    }
+
+    // From here on it is handled like a contact that was just submitted
+    await linkCustomer(contact);
+    await contact.release(req.user);
+    await autoAssign(contact);
+
+    res.json({
+      success: true,
+      message: 'Contact released successfully',
+      data: contact
+    });
+
+  } catch (error) {
+    console.error('Release contact error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release contact'
+    });
+  }
+};
+
 // @desc    Get contact statistics (Admin only)
 // @route   GET /api/contact/stats
 // @access  Private/Admin
@@ -277,6 +695,84 @@ const getContactStats = async (req, res) => {
       }
     });
 
+    // First-response SLA per priority, for contacts created with a target
+    const slaByPriority = await Contact.aggregate([
+      { $match: { 'sla.firstResponseDueAt': { $ne: null } } },
+      {
+        $group: {
+          _id: '$priority',
+          total: { $sum: 1 },
+          responded: { $sum: { $cond: [{ $gt: ['$firstRespondedAt', null] }, 1, 0] } },
+          breached: { $sum: { $cond: ['$sla.breached', 1, 0] } },
+          metTarget: {
+            $sum: { $cond: [{ $and: [{ $gt: ['$firstRespondedAt', null] }, { $not: ['$sla.breached'] }] }, 1, 0] }
+          },
+          averageResponseMs: {
+            $avg: { $cond: [{ $gt: ['$firstRespondedAt', null] }, { $subtract: ['$firstRespondedAt', '$createdAt'] }, null] }
+          }
+        }
+      }
+    ]);
+
+    const toSlaSummary = ({ total, responded, breached, metTarget, averageResponseMs }) => ({
+      total,
+      responded,
+      breached,
+      metTarget,
+      // Share of decided contacts (answered in time or breached) that met the target
+      compliance: metTarget + breached > 0 ? Math.round((metTarget / (metTarget + breached)) * 1000) / 10 : null,
+      averageFirstResponseMinutes: averageResponseMs === null ? null : Math.round(averageResponseMs / 60000)
+    });
+
+    const slaTotals = slaByPriority.reduce((totals, item) => ({
+      total: totals.total + item.total,
+      responded: totals.responded + item.responded,
+      breached: totals.breached + item.breached,
+      metTarget: totals.metTarget + item.metTarget,
+      responseMs: totals.responseMs + (item.averageResponseMs || 0) * item.responded
+    }), { total: 0, responded: 0, breached: 0, metTarget: 0, responseMs: 0 });
+
+    const [overdueFirstResponses, dueFollowUps] = await Promise.all([
+      Contact.countDocuments(slaOverdueQuery()),
+      Contact.countDocuments(followUpDueQuery())
+    ]);
+
+    // Volume and outcome per channel
+    const sourceStats = await Contact.aggregate([
+      {
+        $group: {
+          _id: '$source',
+          total: { $sum: 1 },
+          thisMonth: {
+            $sum: { $cond: [{ $gte: ['$createdAt', new Date(new Date().getFullYear(), new Date().getMonth(), 1)] }, 1, 0] }
+          },
+          open: { $sum: { $cond: [{ $in: ['$status', OPEN_STATUSES] }, 1, 0] } },
+          completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+          cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+          completionValue: { $sum: { $ifNull: ['$completionValue', 0] } }
+        }
+      }
+    ]);
+
+    // Every channel is listed, including ones without contacts yet
+    const bySource = CONTACT_SOURCES.map((source) => {
+      const item = sourceStats.find((stat) => stat._id === source) ||
+        { total: 0, thisMonth: 0, open: 0, completed: 0, cancelled: 0, completionValue: 0 };
+      const closed = item.completed + item.cancelled;
+
+      return {
+        source,
+        total: item.total,
+        thisMonth: item.thisMonth,
+        open: item.open,
+        completed: item.completed,
+        cancelled: item.cancelled,
+        // Share of closed contacts that were completed
+        conversionRate: closed > 0 ? Math.round((item.completed / closed) * 1000) / 10 : null,
+        completionValue: item.completionValue
+      };
+    });
+
     res.json({
       success: true,
       data: {
@@ -285,7 +781,17 @@ const getContactStats = async (req, res) => {
         thisWeek: thisWeekContacts,
         thisMonth: thisMonthContacts,
         byStatus: stats,
-        byPriority: priorityStats
+        byPriority: priorityStats,
+        bySource,
+        sla: {
+          ...toSlaSummary({
+            ...slaTotals,
+            averageResponseMs: slaTotals.responded > 0 ? slaTotals.responseMs / slaTotals.responded : null
+          }),
+          overdueFirstResponses,
+          dueFollowUps,
+          byPriority: slaByPriority.map((item) => ({ priority: item._id, ...toSlaSummary(item) }))
+        }
       }
     });
 
@@ -300,9 +806,16 @@ const getContactStats = async (req, res) => {
 
 export {
   createContact,
+  logCall,
   getContacts,
   getContact,
   updateContact,
   deleteContact,
-  getContactStats
+  bulkDeleteContacts,
+  getDeletedContacts,
+  restoreContact,
+  getSpamContacts,
+  releaseContact,
+  getContactStats,
+  getOverdueContacts
 };
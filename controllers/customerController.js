@@ -0,0 +1,277 @@
+import Customer from '../models/Customer.js';
+import Contact from '../models/Contact.js';
+import Booking from '../models/Booking.js';
+import { validationResult } from 'express-validator';
+import { mergeCustomers, splitCustomer, buildCustomerTimeline } from '../utils/customers.js';
+
+// @desc    Get all customers (Admin only)
+// @route   GET /api/customers
+// @access  Private (contacts:read)
+const getCustomers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const search = req.query.search;
+
+    // Build query
+    let query = {};
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { emails: { $regex: search, $options: 'i' } }
+      ];
+
+      // Phones are stored as digits only
+      const digits = search.replace(/\D/g, '');
+      if (digits) {
+        query.$or.push({ phones: { $regex: digits } });
+      }
+    }
+
+    const customers = await Customer.find(query)
+      .sort({ lastSeenAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Customer.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: customers,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get customers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customers'
+    });
+  }
+};
+
+// @desc    Get single customer with their contacts, bookings and subscription (Admin only)
+// @route   GET /api/customers/:id
+// @access  Private (contacts:read)
+const getCustomer = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id)
+      .populate('subscription', 'email status isVerified subscriptionDate unsubscriptionDate');
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const contacts = await Contact.find({ customer: customer._id })
+      .populate('assignedTo', 'name email')
+      .sort({ createdAt: -1 });
+
+    const bookings = await Booking.find({ customer: customer._id })
+      .populate('assignedTo', 'name email')
+      .sort({ eventStart: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        customer,
+        contacts,
+        bookings
+      }
+    });
+
+  } catch (error) {
+    console.error('Get customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer'
+    });
+  }
+};
+
+// @desc    Get everything that happened with a customer, newest first (Admin only)
+// @route   GET /api/customers/:id/timeline
+// @access  Private (contacts:read)
+const getCustomerTimeline = async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const timeline = await buildCustomerTimeline(customer);
+
+    res.json({
+      success: true,
+      data: {
+        customer: {
+          id: customer._id,
+          name: customer.name,
+          emails: customer.emails,
+          phones: customer.phones
+        },
+        total: timeline.length,
+        events: timeline
+      }
+    });
+
+  } catch (error) {
+    console.error('Get customer timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer timeline'
+    });
+  }
+};
+
+// @desc    Merge duplicate customers into this one (Admin only)
+// @route   POST /api/customers/:id/merge
+// @access  Private (contacts:write)
+const mergeCustomer = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const sourceIds = [...new Set(req.body.sourceIds)];
+
+    if (sourceIds.includes(String(customer._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A customer cannot be merged into itself'
+      });
+    }
+
+    const sources = await Customer.find({ _id: { $in: sourceIds } });
+
+    if (sources.length !== sourceIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more customers to merge were not found'
+      });
+    }
+
+    const result = await mergeCustomers(customer, sources);
+
+    res.json({
+      success: true,
+      message: 'Customers merged successfully',
+      data: {
+        customer,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('Merge customers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge customers'
+    });
+  }
+};
+
+// @desc    Move some contacts and bookings of a customer to a new customer (Admin only)
+// @route   POST /api/customers/:id/split
+// @access  Private (contacts:write)
+const splitCustomerRecords = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const contactIds = req.body.contactIds || [];
+    const bookingIds = req.body.bookingIds || [];
+
+    const [contactCount, bookingCount] = await Promise.all([
+      Contact.countDocuments({ customer: customer._id }).setOptions({ withDeleted: true }),
+      Booking.countDocuments({ customer: customer._id })
+    ]);
+    const [movingContacts, movingBookings] = await Promise.all([
+      Contact.countDocuments({ _id: { $in: contactIds }, customer: customer._id }).setOptions({ withDeleted: true }),
+      Booking.countDocuments({ customer: customer._id, $or: [{ _id: { $in: bookingIds } }, { contact: { $in: contactIds } }] })
+    ]);
+
+    if (movingContacts + movingBookings === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'None of the given contacts or bookings belong to this customer'
+      });
+    }
+
+    if (movingContacts === contactCount && movingBookings === bookingCount) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one contact or booking must stay with the customer'
+      });
+    }
+
+    const result = await splitCustomer(customer, { contactIds, bookingIds });
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer split successfully',
+      data: {
+        customer,
+        newCustomer: result.customer,
+        contactsMoved: result.contactsMoved,
+        bookingsMoved: result.bookingsMoved
+      }
+    });
+
+  } catch (error) {
+    console.error('Split customer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to split customer'
+    });
+  }
+};
+
+export {
+  getCustomers,
+  getCustomer,
+  getCustomerTimeline,
+  mergeCustomer,
+  splitCustomerRecords
+};
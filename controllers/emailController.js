@@ -1,5 +1,59 @@
 import EmailSubscription from '../models/EmailSubscription.js';
+import EmailEvent from '../models/EmailEvent.js';
 import { validationResult } from 'express-validator';
+import { sendMail } from '../utils/mailer.js';
+import { unsubscribeConfirmationEmail } from '../utils/emailTemplates.js';
+import { verifyPurposeToken, hashToken } from '../utils/tokens.js';
+import { sendVerificationEmail } from '../utils/subscriptionVerification.js';
+import { parseSubscriberToken, buildPreferencesUrl } from '../utils/subscriberLinks.js';
+import { toCsvRow } from '../utils/csv.js';
+import { linkSubscriptionToCustomers } from '../utils/customers.js';
+import { buildApiUrl } from '../utils/urls.js';
+import { renderUnsubscribePage, renderUnsubscribedPage, renderInvalidLinkPage } from '../utils/subscriberPages.js';
+
+const PREFERENCE_KEYS = ['newsletters', 'promotions', 'updates', 'events'];
+
+// Shown when the subscription was saved but the confirmation email could not be sent
+const CONFIRMATION_PENDING_MESSAGE = 'Your subscription is saved, but we could not send the confirmation email right now. Please request a new one in a few minutes.';
+
+const EXPORT_COLUMNS = [
+  'email', 'status', 'source', 'isVerified', 'subscriptionDate', 'unsubscriptionDate',
+  'tags', 'preferences', 'country', 'city', 'emailsSent', 'emailsOpened', 'emailsClicked'
+];
+
+// Build the subscription list filter shared by the list and export endpoints
+const buildSubscriptionQuery = ({ status, source, search }) => {
+  let query = {};
+
+  if (status) {
+    query.status = status;
+  }
+
+  if (source) {
+    query.source = source;
+  }
+
+  if (search) {
+    query.email = { $regex: search, $options: 'i' };
+  }
+
+  return query;
+};
+
+// Look up the subscription a signed subscriber token points at
+const findSubscriptionByToken = async (token) => {
+  const subscriptionId = parseSubscriberToken(token);
+  if (!subscriptionId) return null;
+  return EmailSubscription.findById(subscriptionId);
+};
+
+// Mark a subscription as unsubscribed
+const markUnsubscribed = async (subscription, reason) => {
+  subscription.status = 'unsubscribed';
+  subscription.unsubscriptionDate = new Date();
+  subscription.unsubscriptionReason = reason || 'User requested';
+  await subscription.save();
+};
 
 // @desc    Subscribe to email list
 // @route   POST /api/email/subscribe
@@ -23,24 +77,75 @@ const subscribeEmail = async (req, res) => {
     const userAgent = req.get('User-Agent');
     const referrer = req.get('Referer');
 
-    // Check if email already exists
-    const existingSubscription = await EmailSubscription.findOne({ email });
+    // Suspected spam is held back for review; the sender gets the usual response
+    const spamReasons = req.spamReasons || [];
+
+    // Check if email already exists (the address stays unique while it is in the trash or quarantine)
+    const existingSubscription = await EmailSubscription.findOne({ email })
+      .setOptions({ withDeleted: true, withQuarantined: true });
 
     if (existingSubscription) {
+      const isDeleted = Boolean(existingSubscription.deletedAt);
+      const isQuarantined = Boolean(existingSubscription.spam.quarantinedAt);
+
+      // Bounced or complained addresses stay suppressed until an admin lifts it
+      if (existingSubscription.isSuppressed()) {
+        return res.status(403).json({
+          success: false,
+          message: 'This email address cannot be subscribed. Please contact us for assistance.'
+        });
+      }
+
+      // Suspected spam never changes an existing subscription
+      if (spamReasons.length > 0) {
+        return res.status(201).json({
+          success: true,
+          message: 'Thank you for subscribing! Please check your inbox to confirm your email address.'
+        });
+      }
+
+      // Still waiting on confirmation: send the link again if throttling allows
+      if (!isDeleted && !isQuarantined && existingSubscription.status === 'active' && !existingSubscription.isVerified) {
+        const sent = existingSubscription.canResendVerification()
+          ? await sendVerificationEmail(existingSubscription)
+          : true;
+
+        return res.status(200).json({
+          success: true,
+          message: sent ? 'Please check your inbox and confirm your subscription.' : CONFIRMATION_PENDING_MESSAGE,
+          data: {
+            id: existingSubscription._id,
+            email: existingSubscription.email,
+            status: existingSubscription.status,
+            isVerified: existingSubscription.isVerified,
+            verificationEmailSent: sent
+          }
+        });
+      }
+
       // If already subscribed and active
-      if (existingSubscription.status === 'active') {
+      if (!isDeleted && !isQuarantined && existingSubscription.status === 'active') {
         return res.status(409).json({
           success: false,
           message: 'This email is already subscribed to our newsletter'
         });
       }
       
-      // If previously unsubscribed, reactivate
-      if (existingSubscription.status === 'unsubscribed') {
+      // If previously unsubscribed, deleted or quarantined, reactivate pending a fresh confirmation
+      if (isDeleted || isQuarantined || existingSubscription.status === 'unsubscribed') {
+        // Quarantined rows never had a confirmed subscription, the others did
+        if (isDeleted || existingSubscription.status === 'unsubscribed') {
+          existingSubscription.reactivatedAt = new Date();
+        }
+        existingSubscription.deletedAt = null;
+        existingSubscription.deletedBy = null;
+        existingSubscription.spam.quarantinedAt = null;
         existingSubscription.status = 'active';
         existingSubscription.subscriptionDate = new Date();
         existingSubscription.unsubscriptionDate = null;
         existingSubscription.unsubscriptionReason = null;
+        existingSubscription.isVerified = false;
+        existingSubscription.verifiedAt = null;
         existingSubscription.source = source;
         existingSubscription.metadata.ipAddress = ipAddress;
         existingSubscription.metadata.userAgent = userAgent;
@@ -51,16 +156,18 @@ const subscribeEmail = async (req, res) => {
           existingSubscription.preferences = { ...existingSubscription.preferences, ...preferences };
         }
 
-        await existingSubscription.save();
+        const sent = await sendVerificationEmail(existingSubscription);
 
         return res.status(200).json({
           success: true,
-          message: 'Welcome back! Your email subscription has been reactivated.',
+          message: sent ? 'Welcome back! Please check your inbox to confirm your subscription.' : CONFIRMATION_PENDING_MESSAGE,
           data: {
             id: existingSubscription._id,
             email: existingSubscription.email,
             status: existingSubscription.status,
-            subscriptionDate: existingSubscription.subscriptionDate
+            isVerified: existingSubscription.isVerified,
+            subscriptionDate: existingSubscription.subscriptionDate,
+            verificationEmailSent: sent
           }
         });
       }
@@ -82,20 +189,30 @@ const subscribeEmail = async (req, res) => {
         userAgent,
         referrer
       },
-      isVerified: true, // Auto-verify for now, can add email verification later
-      verifiedAt: new Date()
+      isVerified: false
     });
 
-    await subscription.save();
+    // Quarantined subscriptions get the same response as a successful send
+    let sent = true;
+    if (spamReasons.length > 0) {
+      subscription.quarantine(spamReasons);
+      await subscription.save();
+    } else {
+      await subscription.save();
+      await linkSubscriptionToCustomers(subscription);
+      sent = await sendVerificationEmail(subscription);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Thank you for subscribing! You will receive our latest updates and offers.',
+      message: sent ? 'Thank you for subscribing! Please check your inbox to confirm your email address.' : CONFIRMATION_PENDING_MESSAGE,
       data: {
         id: subscription._id,
         email: subscription.email,
         status: subscription.status,
-        subscriptionDate: subscription.subscriptionDate
+        isVerified: subscription.isVerified,
+        subscriptionDate: subscription.subscriptionDate,
+        verificationEmailSent: sent
       }
     });
 
@@ -108,19 +225,159 @@ const subscribeEmail = async (req, res) => {
   }
 };
 
+// @desc    Confirm an email subscription (double opt-in)
+// @route   GET /api/email/verify/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(req.params.token, 'email-verify');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.name === 'TokenExpiredError'
+          ? 'This confirmation link has expired. Please request a new one.'
+          : 'Invalid confirmation link'
+      });
+    }
+
+    const subscription = await EmailSubscription.findOne({
+      _id: decoded.subscriptionId,
+      verificationToken: hashToken(req.params.token)
+    });
+
+    if (!subscription) {
+      return res.status(400).json({
+        success: false,
+        message: 'This confirmation link is no longer valid'
+      });
+    }
+
+    subscription.isVerified = true;
+    subscription.verificationToken = null;
+    subscription.consent.ipAddress = req.ip || req.connection.remoteAddress;
+    subscription.consent.userAgent = req.get('User-Agent');
+
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Your subscription has been confirmed. Thank you!',
+      data: {
+        email: subscription.email,
+        isVerified: subscription.isVerified,
+        verifiedAt: subscription.verifiedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm subscription. Please try again later.'
+    });
+  }
+};
+
+// @desc    Resend the subscription confirmation email
+// @route   POST /api/email/resend-verification
+// @access  Public
+const resendVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const subscription = await EmailSubscription.findOne({ email: req.body.email });
+
+    if (!subscription || subscription.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending subscription found for this email'
+      });
+    }
+
+    if (subscription.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email has already been confirmed'
+      });
+    }
+
+    if (!subscription.canResendVerification()) {
+      return res.status(429).json({
+        success: false,
+        message: 'A confirmation email was sent recently. Please wait before requesting another.'
+      });
+    }
+
+    const sent = await sendVerificationEmail(subscription);
+
+    res.json({
+      success: true,
+      message: sent
+        ? 'A new confirmation email has been sent'
+        : 'We could not send the confirmation email right now. Please try again in a few minutes.',
+      data: {
+        verificationEmailSent: sent
+      }
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend confirmation email. Please try again later.'
+    });
+  }
+};
+
 // @desc    Unsubscribe from email list
 // @route   POST /api/email/unsubscribe
-// @access  Public
+// @access  Public (signed token, or email confirmation step)
 const unsubscribeEmail = async (req, res) => {
   try {
-    const { email, reason } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, token, reason } = req.body;
 
-    const subscription = await EmailSubscription.findOne({ email });
+    // Without a signed token we only send a confirmation link to the address itself,
+    // so nobody can unsubscribe someone else just by knowing their email
+    if (!token) {
+      const subscription = await EmailSubscription.findOne({ email });
+
+      if (subscription && subscription.status === 'active') {
+        await sendMail({
+          to: subscription.email,
+          ...unsubscribeConfirmationEmail({ preferencesUrl: buildPreferencesUrl(subscription._id) })
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'If this email is subscribed, we have sent a link to confirm your unsubscription'
+      });
+    }
+
+    const subscription = await findSubscriptionByToken(token);
 
     if (!subscription) {
-      return res.status(404).json({
+      return res.status(400).json({
         success: false,
-        message: 'Email not found in our subscription list'
+        message: 'Invalid or expired unsubscribe link'
       });
     }
 
@@ -131,11 +388,7 @@ const unsubscribeEmail = async (req, res) => {
       });
     }
 
-    subscription.status = 'unsubscribed';
-    subscription.unsubscriptionDate = new Date();
-    subscription.unsubscriptionReason = reason || 'User requested';
-
-    await subscription.save();
+    await markUnsubscribed(subscription, reason);
 
     res.json({
       success: true,
@@ -151,6 +404,159 @@ const unsubscribeEmail = async (req, res) => {
   }
 };
 
+// @desc    Unsubscribe confirmation page for the {{unsubscribeUrl}} link in emails
+// @route   GET /api/email/unsubscribe/:token
+// @access  Public (signed token)
+const showUnsubscribePage = async (req, res) => {
+  try {
+    const subscription = await findSubscriptionByToken(req.params.token);
+
+    if (!subscription) {
+      return res.status(400).type('html').send(renderInvalidLinkPage());
+    }
+
+    if (subscription.status === 'unsubscribed') {
+      return res.type('html').send(renderUnsubscribedPage());
+    }
+
+    res.type('html').send(renderUnsubscribePage({
+      email: subscription.email,
+      actionUrl: buildApiUrl(`/api/email/unsubscribe/${encodeURIComponent(req.params.token)}`)
+    }));
+
+  } catch (error) {
+    console.error('Unsubscribe page error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load unsubscribe page'
+    });
+  }
+};
+
+// @desc    One-click unsubscribe (RFC 8058 List-Unsubscribe-Post), also posted by the confirmation page
+// @route   POST /api/email/unsubscribe/:token
+// @access  Public (signed token)
+const oneClickUnsubscribe = async (req, res) => {
+  try {
+    // Browsers submitting the confirmation page get a page back, mail clients get JSON
+    const wantsHtml = req.accepts(['json', 'html']) === 'html';
+    const subscription = await findSubscriptionByToken(req.params.token);
+
+    if (!subscription) {
+      if (wantsHtml) return res.status(400).type('html').send(renderInvalidLinkPage());
+
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    // Repeated clicks are harmless, mail providers may retry the POST
+    if (subscription.status !== 'unsubscribed') {
+      await markUnsubscribed(subscription, 'One-click unsubscribe');
+    }
+
+    if (wantsHtml) return res.type('html').send(renderUnsubscribedPage());
+
+    res.json({
+      success: true,
+      message: 'You have been successfully unsubscribed from our mailing list'
+    });
+
+  } catch (error) {
+    console.error('One-click unsubscribe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unsubscribe. Please try again later.'
+    });
+  }
+};
+
+// @desc    Get subscriber preferences for the preference center
+// @route   GET /api/email/preferences/:token
+// @access  Public (signed token)
+const getPreferences = async (req, res) => {
+  try {
+    const subscription = await findSubscriptionByToken(req.params.token);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: subscription.email,
+        status: subscription.status,
+        preferences: subscription.preferences,
+        tags: subscription.tags
+      }
+    });
+
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch preferences'
+    });
+  }
+};
+
+// @desc    Update subscriber preferences and tags from the preference center
+// @route   POST /api/email/preferences/:token
+// @access  Public (signed token)
+const updatePreferences = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const subscription = await findSubscriptionByToken(req.params.token);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    const { preferences, tags } = req.body;
+
+    if (preferences) {
+      subscription.preferences = { ...subscription.preferences, ...preferences };
+    }
+    if (tags) subscription.tags = tags;
+
+    await subscription.save();
+
+    res.json({
+      success: true,
+      message: 'Your email preferences have been updated',
+      data: {
+        email: subscription.email,
+        status: subscription.status,
+        preferences: subscription.preferences,
+        tags: subscription.tags
+      }
+    });
+
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update preferences'
+    });
+  }
+};
+
 // @desc    Get all email subscriptions (Admin only)
 // @route   GET /api/email/subscriptions
 // @access  Private/Admin
@@ -158,24 +564,7 @@ const getSubscriptions = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const status = req.query.status;
-    const source = req.query.source;
-    const search = req.query.search;
-
-    // Build query
-    let query = {};
-    
-    if (status) {
-      query.status = status;
-    }
-    
-    if (source) {
-      query.source = source;
-    }
-    
-    if (search) {
-      query.email = { $regex: search, $options: 'i' };
-    }
+    const query = buildSubscriptionQuery(req.query);
 
     const subscriptions = await EmailSubscription.find(query)
       .sort({ subscriptionDate: -1 })
@@ -204,6 +593,77 @@ const getSubscriptions = async (req, res) => {
   }
 };
 
+// @desc    Export filtered email subscriptions as CSV or NDJSON (Admin only)
+// @route   GET /api/email/subscriptions/export
+// @access  Private/Admin
+const exportSubscriptions = async (req, res) => {
+  try {
+    const format = req.query.format === 'ndjson' ? 'ndjson' : 'csv';
+    const query = buildSubscriptionQuery(req.query);
+    const fileName = `subscriptions-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
+    if (format === 'csv') {
+      res.write(toCsvRow(EXPORT_COLUMNS));
+    }
+
+    const cursor = EmailSubscription.find(query)
+      .sort({ subscriptionDate: -1 })
+      .lean()
+      .cursor();
+
+    for (let subscription = await cursor.next(); subscription; subscription = await cursor.next()) {
+      const row = {
+        email: subscription.email,
+        status: subscription.status,
+        source: subscription.source,
+        isVerified: subscription.isVerified,
+        subscriptionDate: subscription.subscriptionDate?.toISOString(),
+        unsubscriptionDate: subscription.unsubscriptionDate?.toISOString() || null,
+        tags: (subscription.tags || []).join(';'),
+        preferences: PREFERENCE_KEYS.filter((key) => subscription.preferences?.[key]).join(';'),
+        country: subscription.metadata?.country || null,
+        city: subscription.metadata?.city || null,
+        emailsSent: subscription.emailsSent,
+        emailsOpened: subscription.emailsOpened,
+        emailsClicked: subscription.emailsClicked
+      };
+
+      const chunk = format === 'csv'
+        ? toCsvRow(EXPORT_COLUMNS.map((column) => row[column]))
+        : `${JSON.stringify(row)}\n`;
+
+      // Respect backpressure so large exports do not buffer in memory
+      if (!res.write(chunk)) {
+        await new Promise((resolve) => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+
+      // Stop reading from the database if the client went away
+      if (res.destroyed) break;
+    }
+
+    await cursor.close();
+    res.end();
+
+  } catch (error) {
+    console.error('Export subscriptions error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export subscriptions'
+    });
+  }
+};
+
 // @desc    Get email subscription statistics (Admin only)
 // @route   GET /api/email/stats
 // @access  Private/Admin
@@ -251,7 +711,16 @@ const getEmailStats = async (req, res) => {
           totalEmailsSent: { $sum: '$emailsSent' },
           totalEmailsOpened: { $sum: '$emailsOpened' },
           totalEmailsClicked: { $sum: '$emailsClicked' },
-          avgEngagementRate: { $avg: '$engagementRate' }
+          // engagementRate is a virtual, so compute it per subscriber here
+          avgEngagementRate: {
+            $avg: {
+              $cond: [
+                { $gt: ['$emailsSent', 0] },
+                { $multiply: [{ $divide: ['$emailsOpened', '$emailsSent'] }, 100] },
+                0
+              ]
+            }
+          }
         }
       }
     ]);
@@ -300,6 +769,11 @@ const updateSubscription = async (req, res) => {
       });
     }
 
+    // Moving a suppressed address back to active is an explicit admin override
+    if (status === 'active' && subscription.isSuppressed()) {
+      subscription.clearSuppression();
+    }
+
     // Update fields
     if (status) subscription.status = status;
     if (preferences) subscription.preferences = { ...subscription.preferences, ...preferences };
@@ -322,7 +796,51 @@ const updateSubscription = async (req, res) => {
   }
 };
 
-// @desc    Delete email subscription (Admin only)
+// @desc    Get bounce, complaint and engagement event log for a subscription (Admin only)
+// @route   GET /api/email/subscription/:id/events
+// @access  Private/Admin
+const getSubscriptionEvents = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const type = req.query.type;
+
+    // Build query
+    let query = { subscription: req.params.id };
+
+    if (type) {
+      query.type = type;
+    }
+
+    const events = await EmailEvent.find(query)
+      .populate('campaign', 'name subject')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await EmailEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get subscription events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subscription events'
+    });
+  }
+};
+
+// @desc    Move email subscription to the trash (Admin only)
 // @route   DELETE /api/email/subscription/:id
 // @access  Private/Admin
 const deleteSubscription = async (req, res) => {
@@ -336,11 +854,11 @@ const deleteSubscription = async (req, res) => {
       });
     }
 
-    await subscription.deleteOne();
+    await subscription.softDelete(req.user);
 
     res.json({
       success: true,
-      message: 'Email subscription deleted successfully'
+      message: 'Email subscription moved to trash'
     });
 
   } catch (error) {
@@ -352,11 +870,204 @@ const deleteSubscription = async (req, res) => {
   }
 };
 
+// @desc    Move several email subscriptions to the trash (Admin only)
+// @route   POST /api/email/subscriptions/bulk-delete
+// @access  Private/Admin
+const bulkDeleteSubscriptions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await EmailSubscription.softDeleteMany({ _id: { $in: req.body.ids } }, req.user);
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} subscription(s) moved to trash`,
+      data: {
+        deleted: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk delete email subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete email subscriptions'
+    });
+  }
+};
+
+// @desc    Get email subscriptions in the trash (Admin only)
+// @route   GET /api/email/subscriptions/trash
+// @access  Private/Admin
+const getDeletedSubscriptions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const query = {
+      ...buildSubscriptionQuery(req.query),
+      deletedAt: { $ne: null }
+    };
+
+    const subscriptions = await EmailSubscription.find(query)
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await EmailSubscription.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get deleted subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deleted subscriptions'
+    });
+  }
+};
+
+// @desc    Restore email subscription from the trash (Admin only)
+// @route   POST /api/email/subscription/:id/restore
+// @access  Private/Admin
+const restoreSubscription = async (req, res) => {
+  try {
+    const subscription = await EmailSubscription.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email subscription not found in trash'
+      });
+    }
+
+    await subscription.restore();
+
+    res.json({
+      success: true,
+      message: 'Email subscription restored successfully',
+      data: subscription
+    });
+
+  } catch (error) {
+    console.error('Restore email subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore email subscription'
+    });
+  }
+};
+
+// @desc    Get email subscriptions held in spam quarantine (Admin only)
+// @route   GET /api/email/subscriptions/spam
+// @access  Private/Admin
+const getSpamSubscriptions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const query = {
+      ...buildSubscriptionQuery(req.query),
+      'spam.quarantinedAt': { $ne: null }
+    };
+
+    const subscriptions = await EmailSubscription.find(query)
+      .sort({ 'spam.quarantinedAt': -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await EmailSubscription.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get spam subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch spam subscriptions'
+    });
+  }
+};
+
+// @desc    Release email subscription from spam quarantine and send the confirmation email (Admin only)
+// @route   POST /api/email/subscription/:id/release
+// @access  Private/Admin
+const releaseSubscription = async (req, res) => {
+  try {
+    const subscription = await EmailSubscription.findOne({ _id: req.params.id, 'spam.quarantinedAt': { $ne: null } });
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email subscription not found in spam quarantine'
+      });
+    }
+
+    // Restart the confirmation window so the unverified purge does not remove it straight away
+    subscription.subscriptionDate = new Date();
+    await subscription.release(req.user);
+    await linkSubscriptionToCustomers(subscription);
+    const sent = await sendVerificationEmail(subscription);
+
+    res.json({
+      success: true,
+      message: sent
+        ? 'Email subscription released successfully, a confirmation email has been sent'
+        : 'Email subscription released successfully, but the confirmation email could not be sent',
+      data: subscription
+    });
+
+  } catch (error) {
+    console.error('Release email subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release email subscription'
+    });
+  }
+};
+
 export {
   subscribeEmail,
+  verifyEmail,
+  resendVerification,
   unsubscribeEmail,
+  showUnsubscribePage,
+  oneClickUnsubscribe,
+  getPreferences,
+  updatePreferences,
   getSubscriptions,
+  exportSubscriptions,
   getEmailStats,
   updateSubscription,
-  deleteSubscription
+  getSubscriptionEvents,
+  deleteSubscription,
+  bulkDeleteSubscriptions,
+  getDeletedSubscriptions,
+  restoreSubscription,
+  getSpamSubscriptions,
+  releaseSubscription
 };
@@ -0,0 +1,259 @@
+import EmailSubscription from '../models/EmailSubscription.js';
+import ImportJob from '../models/ImportJob.js';
+import { validationResult } from 'express-validator';
+import { parseCsvObjects } from '../utils/csv.js';
+import { sendVerificationEmail } from '../utils/subscriptionVerification.js';
+
+const PREFERENCE_KEYS = ['newsletters', 'promotions', 'updates', 'events'];
+const MAX_IMPORT_ROWS = 50000;
+const MAX_STORED_ROW_ERRORS = 1000;
+
+// Split a multi-value CSV cell ("a;b|c") into trimmed values
+const splitList = (value) => {
+  return (value || '').split(/[;|]/).map((item) => item.trim()).filter(Boolean);
+};
+
+// Turn a CSV row into subscription fields, collecting validation errors
+const normaliseRow = (row) => {
+  const errors = [];
+  const email = (row.email || '').toLowerCase().trim();
+  const tags = splitList(row.tags);
+
+  let preferences;
+  if (row.preferences) {
+    const enabled = splitList(row.preferences).map((key) => key.toLowerCase());
+    const unknown = enabled.filter((key) => !PREFERENCE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      errors.push(`Unknown preferences: ${unknown.join(', ')}`);
+    }
+    preferences = Object.fromEntries(PREFERENCE_KEYS.map((key) => [key, enabled.includes(key)]));
+  }
+
+  if (tags.some((tag) => tag.length > 50)) {
+    errors.push('Each tag must be at most 50 characters');
+  }
+
+  const candidate = new EmailSubscription({ email, tags, source: 'import' });
+  const validationError = candidate.validateSync(['email']);
+  if (validationError) {
+    errors.push(...Object.values(validationError.errors).map((error) => error.message));
+  }
+
+  return {
+    errors,
+    fields: {
+      email,
+      tags,
+      preferences,
+      country: row.country || null,
+      city: row.city || null
+    }
+  };
+};
+
+// Apply one valid row, returning the outcome counter to increment
+const importRow = async (fields, job) => {
+  const existing = await EmailSubscription.findOne({ email: fields.email })
+    .setOptions({ withDeleted: true, withQuarantined: true });
+
+  if (existing) {
+    // Deleted and quarantined addresses stay where they are until an admin restores or releases them
+    if (existing.deletedAt || existing.spam.quarantinedAt) return 'skipped';
+
+    if (existing.status !== 'unsubscribed' || job.options.unsubscribed !== 'resubscribe') {
+      return existing.status === 'active' ? 'duplicates' : 'skipped';
+    }
+    if (job.dryRun) return 'resubscribed';
+
+    existing.status = 'active';
+    existing.subscriptionDate = new Date();
+    existing.reactivatedAt = new Date();
+    existing.unsubscriptionDate = null;
+    existing.unsubscriptionReason = null;
+    existing.source = 'import';
+    existing.isVerified = job.options.verified;
+    existing.verifiedAt = job.options.verified ? new Date() : null;
+    if (fields.preferences) existing.preferences = fields.preferences;
+    if (fields.tags.length > 0) existing.tags = fields.tags;
+    await existing.save();
+
+    if (!job.options.verified) await sendVerificationEmail(existing);
+    return 'resubscribed';
+  }
+
+  if (job.dryRun) return 'created';
+
+  const subscription = new EmailSubscription({
+    email: fields.email,
+    source: 'import',
+    tags: fields.tags,
+    ...(fields.preferences && { preferences: fields.preferences }),
+    metadata: {
+      country: fields.country,
+      city: fields.city
+    },
+    isVerified: job.options.verified
+  });
+  await subscription.save();
+
+  if (!job.options.verified) await sendVerificationEmail(subscription);
+  return 'created';
+};
+
+// Work through all rows in the background, saving progress as it goes
+const processImport = async (jobId, rows) => {
+  const job = await ImportJob.findById(jobId);
+  job.status = 'running';
+  job.startedAt = new Date();
+  await job.save();
+
+  const seen = new Set();
+
+  try {
+    for (let index = 0; index < rows.length; index++) {
+      // Row numbers match the spreadsheet, the header is row 1
+      const rowNumber = index + 2;
+      const { errors, fields } = normaliseRow(rows[index]);
+
+      if (errors.length > 0) {
+        job.totals.invalid += 1;
+        if (job.rowErrors.length < MAX_STORED_ROW_ERRORS) {
+          job.rowErrors.push({ row: rowNumber, email: fields.email, messages: errors });
+        }
+      } else if (seen.has(fields.email)) {
+        job.totals.duplicates += 1;
+      } else {
+        seen.add(fields.email);
+        try {
+          job.totals[await importRow(fields, job)] += 1;
+        } catch (error) {
+          job.totals.invalid += 1;
+          if (job.rowErrors.length < MAX_STORED_ROW_ERRORS) {
+            job.rowErrors.push({ row: rowNumber, email: fields.email, messages: [error.message] });
+          }
+        }
+      }
+
+      job.totals.processed += 1;
+      if (job.totals.processed % 100 === 0) await job.save();
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    console.error('Subscription import error:', error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.completedAt = new Date();
+  await job.save();
+};
+
+// @desc    Import email subscriptions from CSV
+// @route   POST /api/email/subscriptions/import
+// @access  Private/Admin
+const importSubscriptions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Accept a raw text/csv body or JSON { csv: "..." }
+    const csvText = typeof req.body === 'string' ? req.body : req.body?.csv;
+
+    if (!csvText || typeof csvText !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV content is required'
+      });
+    }
+
+    const rows = parseCsvObjects(csvText);
+
+    if (rows.length === 0 || !Object.prototype.hasOwnProperty.call(rows[0], 'email')) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV must have a header row with an "email" column and at least one data row'
+      });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV cannot contain more than ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    const job = await ImportJob.create({
+      dryRun: req.query.dryRun === 'true',
+      options: {
+        unsubscribed: req.query.unsubscribed || 'skip',
+        verified: req.query.verified === 'true'
+      },
+      totals: { rows: rows.length },
+      createdBy: req.user._id
+    });
+
+    setImmediate(() => {
+      processImport(job._id, rows).catch((error) => {
+        console.error('Subscription import job error:', error);
+      });
+    });
+
+    res.status(202).json({
+      success: true,
+      message: job.dryRun ? 'Dry run started' : 'Import started',
+      data: {
+        jobId: job._id,
+        status: job.status,
+        rows: rows.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Import subscriptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start import'
+    });
+  }
+};
+
+// @desc    Get import job progress and results
+// @route   GET /api/email/subscriptions/import/:jobId
+// @access  Private/Admin
+const getImportJob = async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.jobId)
+      .populate('createdBy', 'name email');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Get import job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch import job'
+    });
+  }
+};
+
+export {
+  importSubscriptions,
+  getImportJob
+};
@@ -0,0 +1,248 @@
+import Invite from '../models/Invite.js';
+import User from '../models/User.js';
+import { validationResult } from 'express-validator';
+import { resolveRole } from '../config/permissions.js';
+import { createRandomToken, hashToken } from '../utils/tokens.js';
+import { sendMail } from '../utils/mailer.js';
+import { inviteEmail } from '../utils/emailTemplates.js';
+
+const getExpiryDate = (expiresInDays) => {
+  const days = expiresInDays || parseInt(process.env.INVITE_EXPIRE_DAYS) || 7;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Frontend page where the invitee sets their name and password
+const buildAcceptUrl = (token) => {
+  const baseUrl = process.env.INVITE_ACCEPT_URL || 'http://localhost:5173/accept-invite';
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+};
+
+// Issue a fresh single-use token for the invite and email it
+const sendInvite = async (invite, inviter) => {
+  const token = createRandomToken();
+
+  invite.tokenHash = hashToken(token);
+  invite.sentAt = new Date();
+  await invite.save();
+
+  await sendMail({
+    to: invite.email,
+    ...inviteEmail({
+      inviterName: inviter.name || inviter.email,
+      role: invite.role,
+      acceptUrl: buildAcceptUrl(token),
+      expiresAt: invite.expiresAt
+    })
+  });
+};
+
+// @desc    Invite a new dashboard user (Admin only)
+// @route   POST /api/invites
+// @access  Private (users:manage)
+const createInvite = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role, expiresInDays } = req.body;
+
+    if (role === 'owner' && resolveRole(req.user.role) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an owner can invite another owner'
+      });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    // Only the newest invitation for an address stays valid
+    await Invite.updateMany(
+      { email, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    const invite = new Invite({
+      email,
+      role,
+      expiresAt: getExpiryDate(expiresInDays),
+      invitedBy: req.user._id
+    });
+
+    await sendInvite(invite, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: invite
+    });
+
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send invitation'
+    });
+  }
+};
+
+// @desc    Get all invitations (Admin only)
+// @route   GET /api/invites
+// @access  Private (users:manage)
+const getInvites = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status, search } = req.query;
+
+    // Build query
+    let query = {};
+    const now = new Date();
+
+    if (status === 'pending') {
+      Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+    } else if (status === 'accepted') {
+      query.acceptedAt = { $ne: null };
+    } else if (status === 'revoked') {
+      Object.assign(query, { acceptedAt: null, revokedAt: { $ne: null } });
+    } else if (status === 'expired') {
+      Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+    }
+
+    if (search) {
+      query.email = { $regex: search, $options: 'i' };
+    }
+
+    const invites = await Invite.find(query)
+      .populate('invitedBy', 'name email')
+      .populate('acceptedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Invite.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: invites,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations'
+    });
+  }
+};
+
+// @desc    Resend an invitation with a new link and expiry (Admin only)
+// @route   POST /api/invites/:id/resend
+// @access  Private (users:manage)
+const resendInvite = async (req, res) => {
+  try {
+    const invite = await Invite.findById(req.params.id);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invite.acceptedAt || invite.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: `Invitation has already been ${invite.status}`
+      });
+    }
+
+    if (invite.role === 'owner' && resolveRole(req.user.role) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an owner can invite another owner'
+      });
+    }
+
+    invite.expiresAt = getExpiryDate();
+    await sendInvite(invite, req.user);
+
+    res.json({
+      success: true,
+      message: 'Invitation resent successfully',
+      data: invite
+    });
+
+  } catch (error) {
+    console.error('Resend invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend invitation'
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation (Admin only)
+// @route   DELETE /api/invites/:id
+// @access  Private (users:manage)
+const revokeInvite = async (req, res) => {
+  try {
+    const invite = await Invite.findById(req.params.id);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    if (invite.acceptedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation has already been accepted'
+      });
+    }
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      await invite.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: invite
+    });
+
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation'
+    });
+  }
+};
+
+export {
+  createInvite,
+  getInvites,
+  resendInvite,
+  revokeInvite
+};
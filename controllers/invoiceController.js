@@ -0,0 +1,344 @@
+import Invoice from '../models/Invoice.js';
+import Quote from '../models/Quote.js';
+import Booking from '../models/Booking.js';
+import { validationResult } from 'express-validator';
+import { calculateTotals, buildCustomLineItems } from '../utils/pricing.js';
+import { nextInvoiceNumber } from '../utils/documentNumbers.js';
+import { renderInvoiceDocument } from '../utils/documentRenderer.js';
+import { sendMail } from '../utils/mailer.js';
+import { invoiceEmail } from '../utils/emailTemplates.js';
+
+const getDueDate = (dueDays) => {
+  const days = dueDays ?? (parseInt(process.env.INVOICE_DUE_DAYS) || 30);
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// @desc    Create invoice from an accepted quote or from manual line items (Admin only)
+// @route   POST /api/invoices
+// @access  Private/Admin
+const createInvoice = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { quoteId, bookingId, customer, lineItems, vatRate, currency, dueDays } = req.body;
+    let invoiceFields;
+
+    if (quoteId) {
+      const quote = await Quote.findById(quoteId);
+
+      if (!quote) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quote not found'
+        });
+      }
+
+      if (quote.status !== 'accepted') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only accepted quotes can be invoiced'
+        });
+      }
+
+      if (await Invoice.exists({ quote: quote._id })) {
+        return res.status(409).json({
+          success: false,
+          message: 'This quote has already been invoiced'
+        });
+      }
+
+      invoiceFields = {
+        quote: quote._id,
+        booking: quote.booking,
+        customer: quote.customer,
+        lineItems: quote.lineItems.map(({ description, kind, quantity, unitPrice, amount }) => ({
+          description, kind, quantity, unitPrice, amount
+        })),
+        currency: quote.currency,
+        subtotal: quote.subtotal,
+        vatRate: quote.vatRate,
+        vatAmount: quote.vatAmount,
+        total: quote.total
+      };
+    } else {
+      const booking = bookingId ? await Booking.findById(bookingId) : null;
+      const items = buildCustomLineItems(lineItems);
+
+      invoiceFields = {
+        booking: booking?._id || null,
+        customer: customer || { name: booking?.name, email: booking?.email, phone: booking?.phone },
+        lineItems: items,
+        currency: currency || 'AED',
+        ...calculateTotals(items, vatRate ?? parseFloat(process.env.VAT_RATE || '0.05'))
+      };
+    }
+
+    const invoice = new Invoice({
+      ...invoiceFields,
+      invoiceNumber: await nextInvoiceNumber(),
+      dueDate: getDueDate(dueDays),
+      createdBy: req.user._id
+    });
+
+    await invoice.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Invoice created successfully',
+      data: invoice
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((err) => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    // The same quote was invoiced twice at once
+    if (error.code === 11000 && error.keyPattern?.quote) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quote has already been invoiced'
+      });
+    }
+
+    console.error('Create invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create invoice'
+    });
+  }
+};
+
+// @desc    Get all invoices (Admin only)
+// @route   GET /api/invoices
+// @access  Private/Admin
+const getInvoices = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status, booking, search } = req.query;
+
+    // Build query
+    let query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (booking) {
+      query.booking = booking;
+    }
+
+    if (search) {
+      query.$or = [
+        { invoiceNumber: { $regex: search, $options: 'i' } },
+        { 'customer.name': { $regex: search, $options: 'i' } },
+        { 'customer.email': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const invoices = await Invoice.find(query)
+      .sort({ issueDate: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Invoice.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: invoices,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoices'
+    });
+  }
+};
+
+// @desc    Get single invoice (Admin only)
+// @route   GET /api/invoices/:id
+// @access  Private/Admin
+const getInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+      .populate('quote', 'quoteNumber version')
+      .populate('booking', 'name eventStart venue status')
+      .populate('createdBy', 'name email');
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoice'
+    });
+  }
+};
+
+// @desc    Update invoice payment status (Admin only)
+// @route   PUT /api/invoices/:id/status
+// @access  Private/Admin
+const updateInvoiceStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        message: 'A void invoice cannot be changed'
+      });
+    }
+
+    const { status, paymentMethod, paymentReference } = req.body;
+
+    invoice.status = status;
+    if (status === 'paid') {
+      if (paymentMethod) invoice.paymentMethod = paymentMethod;
+      if (paymentReference) invoice.paymentReference = paymentReference;
+    } else {
+      invoice.paidAt = null;
+      // Re-opening an invoice past its due date puts it straight back to overdue
+      if (status === 'unpaid' && invoice.dueDate < new Date()) invoice.status = 'overdue';
+    }
+
+    await invoice.save();
+
+    res.json({
+      success: true,
+      message: 'Invoice status updated successfully',
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Update invoice status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update invoice status'
+    });
+  }
+};
+
+// @desc    Render invoice as an HTML document (Admin only)
+// @route   GET /api/invoices/:id/document
+// @access  Private/Admin
+const getInvoiceDocument = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    res.type('html').send(renderInvoiceDocument(invoice));
+
+  } catch (error) {
+    console.error('Get invoice document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render invoice'
+    });
+  }
+};
+
+// @desc    Email invoice to the customer (Admin only)
+// @route   POST /api/invoices/:id/send
+// @access  Private/Admin
+const sendInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status === 'void') {
+      return res.status(400).json({
+        success: false,
+        message: 'A void invoice cannot be sent'
+      });
+    }
+
+    await sendMail({
+      to: invoice.customer.email,
+      ...invoiceEmail({ invoice, documentHtml: renderInvoiceDocument(invoice) })
+    });
+
+    invoice.sentAt = new Date();
+    await invoice.save();
+
+    res.json({
+      success: true,
+      message: 'Invoice sent to customer',
+      data: invoice
+    });
+
+  } catch (error) {
+    console.error('Send invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send invoice'
+    });
+  }
+};
+
+export {
+  createInvoice,
+  getInvoices,
+  getInvoice,
+  updateInvoiceStatus,
+  getInvoiceDocument,
+  sendInvoice
+};
@@ -0,0 +1,264 @@
+import Partner from '../models/Partner.js';
+import Contact from '../models/Contact.js';
+import { validationResult } from 'express-validator';
+import { createRandomToken, hashToken } from '../utils/tokens.js';
+import { saveNewContact, normaliseLeadPhone } from '../utils/leadCapture.js';
+
+// New API key: only the hash is stored, the key itself is returned once
+const issueApiKey = (partner) => {
+  const apiKey = `rvp_${createRandomToken(24)}`;
+  partner.apiKeyHash = hashToken(apiKey);
+  partner.apiKeyPrefix = apiKey.slice(0, 8);
+  return apiKey;
+};
+
+// @desc    Get all partners (Admin only)
+// @route   GET /api/partners
+// @access  Private (partners:manage)
+const getPartners = async (req, res) => {
+  try {
+    const partners = await Partner.find()
+      .populate('createdBy', 'name email')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: partners
+    });
+
+  } catch (error) {
+    console.error('Get partners error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch partners'
+    });
+  }
+};
+
+// @desc    Create a partner and issue its API key (Admin only)
+// @route   POST /api/partners
+// @access  Private (partners:manage)
+const createPartner = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, type, contactEmail } = req.body;
+
+    const partner = new Partner({
+      name,
+      type,
+      contactEmail: contactEmail || null,
+      createdBy: req.user._id
+    });
+    const apiKey = issueApiKey(partner);
+    await partner.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Partner created. Store the API key now, it will not be shown again.',
+      data: {
+        partner,
+        apiKey
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((err) => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Create partner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create partner'
+    });
+  }
+};
+
+// @desc    Update a partner's details or disable it (Admin only)
+// @route   PUT /api/partners/:id
+// @access  Private (partners:manage)
+const updatePartner = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const partner = await Partner.findById(req.params.id);
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
+
+    for (const field of ['name', 'type', 'contactEmail', 'isActive']) {
+      if (req.body[field] !== undefined) {
+        partner[field] = req.body[field];
+      }
+    }
+    await partner.save();
+
+    res.json({
+      success: true,
+      message: 'Partner updated successfully',
+      data: partner
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((err) => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Update partner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update partner'
+    });
+  }
+};
+
+// @desc    Replace a partner's API key; the old key stops working immediately (Admin only)
+// @route   POST /api/partners/:id/rotate-key
+// @access  Private (partners:manage)
+const rotatePartnerKey = async (req, res) => {
+  try {
+    const partner = await Partner.findById(req.params.id);
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
+
+    const apiKey = issueApiKey(partner);
+    await partner.save();
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Store the new key now, it will not be shown again.',
+      data: {
+        partner,
+        apiKey
+      }
+    });
+
+  } catch (error) {
+    console.error('Rotate partner key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate API key'
+    });
+  }
+};
+
+// @desc    Submit a lead from a partner system. Resubmitting the same reference returns the existing contact.
+// @route   POST /api/partners/leads
+// @access  Partner (X-API-Key)
+const submitPartnerLead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, email, phone, description, reference } = req.body;
+
+    if (reference) {
+      const existing = await Contact.findOne({ partner: req.partner._id, partnerReference: reference })
+        .setOptions({ withDeleted: true });
+
+      if (existing) {
+        return res.json({
+          success: true,
+          message: 'Lead already received',
+          data: {
+            id: existing._id,
+            reference: existing.partnerReference,
+            status: existing.status
+          }
+        });
+      }
+    }
+
+    const contact = new Contact({
+      name,
+      email: email || null,
+      phone: normaliseLeadPhone(phone),
+      description: description || `Lead from ${req.partner.name}`,
+      source: 'partner',
+      partner: req.partner._id,
+      partnerReference: reference || null,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    await saveNewContact(contact);
+
+    res.status(201).json({
+      success: true,
+      message: 'Lead received',
+      data: {
+        id: contact._id,
+        reference: contact.partnerReference,
+        status: contact.status
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((err) => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    // The same reference was submitted twice at once
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A lead with this reference is already being processed'
+      });
+    }
+
+    console.error('Submit partner lead error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit lead'
+    });
+  }
+};
+
+export {
+  getPartners,
+  createPartner,
+  updatePartner,
+  rotatePartnerKey,
+  submitPartnerLead
+};
@@ -0,0 +1,389 @@
+import PrivacyRequest from '../models/PrivacyRequest.js';
+import { validationResult } from 'express-validator';
+import { createRandomToken, hashToken } from '../utils/tokens.js';
+import { findSubjectRecords, countRecords, buildExportBundle, eraseSubjectData } from '../utils/privacy.js';
+import { createZip } from '../utils/zip.js';
+import { recordAudit } from '../utils/audit.js';
+import { sendMail } from '../utils/mailer.js';
+import { privacyRequestEmail } from '../utils/emailTemplates.js';
+
+const getLinkExpiryHours = () => parseInt(process.env.PRIVACY_LINK_EXPIRE_HOURS) || 48;
+
+// Frontend page where the data subject confirms the request
+const buildConfirmUrl = (token) => {
+  const baseUrl = process.env.PRIVACY_REQUEST_URL || 'http://localhost:5173/privacy-request';
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+};
+
+// Query for a data subject request by its emailed token while the link is valid
+const buildTokenQuery = (token) => ({
+  verificationTokenHash: hashToken(String(token || '')),
+  verificationExpires: { $gt: new Date() }
+});
+
+// Run the export or erasure and record the outcome on the request
+const processRequest = async (request) => {
+  try {
+    request.result = request.type === 'erasure'
+      ? await eraseSubjectData(request)
+      : countRecords(await findSubjectRecords(request));
+    request.status = 'completed';
+    request.completedAt = new Date();
+    request.error = null;
+  } catch (error) {
+    console.error('Process privacy request error:', error);
+    request.status = 'failed';
+    request.error = error.message;
+  }
+
+  await request.save();
+
+  await recordAudit({
+    action: `privacy.${request.type}`,
+    entityType: 'PrivacyRequest',
+    entityId: request._id,
+    metadata: { status: request.status, result: request.result }
+  });
+
+  return request;
+};
+
+// Send the export bundle as a single JSON file or a ZIP with one file per collection
+const sendExportBundle = async (res, request, format) => {
+  const bundle = await buildExportBundle(request);
+  const baseName = `privacy-export-${request._id}`;
+
+  if (format === 'zip') {
+    const files = [
+      { name: 'request.json', content: JSON.stringify({ requestId: bundle.requestId, generatedAt: bundle.generatedAt, subject: bundle.subject }, null, 2) },
+      ...Object.entries(bundle.records).map(([name, records]) => ({
+        name: `${name}.json`,
+        content: JSON.stringify(records, null, 2)
+      }))
+    ];
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${baseName}.zip"`
+    });
+    return res.send(createZip(files));
+  }
+
+  res.set('Content-Disposition', `attachment; filename="${baseName}.json"`);
+  res.json(bundle);
+};
+
+// @desc    Create and run an export or erasure request (Admin only)
+// @route   POST /api/privacy/requests
+// @access  Private (privacy:manage)
+const createPrivacyRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, email, phone, notes } = req.body;
+
+    const request = await PrivacyRequest.create({
+      type,
+      email: email || null,
+      phone: phone || null,
+      notes: notes || null,
+      channel: 'admin',
+      requestedBy: req.user._id
+    });
+
+    await processRequest(request);
+
+    res.status(request.status === 'completed' ? 201 : 500).json({
+      success: request.status === 'completed',
+      message: request.status === 'completed'
+        ? `Privacy ${type} request completed`
+        : `Privacy ${type} request failed`,
+      data: request
+    });
+
+  } catch (error) {
+    console.error('Create privacy request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create privacy request'
+    });
+  }
+};
+
+// @desc    Get privacy requests (Admin only)
+// @route   GET /api/privacy/requests
+// @access  Private (privacy:manage)
+const getPrivacyRequests = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status, type, search } = req.query;
+
+    // Build query
+    let query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (search) {
+      query.$or = [
+        { email: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const requests = await PrivacyRequest.find(query)
+      .populate('requestedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await PrivacyRequest.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: requests,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get privacy requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch privacy requests'
+    });
+  }
+};
+
+// @desc    Get single privacy request (Admin only)
+// @route   GET /api/privacy/requests/:id
+// @access  Private (privacy:manage)
+const getPrivacyRequest = async (req, res) => {
+  try {
+    const request = await PrivacyRequest.findById(req.params.id)
+      .populate('requestedBy', 'name email');
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Privacy request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+
+  } catch (error) {
+    console.error('Get privacy request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch privacy request'
+    });
+  }
+};
+
+// @desc    Download the data export of a completed request (Admin only)
+// @route   GET /api/privacy/requests/:id/download
+// @access  Private (privacy:manage)
+const downloadPrivacyExport = async (req, res) => {
+  try {
+    const request = await PrivacyRequest.findById(req.params.id);
+
+    if (!request || request.type !== 'export') {
+      return res.status(404).json({
+        success: false,
+        message: 'Export request not found'
+      });
+    }
+
+    if (request.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'The export request has not been completed'
+      });
+    }
+
+    await sendExportBundle(res, request, req.query.format);
+
+  } catch (error) {
+    console.error('Download privacy export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build data export'
+    });
+  }
+};
+
+// @desc    Data subject asks for an export or erasure of their data
+// @route   POST /api/privacy/requests/self
+// @access  Public
+const requestOwnData = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, email } = req.body;
+
+    // Only one confirmation email per address and type every two minutes
+    const recentRequest = await PrivacyRequest.findOne({
+      email,
+      type,
+      channel: 'data-subject',
+      createdAt: { $gte: new Date(Date.now() - 2 * 60 * 1000) }
+    });
+
+    if (!recentRequest) {
+      const token = createRandomToken();
+      const expiresInHours = getLinkExpiryHours();
+
+      await PrivacyRequest.create({
+        type,
+        email,
+        channel: 'data-subject',
+        status: 'awaiting-verification',
+        verificationTokenHash: hashToken(token),
+        verificationExpires: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+      });
+
+      await sendMail({
+        to: email,
+        ...privacyRequestEmail({ type, confirmUrl: buildConfirmUrl(token), expiresInHours })
+      });
+    }
+
+    // Same answer whether or not we hold any data for the address
+    res.status(202).json({
+      success: true,
+      message: 'Please check your inbox and confirm the request'
+    });
+
+  } catch (error) {
+    console.error('Request own data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit privacy request'
+    });
+  }
+};
+
+// @desc    Confirm a data subject request from the emailed link and run it
+// @route   POST /api/privacy/requests/confirm
+// @access  Public (requires emailed token)
+const confirmOwnRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tokenQuery = buildTokenQuery(req.body.token);
+
+    // Claim the request atomically so a double click runs it only once
+    let request = await PrivacyRequest.findOneAndUpdate(
+      { ...tokenQuery, status: 'awaiting-verification' },
+      { $set: { status: 'pending', verifiedAt: new Date() } },
+      { new: true }
+    );
+
+    if (request) {
+      // Erasure links are single use; export links stay valid for downloading
+      if (request.type === 'erasure') {
+        request.verificationTokenHash = null;
+      }
+
+      await processRequest(request);
+    } else {
+      request = await PrivacyRequest.findOne(tokenQuery);
+    }
+
+    if (!request) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: request.status === 'completed',
+      message: request.status === 'completed'
+        ? (request.type === 'erasure' ? 'Your personal data has been erased' : 'Your data export is ready to download')
+        : 'We could not complete your request, please contact us',
+      data: {
+        type: request.type,
+        status: request.status,
+        completedAt: request.completedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Confirm privacy request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm privacy request'
+    });
+  }
+};
+
+// @desc    Data subject downloads their confirmed export
+// @route   GET /api/privacy/requests/download/:token
+// @access  Public (requires emailed token)
+const downloadOwnExport = async (req, res) => {
+  try {
+    const request = await PrivacyRequest.findOne(buildTokenQuery(req.params.token));
+
+    if (!request || request.type !== 'export' || request.status !== 'completed') {
+      return res.status(404).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    await sendExportBundle(res, request, req.query.format);
+
+  } catch (error) {
+    console.error('Download own export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build data export'
+    });
+  }
+};
+
+export {
+  createPrivacyRequest,
+  getPrivacyRequests,
+  getPrivacyRequest,
+  downloadPrivacyExport,
+  requestOwnData,
+  confirmOwnRequest,
+  downloadOwnExport
+};
@@ -0,0 +1,549 @@
+import Quote from '../models/Quote.js';
+import Booking from '../models/Booking.js';
+import Contact from '../models/Contact.js';
+import RateCard from '../models/RateCard.js';
+import { validationResult } from 'express-validator';
+import { priceBooking, calculateTotals, buildCustomLineItems } from '../utils/pricing.js';
+import { nextQuoteNumber } from '../utils/documentNumbers.js';
+import { renderQuoteDocument } from '../utils/documentRenderer.js';
+import { signValue, verifySignedValue } from '../utils/tokens.js';
+import { buildApiUrl } from '../utils/urls.js';
+import { sendMail } from '../utils/mailer.js';
+import { quoteEmail } from '../utils/emailTemplates.js';
+
+const getQuoteRespondUrl = (quote) => buildApiUrl(`/api/quotes/view/${signValue(`quote:${quote._id}`)}`);
+
+const findQuoteByToken = async (token) => {
+  const value = verifySignedValue(token);
+  if (!value || !value.startsWith('quote:')) return null;
+  return Quote.findById(value.slice('quote:'.length));
+};
+
+// Work out line items and totals either from manual items or by pricing against a rate card
+const buildQuoteContent = async (body, booking) => {
+  const vatRate = body.vatRate ?? parseFloat(process.env.VAT_RATE || '0.05');
+
+  if (body.lineItems && body.lineItems.length > 0) {
+    const lineItems = buildCustomLineItems(body.lineItems);
+    return { lineItems, rateCard: null, currency: body.currency || 'AED', ...calculateTotals(lineItems, vatRate) };
+  }
+
+  const job = {
+    eventStart: body.eventStart || booking?.eventStart,
+    eventEnd: body.eventEnd || booking?.eventEnd,
+    numberOfCars: body.numberOfCars || booking?.numberOfCars,
+    valetsRequired: body.valetsRequired || booking?.valetsRequired,
+    isPeak: body.isPeak === true
+  };
+  const serviceType = body.serviceType || booking?.serviceType;
+
+  if (!job.eventStart || !job.numberOfCars) {
+    return { error: 'Provide line items, or event details (eventStart, numberOfCars) to price against a rate card' };
+  }
+
+  const rateCard = body.rateCardId
+    ? await RateCard.findById(body.rateCardId)
+    : await RateCard.findForServiceType(serviceType);
+
+  if (!rateCard) {
+    return { error: 'No rate card found for this service type' };
+  }
+
+  return { rateCard: rateCard._id, ...priceBooking(rateCard, job) };
+};
+
+const getValidUntil = (validDays) => {
+  const days = validDays || parseInt(process.env.QUOTE_VALID_DAYS) || 14;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Record a customer or admin decision and move the linked booking along
+const applyResponse = async (quote, { action, name, reason, via, req }) => {
+  quote.status = action === 'accept' ? 'accepted' : 'rejected';
+  quote.respondedAt = new Date();
+  quote.response = {
+    via,
+    name: name || null,
+    reason: reason || null,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent')
+  };
+  await quote.save();
+
+  if (quote.booking && action === 'accept') {
+    const booking = await Booking.findById(quote.booking);
+    if (booking) {
+      booking.quotedPrice = quote.total;
+      if (booking.canTransitionTo('confirmed')) booking.status = 'confirmed';
+      booking.notes.push({
+        note: `Quote ${quote.quoteNumber} v${quote.version} accepted by ${via}${name ? ` (${name})` : ''}`,
+        addedBy: 'system',
+        addedAt: new Date()
+      });
+      await booking.save();
+    }
+  }
+};
+
+// @desc    Create quote for a booking or contact (Admin only)
+// @route   POST /api/quotes
+// @access  Private/Admin
+const createQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { bookingId, contactId, notes, validDays } = req.body;
+
+    const booking = bookingId ? await Booking.findById(bookingId) : null;
+    const contact = contactId ? await Contact.findById(contactId) : null;
+    const source = booking || contact;
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: bookingId ? 'Booking not found' : 'Contact not found'
+      });
+    }
+
+    const content = await buildQuoteContent(req.body, booking);
+    if (content.error) {
+      return res.status(400).json({
+        success: false,
+        message: content.error
+      });
+    }
+
+    const quote = new Quote({
+      quoteNumber: await nextQuoteNumber(),
+      booking: booking?._id || null,
+      contact: contact?._id || booking?.contact || null,
+      customer: {
+        name: source.name,
+        email: source.email,
+        phone: source.phone
+      },
+      ...content,
+      validUntil: getValidUntil(validDays),
+      notes,
+      createdBy: req.user._id
+    });
+
+    await quote.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote created successfully',
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Create quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create quote'
+    });
+  }
+};
+
+// @desc    Create a new version of a quote (Admin only)
+// @route   POST /api/quotes/:id/revise
+// @access  Private/Admin
+const reviseQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const previous = await Quote.findById(req.params.id);
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (!['draft', 'sent', 'rejected', 'expired'].includes(previous.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${previous.status} quote cannot be revised`
+      });
+    }
+
+    const latest = await Quote.findOne({ quoteNumber: previous.quoteNumber }).sort({ version: -1 });
+    if (!latest._id.equals(previous._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only the latest version (v${latest.version}) can be revised`
+      });
+    }
+
+    const booking = previous.booking ? await Booking.findById(previous.booking) : null;
+    const content = await buildQuoteContent(req.body, booking);
+    if (content.error) {
+      return res.status(400).json({
+        success: false,
+        message: content.error
+      });
+    }
+
+    const quote = new Quote({
+      quoteNumber: previous.quoteNumber,
+      version: previous.version + 1,
+      booking: previous.booking,
+      contact: previous.contact,
+      customer: previous.customer,
+      ...content,
+      validUntil: getValidUntil(req.body.validDays),
+      notes: req.body.notes ?? previous.notes,
+      createdBy: req.user._id
+    });
+
+    await quote.save();
+
+    previous.status = 'superseded';
+    await previous.save();
+
+    res.status(201).json({
+      success: true,
+      message: `Quote revised to version ${quote.version}`,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Revise quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revise quote'
+    });
+  }
+};
+
+// @desc    Get all quotes (Admin only)
+// @route   GET /api/quotes
+// @access  Private/Admin
+const getQuotes = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status, booking, contact, search } = req.query;
+
+    // Build query
+    let query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (booking) {
+      query.booking = booking;
+    }
+
+    if (contact) {
+      query.contact = contact;
+    }
+
+    if (search) {
+      query.$or = [
+        { quoteNumber: { $regex: search, $options: 'i' } },
+        { 'customer.name': { $regex: search, $options: 'i' } },
+        { 'customer.email': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const quotes = await Quote.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Quote.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: quotes,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quotes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quotes'
+    });
+  }
+};
+
+// @desc    Get single quote with its version history (Admin only)
+// @route   GET /api/quotes/:id
+// @access  Private/Admin
+const getQuote = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id)
+      .populate('booking', 'name eventStart venue status')
+      .populate('createdBy', 'name email');
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    const versions = await Quote.find({ quoteNumber: quote.quoteNumber })
+      .select('version status total createdAt')
+      .sort({ version: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        quote,
+        versions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quote'
+    });
+  }
+};
+
+// @desc    Render quote as an HTML document (Admin only)
+// @route   GET /api/quotes/:id/document
+// @access  Private/Admin
+const getQuoteDocument = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    res.type('html').send(renderQuoteDocument(quote));
+
+  } catch (error) {
+    console.error('Get quote document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render quote'
+    });
+  }
+};
+
+// @desc    Email quote to the customer (Admin only)
+// @route   POST /api/quotes/:id/send
+// @access  Private/Admin
+const sendQuote = async (req, res) => {
+  try {
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (!quote.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${quote.isExpired ? 'expired' : quote.status} quote cannot be sent`
+      });
+    }
+
+    const respondUrl = getQuoteRespondUrl(quote);
+    await sendMail({
+      to: quote.customer.email,
+      ...quoteEmail({ quote, respondUrl, documentHtml: renderQuoteDocument(quote, { respondUrl }) })
+    });
+
+    quote.status = 'sent';
+    quote.sentAt = new Date();
+    await quote.save();
+
+    if (quote.booking) {
+      const booking = await Booking.findById(quote.booking);
+      if (booking) {
+        booking.quotedPrice = quote.total;
+        if (booking.status !== 'quoted' && booking.canTransitionTo('quoted')) booking.status = 'quoted';
+        await booking.save();
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Quote sent to customer',
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Send quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send quote'
+    });
+  }
+};
+
+// @desc    Record acceptance or rejection on behalf of the customer (Admin only)
+// @route   POST /api/quotes/:id/respond
+// @access  Private/Admin
+const respondToQuote = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quote = await Quote.findById(req.params.id);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (!quote.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${quote.isExpired ? 'expired' : quote.status} quote can no longer be accepted or rejected`
+      });
+    }
+
+    const { action, name, reason } = req.body;
+    await applyResponse(quote, { action, name: name || req.user.name, reason, via: 'admin', req });
+
+    res.json({
+      success: true,
+      message: `Quote ${quote.status}`,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Respond to quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record quote response'
+    });
+  }
+};
+
+// @desc    View a quote from the emailed link
+// @route   GET /api/quotes/view/:token
+// @access  Public (signed token)
+const viewQuote = async (req, res) => {
+  try {
+    const quote = await findQuoteByToken(req.params.token);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    res.type('html').send(renderQuoteDocument(quote));
+
+  } catch (error) {
+    console.error('View quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load quote'
+    });
+  }
+};
+
+// @desc    Accept or reject a quote from the emailed link
+// @route   POST /api/quotes/view/:token
+// @access  Public (signed token)
+const respondToQuoteByToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quote = await findQuoteByToken(req.params.token);
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote not found'
+      });
+    }
+
+    if (!quote.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: quote.status === 'superseded'
+          ? 'This quote has been replaced by a newer version'
+          : 'This quote can no longer be accepted or rejected'
+      });
+    }
+
+    const { action, name, reason } = req.body;
+    await applyResponse(quote, { action, name, reason, via: 'customer', req });
+
+    res.json({
+      success: true,
+      message: action === 'accept'
+        ? 'Thank you! Your quote has been accepted and our team will be in touch.'
+        : 'Your response has been recorded.',
+      data: {
+        quoteNumber: quote.quoteNumber,
+        version: quote.version,
+        status: quote.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Respond to quote by token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record your response'
+    });
+  }
+};
+
+export {
+  createQuote,
+  reviseQuote,
+  getQuotes,
+  getQuote,
+  getQuoteDocument,
+  sendQuote,
+  respondToQuote,
+  viewQuote,
+  respondToQuoteByToken
+};
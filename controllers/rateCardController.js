@@ -0,0 +1,189 @@
+import RateCard from '../models/RateCard.js';
+import { validationResult } from 'express-validator';
+
+const EDITABLE_FIELDS = [
+  'name', 'serviceType', 'currency', 'perValetHour', 'perCar', 'minimumHours',
+  'minimumCharge', 'surcharges', 'vatRate', 'isDefault', 'isActive'
+];
+
+// Only one card can be the fallback default
+const clearOtherDefaults = async (rateCard) => {
+  if (rateCard.isDefault) {
+    await RateCard.updateMany({ _id: { $ne: rateCard._id }, isDefault: true }, { $set: { isDefault: false } });
+  }
+};
+
+// @desc    Create rate card (Admin only)
+// @route   POST /api/pricing/rate-cards
+// @access  Private/Admin
+const createRateCard = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = Object.fromEntries(
+      EDITABLE_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [field, req.body[field]])
+    );
+
+    const rateCard = new RateCard(fields);
+    await rateCard.save();
+    await clearOtherDefaults(rateCard);
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate card created successfully',
+      data: rateCard
+    });
+
+  } catch (error) {
+    console.error('Create rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create rate card'
+    });
+  }
+};
+
+// @desc    Get all rate cards (Admin only)
+// @route   GET /api/pricing/rate-cards
+// @access  Private/Admin
+const getRateCards = async (req, res) => {
+  try {
+    let query = {};
+
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === 'true';
+    }
+
+    const rateCards = await RateCard.find(query).sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: rateCards
+    });
+
+  } catch (error) {
+    console.error('Get rate cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch rate cards'
+    });
+  }
+};
+
+// @desc    Get single rate card (Admin only)
+// @route   GET /api/pricing/rate-cards/:id
+// @access  Private/Admin
+const getRateCard = async (req, res) => {
+  try {
+    const rateCard = await RateCard.findById(req.params.id);
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rateCard
+    });
+
+  } catch (error) {
+    console.error('Get rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch rate card'
+    });
+  }
+};
+
+// @desc    Update rate card (Admin only)
+// @route   PUT /api/pricing/rate-cards/:id
+// @access  Private/Admin
+const updateRateCard = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rateCard = await RateCard.findById(req.params.id);
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) rateCard.set(field, req.body[field]);
+    });
+
+    await rateCard.save();
+    await clearOtherDefaults(rateCard);
+
+    res.json({
+      success: true,
+      message: 'Rate card updated successfully',
+      data: rateCard
+    });
+
+  } catch (error) {
+    console.error('Update rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update rate card'
+    });
+  }
+};
+
+// @desc    Delete rate card (Admin only)
+// @route   DELETE /api/pricing/rate-cards/:id
+// @access  Private/Admin
+const deleteRateCard = async (req, res) => {
+  try {
+    const rateCard = await RateCard.findById(req.params.id);
+
+    if (!rateCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rate card not found'
+      });
+    }
+
+    await rateCard.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Rate card deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete rate card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete rate card'
+    });
+  }
+};
+
+export {
+  createRateCard,
+  getRateCards,
+  getRateCard,
+  updateRateCard,
+  deleteRateCard
+};
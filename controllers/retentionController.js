@@ -0,0 +1,342 @@
+import RetentionPolicy from '../models/RetentionPolicy.js';
+import RetentionRun from '../models/RetentionRun.js';
+import { validationResult } from 'express-validator';
+import { describeTargets, previewPolicy, runRetention, isRetentionRunning } from '../utils/retention.js';
+
+const POLICY_FIELDS = ['name', 'target', 'action', 'fields', 'statuses', 'dateField', 'afterDays', 'enabled'];
+
+// @desc    Get data retention policies (Admin only)
+// @route   GET /api/retention/policies
+// @access  Private (privacy:manage)
+const getRetentionPolicies = async (req, res) => {
+  try {
+    await RetentionPolicy.ensureDefaults();
+
+    const policies = await RetentionPolicy.find()
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: policies,
+      targets: describeTargets()
+    });
+
+  } catch (error) {
+    console.error('Get retention policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch retention policies'
+    });
+  }
+};
+
+// @desc    Create data retention policy (Admin only)
+// @route   POST /api/retention/policies
+// @access  Private (privacy:manage)
+const createRetentionPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = new RetentionPolicy({ createdBy: req.user._id });
+    POLICY_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+
+    await policy.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Retention policy created successfully',
+      data: policy
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((err) => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Create retention policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create retention policy'
+    });
+  }
+};
+
+// @desc    Update data retention policy (Admin only)
+// @route   PUT /api/retention/policies/:id
+// @access  Private (privacy:manage)
+const updateRetentionPolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await RetentionPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retention policy not found'
+      });
+    }
+
+    POLICY_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'Retention policy updated successfully',
+      data: policy
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map((err) => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Update retention policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update retention policy'
+    });
+  }
+};
+
+// @desc    Delete data retention policy (Admin only)
+// @route   DELETE /api/retention/policies/:id
+// @access  Private (privacy:manage)
+const deleteRetentionPolicy = async (req, res) => {
+  try {
+    const policy = await RetentionPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retention policy not found'
+      });
+    }
+
+    if (policy.key) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in retention policies cannot be deleted, disable them instead'
+      });
+    }
+
+    await policy.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Retention policy deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete retention policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete retention policy'
+    });
+  }
+};
+
+// @desc    Dry run: records each enabled policy would clear or anonymise now (Admin only)
+// @route   GET /api/retention/report
+// @access  Private (privacy:manage)
+const getRetentionReport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await RetentionPolicy.ensureDefaults();
+
+    let query = { enabled: true };
+
+    if (req.query.policy) {
+      query = { _id: req.query.policy };
+    }
+
+    const policies = await RetentionPolicy.find(query).sort({ createdAt: 1 });
+    const now = new Date();
+    const report = [];
+
+    for (const policy of policies) {
+      report.push(await previewPolicy(policy, now));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        generatedAt: now,
+        totalAffected: report.reduce((sum, item) => sum + item.affected, 0),
+        policies: report
+      }
+    });
+
+  } catch (error) {
+    console.error('Get retention report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build retention report'
+    });
+  }
+};
+
+// @desc    Run the enabled retention policies now (Admin only)
+// @route   POST /api/retention/run
+// @access  Private (privacy:manage)
+const runRetentionNow = async (req, res) => {
+  try {
+    if (await isRetentionRunning()) {
+      return res.status(409).json({
+        success: false,
+        message: 'A retention run is already in progress'
+      });
+    }
+
+    const run = await RetentionRun.create({
+      trigger: 'manual',
+      triggeredBy: req.user._id
+    });
+
+    setImmediate(() => {
+      runRetention(run).catch((error) => {
+        console.error('Retention run job error:', error);
+      });
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Retention run started',
+      data: {
+        runId: run._id,
+        status: run.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Run retention error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start retention run'
+    });
+  }
+};
+
+// @desc    Get the log of retention runs (Admin only)
+// @route   GET /api/retention/runs
+// @access  Private (privacy:manage)
+const getRetentionRuns = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { status, trigger } = req.query;
+
+    // Build query
+    let query = {};
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (trigger) {
+      query.trigger = trigger;
+    }
+
+    const runs = await RetentionRun.find(query)
+      .populate('triggeredBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await RetentionRun.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: runs,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get retention runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch retention runs'
+    });
+  }
+};
+
+// @desc    Get single retention run (Admin only)
+// @route   GET /api/retention/runs/:id
+// @access  Private (privacy:manage)
+const getRetentionRun = async (req, res) => {
+  try {
+    const run = await RetentionRun.findById(req.params.id)
+      .populate('triggeredBy', 'name email');
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retention run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+
+  } catch (error) {
+    console.error('Get retention run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch retention run'
+    });
+  }
+};
+
+export {
+  getRetentionPolicies,
+  createRetentionPolicy,
+  updateRetentionPolicy,
+  deleteRetentionPolicy,
+  getRetentionReport,
+  runRetentionNow,
+  getRetentionRuns,
+  getRetentionRun
+};
@@ -0,0 +1,143 @@
+import User from '../models/User.js';
+import { validationResult } from 'express-validator';
+import { PERMISSIONS, ROLE_PERMISSIONS, resolveRole } from '../config/permissions.js';
+
+// @desc    Get roles and their permissions
+// @route   GET /api/roles
+// @access  Private (users:manage)
+const getRoles = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        permissions: PERMISSIONS,
+        roles: Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => ({ role, permissions }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles'
+    });
+  }
+};
+
+// @desc    Get users with their role assignments
+// @route   GET /api/roles/users
+// @access  Private (users:manage)
+const getRoleAssignments = async (req, res) => {
+  try {
+    let query = {};
+
+    if (req.query.role) {
+      query.role = req.query.role;
+    }
+
+    const users = await User.find(query)
+      .select('name email role isActive lastLogin')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: users.map((user) => ({
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isActive: user.isActive,
+        lastLogin: user.lastLogin,
+        permissions: user.getPermissions()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get role assignments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch role assignments'
+    });
+  }
+};
+
+// @desc    Assign a role to a user
+// @route   PUT /api/roles/users/:id
+// @access  Private (users:manage)
+const assignRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { role } = req.body;
+
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (resolveRole(role) === 'owner' && resolveRole(req.user.role) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an owner can assign the owner role'
+      });
+    }
+
+    // Keep at least one active owner so the account can still be administered
+    if (role !== 'owner' && await user.isLastActiveOwner()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the role of the last owner'
+      });
+    }
+
+    if (!await user.changeAccessKeepingOwner({ role })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot change the role of the last owner'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: user.getPermissions()
+      }
+    });
+
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role'
+    });
+  }
+};
+
+export {
+  getRoles,
+  getRoleAssignments,
+  assignRole
+};
@@ -0,0 +1,141 @@
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { recordAudit } from '../utils/audit.js';
+
+// @desc    Get login sessions of any user (Admin only)
+// @route   GET /api/sessions
+// @access  Private (users:manage)
+const getSessions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { user, active } = req.query;
+
+    // Build query
+    let query = {};
+
+    if (user) {
+      query.user = user;
+    }
+
+    if (active === 'true') {
+      Object.assign(query, { revokedAt: null, expiresAt: { $gt: new Date() } });
+    } else if (active === 'false') {
+      query.$or = [{ revokedAt: { $ne: null } }, { expiresAt: { $lte: new Date() } }];
+    }
+
+    const sessions = await Session.find(query)
+      .populate('user', 'name email role')
+      .sort({ lastUsedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Session.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: sessions,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+};
+
+// @desc    Revoke a single session (Admin only)
+// @route   DELETE /api/sessions/:id
+// @access  Private (users:manage)
+const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (!session.revokedAt) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'admin';
+      await session.save();
+
+      await recordAudit({
+        action: 'auth.session-revoke',
+        entityType: 'Session',
+        entityId: session._id,
+        metadata: { user: session.user }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: session
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+};
+
+// @desc    Revoke every session of a user (Admin only)
+// @route   DELETE /api/sessions/user/:userId
+// @access  Private (users:manage)
+const revokeUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await Session.revokeAllForUser(user._id, 'admin');
+
+    await recordAudit({
+      action: 'auth.session-revoke',
+      entityType: 'User',
+      entityId: user._id,
+      metadata: { revokedSessions: result.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: `Revoked ${result.modifiedCount} session(s)`,
+      data: {
+        revoked: result.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions'
+    });
+  }
+};
+
+export {
+  getSessions,
+  revokeSession,
+  revokeUserSessions
+};
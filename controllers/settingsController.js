@@ -0,0 +1,346 @@
+import OrgSettings from '../models/OrgSettings.js';
+import User from '../models/User.js';
+import { validationResult } from 'express-validator';
+
+// @desc    Get organisation settings (Admin only)
+// @route   GET /api/settings
+// @access  Private (users:manage)
+const getSettings = async (req, res) => {
+  try {
+    const settings = await OrgSettings.getSettings();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch settings'
+    });
+  }
+};
+
+// @desc    Update security settings (Admin only)
+// @route   PUT /api/settings/security
+// @access  Private (users:manage)
+const updateSecuritySettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await OrgSettings.getSettings();
+    const { requireTwoFactorRoles } = req.body;
+
+    if (requireTwoFactorRoles !== undefined) {
+      settings.security.requireTwoFactorRoles = [...new Set(requireTwoFactorRoles)];
+    }
+
+    await settings.save();
+    // Refresh the cached copy used by the auth middleware
+    await OrgSettings.getSettings();
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully',
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update security settings'
+    });
+  }
+};
+
+// @desc    Get contact assignment settings
+// @route   GET /api/settings/assignment
+// @access  Private (contacts:assign)
+const getAssignmentSettings = async (req, res) => {
+  try {
+    // Populated separately so the cached settings keep plain user IDs
+    await OrgSettings.getSettings();
+    const settings = await OrgSettings.findOne({ key: 'org' })
+      .populate('assignment.rules.assignees', 'name email role isActive');
+
+    res.json({
+      success: true,
+      data: settings.assignment
+    });
+
+  } catch (error) {
+    console.error('Get assignment settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch assignment settings'
+    });
+  }
+};
+
+// @desc    Update contact assignment settings
+// @route   PUT /api/settings/assignment
+// @access  Private (contacts:assign)
+const updateAssignmentSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { autoAssign, strategy, roles, rules } = req.body;
+
+    if (rules !== undefined) {
+      const assigneeIds = [...new Set(rules.flatMap((rule) => rule.assignees || []))];
+      const found = await User.countDocuments({ _id: { $in: assigneeIds } });
+
+      if (found !== assigneeIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Every rule assignee must be an existing user'
+        });
+      }
+    }
+
+    const settings = await OrgSettings.getSettings();
+
+    if (autoAssign !== undefined) settings.assignment.autoAssign = autoAssign;
+    if (strategy !== undefined) settings.assignment.strategy = strategy;
+    if (roles !== undefined) settings.assignment.roles = [...new Set(roles)];
+    if (rules !== undefined) settings.assignment.rules = rules;
+
+    await settings.save();
+    // Refresh the cached copy used when contacts are assigned
+    await OrgSettings.getSettings();
+
+    res.json({
+      success: true,
+      message: 'Assignment settings updated successfully',
+      data: settings.assignment
+    });
+
+  } catch (error) {
+    console.error('Update assignment settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update assignment settings'
+    });
+  }
+};
+
+// @desc    Get first-response SLA targets
+// @route   GET /api/settings/sla
+// @access  Private (contacts:assign)
+const getSlaSettings = async (req, res) => {
+  try {
+    const settings = await OrgSettings.getSettings();
+
+    res.json({
+      success: true,
+      data: settings.sla
+    });
+
+  } catch (error) {
+    console.error('Get SLA settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch SLA settings'
+    });
+  }
+};
+
+// @desc    Update first-response SLA targets (applies to contacts created afterwards)
+// @route   PUT /api/settings/sla
+// @access  Private (contacts:assign)
+const updateSlaSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await OrgSettings.getSettings();
+    const { firstResponseHours = {} } = req.body;
+
+    ['low', 'medium', 'high', 'urgent'].forEach((priority) => {
+      if (firstResponseHours[priority] !== undefined) {
+        settings.sla.firstResponseHours[priority] = firstResponseHours[priority];
+      }
+    });
+
+    await settings.save();
+    // Refresh the cached copy used when contacts are saved
+    await OrgSettings.getSettings();
+
+    res.json({
+      success: true,
+      message: 'SLA settings updated successfully',
+      data: settings.sla
+    });
+
+  } catch (error) {
+    console.error('Update SLA settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update SLA settings'
+    });
+  }
+};
+
+// @desc    Get contact status transitions and required fields
+// @route   GET /api/settings/contact-pipeline
+// @access  Private (contacts:assign)
+const getContactPipelineSettings = async (req, res) => {
+  try {
+    const settings = await OrgSettings.getSettings();
+
+    res.json({
+      success: true,
+      data: settings.contactPipeline
+    });
+
+  } catch (error) {
+    console.error('Get contact pipeline settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch contact pipeline settings'
+    });
+  }
+};
+
+// @desc    Update contact status transitions and required fields
+// @route   PUT /api/settings/contact-pipeline
+// @access  Private (contacts:assign)
+const updateContactPipelineSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await OrgSettings.getSettings();
+    const { transitions, requiredFields } = req.body;
+
+    // Only the statuses sent are changed
+    Object.entries(transitions || {}).forEach(([status, next]) => {
+      settings.contactPipeline.transitions.set(status, [...new Set(next)]);
+    });
+
+    Object.entries(requiredFields || {}).forEach(([status, fields]) => {
+      settings.contactPipeline.requiredFields.set(status, [...new Set(fields)]);
+    });
+
+    await settings.save();
+    // Refresh the cached copy used when contact statuses change
+    await OrgSettings.getSettings();
+
+    res.json({
+      success: true,
+      message: 'Contact pipeline settings updated successfully',
+      data: settings.contactPipeline
+    });
+
+  } catch (error) {
+    console.error('Update contact pipeline settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update contact pipeline settings'
+    });
+  }
+};
+
+// @desc    Get spam protection settings for the public forms
+// @route   GET /api/settings/spam
+// @access  Private (users:manage)
+const getSpamSettings = async (req, res) => {
+  try {
+    const settings = await OrgSettings.getSettings();
+
+    res.json({
+      success: true,
+      data: settings.spam
+    });
+
+  } catch (error) {
+    console.error('Get spam settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch spam settings'
+    });
+  }
+};
+
+// @desc    Update spam protection settings for the public forms
+// @route   PUT /api/settings/spam
+// @access  Private (users:manage)
+const updateSpamSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settings = await OrgSettings.getSettings();
+
+    ['blockedKeywords', 'maxLinks', 'minFillSeconds', 'blockedDomains'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        settings.spam[field] = Array.isArray(req.body[field]) ? [...new Set(req.body[field])] : req.body[field];
+      }
+    });
+
+    await settings.save();
+    // Refresh the cached copy used when forms are submitted
+    await OrgSettings.getSettings();
+
+    res.json({
+      success: true,
+      message: 'Spam settings updated successfully',
+      data: settings.spam
+    });
+
+  } catch (error) {
+    console.error('Update spam settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update spam settings'
+    });
+  }
+};
+
+export {
+  getSettings,
+  updateSecuritySettings,
+  getAssignmentSettings,
+  updateAssignmentSettings,
+  getSlaSettings,
+  updateSlaSettings,
+  getContactPipelineSettings,
+  updateContactPipelineSettings,
+  getSpamSettings,
+  updateSpamSettings
+};
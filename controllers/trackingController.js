@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import Campaign from '../models/Campaign.js';
+import EmailEvent from '../models/EmailEvent.js';
+import EmailSubscription from '../models/EmailSubscription.js';
+import { parseTrackingToken } from '../utils/trackingLinks.js';
+
+// 1x1 transparent GIF
+const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const isValidIds = ({ campaignId, subscriptionId }) => {
+  return mongoose.isValidObjectId(campaignId) && mongoose.isValidObjectId(subscriptionId);
+};
+
+// Insert the event unless the unique index already holds one; returns whether it was inserted.
+// Two concurrent upserts can both miss the filter, the loser fails with a duplicate key.
+const upsertFirstEvent = async (filter, fields) => {
+  try {
+    const result = await EmailEvent.updateOne(filter, { $setOnInsert: fields }, { upsert: true });
+    return result.upsertedCount > 0;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const describeClient = (req) => ({
+  ipAddress: req.ip || req.connection.remoteAddress,
+  userAgent: req.get('User-Agent')
+});
+
+// Record the first open of a campaign by a subscriber, repeats are ignored
+const recordOpen = async ({ campaignId, subscriptionId }, req) => {
+  const now = new Date();
+
+  const isFirstOpen = await upsertFirstEvent(
+    { campaign: campaignId, subscription: subscriptionId, type: 'open' },
+    describeClient(req)
+  );
+
+  if (!isFirstOpen) return;
+
+  await EmailSubscription.updateOne(
+    { _id: subscriptionId },
+    { $inc: { emailsOpened: 1 }, $set: { lastEmailOpened: now } }
+  );
+  await Campaign.updateOne({ _id: campaignId }, { $inc: { 'stats.uniqueOpens': 1 } });
+};
+
+// @desc    Tracking pixel for email opens
+// @route   GET /api/email/track/open/:token.gif
+// @access  Public (signed token)
+const trackOpen = async (req, res) => {
+  try {
+    const payload = parseTrackingToken(req.params.token, 'open');
+
+    if (payload && isValidIds(payload)) {
+      await recordOpen(payload, req);
+    }
+  } catch (error) {
+    console.error('Track open error:', error);
+  }
+
+  // Always answer with the pixel so a tracking failure never shows a broken image
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.send(TRACKING_PIXEL);
+};
+
+// @desc    Record a link click and redirect to the signed destination
+// @route   GET /api/email/track/click/:token
+// @access  Public (signed token)
+const trackClick = async (req, res) => {
+  const payload = parseTrackingToken(req.params.token, 'click');
+
+  // Only URLs signed at send time are ever redirected to
+  if (!payload || !/^https?:\/\//i.test(payload.url || '')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid tracking link'
+    });
+  }
+
+  try {
+    if (isValidIds(payload)) {
+      const { campaignId, subscriptionId, url } = payload;
+
+      // The first click is stored by an upsert on a unique index so concurrent clicks count once
+      const isFirstClick = await upsertFirstEvent(
+        { campaign: campaignId, subscription: subscriptionId, type: 'click', isFirst: true },
+        { url, ...describeClient(req) }
+      );
+
+      if (isFirstClick) {
+        await EmailSubscription.updateOne(
+          { _id: subscriptionId },
+          { $inc: { emailsClicked: 1 }, $set: { lastEmailClicked: new Date() } }
+        );
+        await Campaign.updateOne({ _id: campaignId }, { $inc: { 'stats.uniqueClicks': 1 } });
+      } else {
+        await EmailEvent.create({
+          type: 'click',
+          campaign: campaignId,
+          subscription: subscriptionId,
+          url,
+          ...describeClient(req)
+        });
+      }
+
+      // A click proves the email was opened even if images were blocked
+      await recordOpen(payload, req);
+    }
+  } catch (error) {
+    console.error('Track click error:', error);
+  }
+
+  res.redirect(302, payload.url);
+};
+
+export {
+  trackOpen,
+  trackClick
+};
@@ -0,0 +1,344 @@
+import User from '../models/User.js';
+import OrgSettings from '../models/OrgSettings.js';
+import { validationResult } from 'express-validator';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri, encryptSecret, decryptSecret } from '../utils/totp.js';
+import {
+  generateRecoveryCodes,
+  isTwoFactorLocked,
+  verifySecondFactor,
+  parseLoginChallenge,
+  countRemainingRecoveryCodes,
+  TWO_FACTOR_SECRETS
+} from '../utils/twoFactor.js';
+import { buildLoginResponse } from '../utils/sessions.js';
+import { recordLoginAttempt } from '../utils/loginProtection.js';
+
+const lockedResponse = (res) => {
+  return res.status(429).json({
+    success: false,
+    message: 'Too many invalid codes, please try again in 15 minutes'
+  });
+};
+
+// @desc    Get two-factor status for the current user
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+    const settings = await OrgSettings.getCached();
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: settings.requiresTwoFactor(user.role),
+        recoveryCodesRemaining: countRemainingRecoveryCodes(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor status'
+    });
+  }
+};
+
+// @desc    Start two-factor enrolment and return the authenticator secret
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email })
+      }
+    });
+
+  } catch (error) {
+    console.error('Setup 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+};
+
+// @desc    Confirm enrolment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, recoveryCodes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes;
+    user.twoFactor.failedAttempts = 0;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe, they are only shown once.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Enable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+};
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const settings = await OrgSettings.getCached();
+    if (settings.requiresTwoFactor(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    if (isTwoFactorLocked(user)) {
+      return lockedResponse(res);
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    const isCodeValid = isPasswordValid && verifySecondFactor(user, req.body);
+
+    if (!isCodeValid) {
+      await user.save();
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.enabledAt = null;
+    user.twoFactor.secret = null;
+    user.twoFactor.lastUsedStep = -1;
+    user.twoFactor.recoveryCodes = [];
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+// @desc    Replace all recovery codes with a new set
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (isTwoFactorLocked(user)) {
+      return lockedResponse(res);
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      await user.save();
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, recoveryCodes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated, the old ones no longer work',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes'
+    });
+  }
+};
+
+// @desc    Finish a login with an authenticator or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires login challenge token)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = parseLoginChallenge(req.body.challengeToken);
+    const user = userId ? await User.findById(userId).select(TWO_FACTOR_SECRETS) : null;
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    if (isTwoFactorLocked(user)) {
+      return lockedResponse(res);
+    }
+
+    const isValid = verifySecondFactor(user, req.body);
+    await user.save();
+
+    if (!isValid) {
+      await recordLoginAttempt(req, { user, success: false, reason: 'invalid-two-factor-code' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await user.updateLastLogin();
+    await recordLoginAttempt(req, { user, success: true, reason: 'two-factor' });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        ...(await buildLoginResponse(user, req)),
+        recoveryCodesRemaining: countRemainingRecoveryCodes(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify 2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify authentication code'
+    });
+  }
+};
+
+export {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+};
@@ -0,0 +1,446 @@
+import User from '../models/User.js';
+import Contact from '../models/Contact.js';
+import Booking from '../models/Booking.js';
+import Session from '../models/Session.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import { validationResult } from 'express-validator';
+import { resolveRole } from '../config/permissions.js';
+import { reassignUserContacts } from '../utils/assignment.js';
+
+// Public view of a user (never the password hash or 2FA secrets)
+const toUserResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  permissions: user.getPermissions(),
+  isActive: user.isActive,
+  twoFactorEnabled: user.twoFactor.enabled,
+  lockedUntil: user.isLocked() ? user.lockedUntil : null,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// @desc    Get all users (Admin only)
+// @route   GET /api/users
+// @access  Private (users:manage)
+const getUsers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { role, active, search } = req.query;
+
+    // Build query
+    let query = {};
+
+    if (role) {
+      query.role = role;
+    }
+
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: users.map(toUserResponse),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users'
+    });
+  }
+};
+
+// @desc    Get single user (Admin only)
+// @route   GET /api/users/:id
+// @access  Private (users:manage)
+const getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [assignedContacts, activeSessions] = await Promise.all([
+      Contact.countDocuments({ assignedTo: user._id }),
+      Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...toUserResponse(user),
+        assignedContacts,
+        activeSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user'
+    });
+  }
+};
+
+// @desc    Update user name and role (Admin only)
+// @route   PUT /api/users/:id
+// @access  Private (users:manage)
+const updateUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, role } = req.body;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (role !== undefined && role !== user.role) {
+      if (req.user._id.equals(user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot change your own role'
+        });
+      }
+
+      if (resolveRole(role) === 'owner' && resolveRole(req.user.role) !== 'owner') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only an owner can assign the owner role'
+        });
+      }
+
+      if (role !== 'owner' && await user.isLastActiveOwner()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change the role of the last owner'
+        });
+      }
+
+      if (!await user.changeAccessKeepingOwner({ role })) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot change the role of the last owner'
+        });
+      }
+    }
+
+    if (name !== undefined) user.name = name;
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: toUserResponse(user)
+    });
+
+  } catch (error) {
+    console.error('Update user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user'
+    });
+  }
+};
+
+// @desc    Activate or deactivate a user (Admin only)
+// @route   PUT /api/users/:id/status
+// @access  Private (users:manage)
+const updateUserStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { isActive } = req.body;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!isActive) {
+      if (req.user._id.equals(user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot deactivate your own account'
+        });
+      }
+
+      if (await user.isLastActiveOwner()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot deactivate the last owner'
+        });
+      }
+    }
+
+    if (!await user.changeAccessKeepingOwner({ isActive })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot deactivate the last owner'
+      });
+    }
+
+    // A deactivated user is signed out everywhere and their open contacts go to other users
+    let contacts = null;
+
+    if (!isActive) {
+      await Session.revokeAllForUser(user._id, 'deactivated');
+      contacts = await reassignUserContacts(user, { assignedBy: req.user._id });
+    }
+
+    res.json({
+      success: true,
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: contacts
+        ? { ...toUserResponse(user), contactsReassigned: contacts.reassigned, contactsUnassigned: contacts.unassigned }
+        : toUserResponse(user)
+    });
+
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user status'
+    });
+  }
+};
+
+// @desc    Delete user and hand over their assigned records (Admin only)
+// @route   DELETE /api/users/:id
+// @access  Private (users:manage)
+const deleteUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (req.user._id.equals(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    if (await user.isLastActiveOwner()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete the last owner'
+      });
+    }
+
+    // Contacts and bookings go to another active user, or become unassigned
+    const { reassignTo } = req.body;
+    let newAssignee = null;
+
+    if (reassignTo) {
+      newAssignee = await User.findOne({ _id: reassignTo, isActive: true });
+
+      if (!newAssignee || newAssignee._id.equals(user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reassignment target must be another active user'
+        });
+      }
+    }
+
+    // Deactivate first so a concurrent change cannot leave the account without an owner
+    if (!await user.changeAccessKeepingOwner({ isActive: false })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot delete the last owner'
+      });
+    }
+
+    const reassignment = { $set: { assignedTo: newAssignee?._id || null } };
+    const [contacts, bookings] = await Promise.all([
+      Contact.updateMany({ assignedTo: user._id }, {
+        ...reassignment,
+        $push: {
+          assignmentHistory: {
+            from: user._id,
+            to: newAssignee?._id || null,
+            assignedBy: req.user._id,
+            method: 'reassignment',
+            reason: `${user.name} was deleted`,
+            at: new Date()
+          }
+        }
+      }),
+      Booking.updateMany({ assignedTo: user._id }, reassignment)
+    ]);
+
+    await Session.revokeAllForUser(user._id, 'deactivated');
+    await user.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully',
+      data: {
+        reassignedTo: newAssignee ? { id: newAssignee._id, name: newAssignee.name } : null,
+        contactsReassigned: contacts.modifiedCount,
+        bookingsReassigned: bookings.modifiedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete user'
+    });
+  }
+};
+
+// @desc    Unlock an account locked after failed logins (Admin only)
+// @route   POST /api/users/:id/unlock
+// @access  Private (users:manage)
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.lockedUntil = null;
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = null;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+};
+
+// @desc    Get login history of a user (Admin only)
+// @route   GET /api/users/:id/logins
+// @access  Private (users:manage)
+const getUserLogins = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    let query = { user: req.params.id };
+
+    if (req.query.success !== undefined) {
+      query.success = req.query.success === 'true';
+    }
+
+    const logins = await LoginAttempt.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await LoginAttempt.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: logins,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user logins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch login history'
+    });
+  }
+};
+
+export {
+  getUsers,
+  getUser,
+  updateUser,
+  updateUserStatus,
+  deleteUser,
+  unlockUser,
+  getUserLogins
+};
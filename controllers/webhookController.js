@@ -0,0 +1,102 @@
+import EmailEvent from '../models/EmailEvent.js';
+import EmailSubscription from '../models/EmailSubscription.js';
+import CampaignDelivery from '../models/CampaignDelivery.js';
+import { getWebhookProvider } from '../utils/webhookProviders.js';
+
+// Apply one normalised bounce/complaint event to the matching subscriber.
+// Trashed subscriptions are included so a restored address keeps its suppression.
+const applyEvent = async (event, provider) => {
+  const subscription = await EmailSubscription.findOne({ email: event.email.toLowerCase().trim() })
+    .setOptions({ withDeleted: true });
+  if (!subscription) return false;
+
+  const delivery = event.messageId
+    ? await CampaignDelivery.findOne({ messageId: event.messageId }).select('campaign')
+    : null;
+
+  await EmailEvent.create({
+    type: event.type,
+    subscription: subscription._id,
+    campaign: delivery?.campaign || null,
+    bounceType: event.bounceType || null,
+    provider,
+    reason: event.reason
+  });
+
+  if (event.type === 'bounce') {
+    await subscription.recordBounce(event.bounceType, event.reason);
+  } else {
+    await subscription.recordComplaint(event.reason);
+  }
+
+  return true;
+};
+
+// @desc    Receive bounce and complaint notifications from a mail provider
+// @route   POST /api/email/webhooks/:provider
+// @access  Public (provider signature)
+const handleWebhook = async (req, res) => {
+  try {
+    const provider = getWebhookProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown webhook provider'
+      });
+    }
+
+    let isValid = false;
+    try {
+      isValid = await provider.verify(req);
+    } catch (error) {
+      console.error('Webhook signature verification error:', error.message);
+    }
+
+    if (!isValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = provider.parse(req);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Malformed webhook payload'
+      });
+    }
+
+    if (parsed.confirm) {
+      await parsed.confirm();
+    }
+
+    let processed = 0;
+    for (const event of parsed.events) {
+      if (await applyEvent(event, req.params.provider)) processed += 1;
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook processed',
+      data: {
+        received: parsed.events.length,
+        processed
+      }
+    });
+
+  } catch (error) {
+    console.error('Webhook processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+};
+
+export {
+  handleWebhook
+};
@@ -0,0 +1,127 @@
+import Contact from '../models/Contact.js';
+import { getWhatsAppProvider } from '../utils/whatsappProviders.js';
+import { captureInteraction, normaliseLeadPhone } from '../utils/leadCapture.js';
+
+// Sender numbers the Contact model accepts (10-15 digits)
+const isValidSender = (from) => /^[0-9]{10,15}$/.test(String(from || '').replace(/\D/g, ''));
+
+// Add one normalised message to the sender's open contact, or start a new contact.
+// Messages the provider redelivers are recognised by their message ID and skipped, as are
+// messages that cannot be stored, so the provider does not keep retrying them.
+const applyMessage = async (message) => {
+  if (!message.externalId || !String(message.text || '').trim() || !isValidSender(message.from)) return false;
+
+  const seen = await Contact.exists({ 'interactions.externalId': message.externalId })
+    .setOptions({ withDeleted: true, withQuarantined: true });
+  if (seen) return false;
+
+  try {
+    const result = await captureInteraction({
+      source: 'whatsapp',
+      name: (String(message.name || '').trim() || normaliseLeadPhone(message.from)).slice(0, 100),
+      phone: message.from,
+      interaction: {
+        direction: 'inbound',
+        body: String(message.text).slice(0, 2000),
+        externalId: message.externalId,
+        at: message.at
+      }
+    });
+    return !result.duplicate;
+  } catch (error) {
+    // A concurrent delivery of the same message started the contact first
+    if (error.code === 11000) return false;
+
+    if (error.name === 'ValidationError') {
+      console.error('WhatsApp message skipped:', error.message);
+      return false;
+    }
+    throw error;
+  }
+};
+
+// @desc    Answer the subscription handshake sent when the webhook is registered
+// @route   GET /api/whatsapp/webhooks/:provider
+// @access  Public (verify token)
+const verifyWhatsAppWebhook = (req, res) => {
+  const expected = process.env.WHATSAPP_VERIFY_TOKEN;
+
+  if (
+    expected &&
+    req.query['hub.mode'] === 'subscribe' &&
+    req.query['hub.verify_token'] === expected
+  ) {
+    return res.status(200).send(String(req.query['hub.challenge'] || ''));
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Invalid verify token'
+  });
+};
+
+// @desc    Receive inbound WhatsApp messages
+// @route   POST /api/whatsapp/webhooks/:provider
+// @access  Public (provider signature)
+const handleWhatsAppWebhook = async (req, res) => {
+  try {
+    const provider = getWhatsAppProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown webhook provider'
+      });
+    }
+
+    let isValid = false;
+    try {
+      isValid = await provider.verify(req);
+    } catch (error) {
+      console.error('WhatsApp signature verification error:', error.message);
+    }
+
+    if (!isValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = provider.parse(req);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Malformed webhook payload'
+      });
+    }
+
+    let processed = 0;
+    for (const message of parsed.messages) {
+      if (await applyMessage(message)) processed += 1;
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook processed',
+      data: {
+        received: parsed.messages.length,
+        processed
+      }
+    });
+
+  } catch (error) {
+    console.error('WhatsApp webhook processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+};
+
+export {
+  verifyWhatsAppWebhook,
+  handleWhatsAppWebhook
+};
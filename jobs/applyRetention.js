@@ -0,0 +1,18 @@
+import RetentionRun from '../models/RetentionRun.js';
+import { runRetention, isRetentionRunning } from '../utils/retention.js';
+
+// Apply the data retention policies and log the run
+const applyRetention = async () => {
+  if (await isRetentionRunning()) return 0;
+
+  const run = await RetentionRun.create({ trigger: 'schedule' });
+  await runRetention(run);
+
+  if (run.totalAffected > 0) {
+    console.log(`🧹 Retention policies cleared or anonymised ${run.totalAffected} record(s)`);
+  }
+
+  return run.totalAffected;
+};
+
+export default applyRetention;
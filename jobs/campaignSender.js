@@ -0,0 +1,137 @@
+import Campaign from '../models/Campaign.js';
+import CampaignDelivery from '../models/CampaignDelivery.js';
+import EmailSubscription from '../models/EmailSubscription.js';
+import { sendMail } from '../utils/mailer.js';
+import { buildAudienceQuery } from '../utils/segments.js';
+import { renderCampaignEmail } from '../utils/campaignRenderer.js';
+
+const MAX_ATTEMPTS = 3;
+
+let isRunning = false;
+
+// Create a pending delivery row for every recipient in the campaign audience
+const buildDeliveries = async (campaign) => {
+  const cursor = EmailSubscription.find(buildAudienceQuery(campaign.segment, campaign.category))
+    .select('_id email')
+    .cursor();
+
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    // ordered:false lets a restarted build skip rows that already exist
+    await CampaignDelivery.insertMany(batch, { ordered: false }).catch((error) => {
+      if (error.code !== 11000 && !error.writeErrors) throw error;
+    });
+    batch = [];
+  };
+
+  for (let subscription = await cursor.next(); subscription; subscription = await cursor.next()) {
+    batch.push({ campaign: campaign._id, subscription: subscription._id, email: subscription.email });
+    if (batch.length >= 500) await flush();
+  }
+  await flush();
+
+  campaign.stats.recipients = await CampaignDelivery.countDocuments({ campaign: campaign._id });
+  campaign.audienceBuiltAt = new Date();
+  await campaign.save();
+};
+
+// Send one delivery, re-checking the subscriber is still eligible at send time
+const sendDelivery = async (campaign, delivery) => {
+  const subscription = await EmailSubscription.findOne({
+    _id: delivery.subscription,
+    status: 'active',
+    isVerified: true,
+    [`preferences.${campaign.category}`]: true
+  });
+
+  if (!subscription) {
+    delivery.status = 'skipped';
+    await delivery.save();
+    return;
+  }
+
+  try {
+    const info = await sendMail(renderCampaignEmail(campaign, subscription));
+
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.messageId = info?.messageId || null;
+    delivery.attempts += 1;
+    await delivery.save();
+
+    await EmailSubscription.updateOne(
+      { _id: subscription._id },
+      { $inc: { emailsSent: 1 }, $set: { lastEmailSent: delivery.sentAt } }
+    );
+  } catch (error) {
+    delivery.attempts += 1;
+    delivery.lastError = error.message;
+    if (delivery.attempts >= MAX_ATTEMPTS) delivery.status = 'failed';
+    await delivery.save();
+  }
+};
+
+// Refresh campaign counters and mark it sent once nothing is pending
+const updateCampaignProgress = async (campaign) => {
+  const counts = await CampaignDelivery.aggregate([
+    { $match: { campaign: campaign._id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const byStatus = Object.fromEntries(counts.map((entry) => [entry._id, entry.count]));
+
+  const update = {
+    'stats.sent': byStatus.sent || 0,
+    'stats.failed': byStatus.failed || 0,
+    'stats.skipped': byStatus.skipped || 0
+  };
+
+  if (!byStatus.pending) {
+    update.status = 'sent';
+    update.completedAt = new Date();
+  }
+
+  // Conditional on 'sending' so a cancellation made mid-batch is not overwritten
+  await Campaign.updateOne({ _id: campaign._id, status: 'sending' }, { $set: update });
+};
+
+// Start due scheduled campaigns and push the next batch of every sending campaign
+const processCampaigns = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const batchSize = parseInt(process.env.CAMPAIGN_BATCH_SIZE) || 100;
+
+    // Claim due campaigns one at a time so only one worker picks each up
+    let due;
+    while ((due = await Campaign.findOneAndUpdate(
+      { status: 'scheduled', scheduledAt: { $lte: new Date() } },
+      { $set: { status: 'sending', startedAt: new Date() } },
+      { new: true }
+    ))) {
+      console.log(`📨 Starting campaign "${due.name}"`);
+    }
+
+    const sending = await Campaign.find({ status: 'sending' });
+
+    for (const campaign of sending) {
+      if (!campaign.audienceBuiltAt) {
+        await buildDeliveries(campaign);
+      }
+
+      const deliveries = await CampaignDelivery.find({ campaign: campaign._id, status: 'pending' })
+        .limit(batchSize);
+
+      for (const delivery of deliveries) {
+        await sendDelivery(campaign, delivery);
+      }
+
+      await updateCampaignProgress(campaign);
+    }
+  } finally {
+    isRunning = false;
+  }
+};
+
+export default processCampaigns;
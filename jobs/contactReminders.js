@@ -0,0 +1,56 @@
+import Contact from '../models/Contact.js';
+import { sendMail } from '../utils/mailer.js';
+import { contactReminderEmail } from '../utils/emailTemplates.js';
+import { buildContactUrl } from '../utils/assignment.js';
+import { followUpDueQuery, slaOverdueQuery } from '../utils/sla.js';
+
+// Email the assignee about a contact; unassigned contacts are only flagged
+const remindAssignee = async (contact, reason) => {
+  if (!contact.assignedTo?.isActive) return;
+
+  try {
+    await sendMail({
+      to: contact.assignedTo.email,
+      ...contactReminderEmail({
+        name: contact.assignedTo.name,
+        contact,
+        reason,
+        contactUrl: buildContactUrl(contact._id)
+      })
+    });
+  } catch (error) {
+    console.error('Contact reminder error:', error);
+  }
+};
+
+// Flag first-response SLA breaches and remind assignees of due follow-ups
+const contactReminders = async () => {
+  const now = new Date();
+
+  const breaches = await Contact.find({ ...slaOverdueQuery(now), 'sla.breached': false })
+    .populate('assignedTo', 'name email isActive');
+
+  for (const contact of breaches) {
+    await Contact.updateOne(
+      { _id: contact._id },
+      { $set: { 'sla.breached': true, 'sla.breachedAt': contact.sla.firstResponseDueAt } }
+    );
+    await remindAssignee(contact, 'sla');
+  }
+
+  const followUps = await Contact.find({ ...followUpDueQuery(now), followUpNotifiedAt: null })
+    .populate('assignedTo', 'name email isActive');
+
+  for (const contact of followUps) {
+    await Contact.updateOne({ _id: contact._id }, { $set: { followUpNotifiedAt: now } });
+    await remindAssignee(contact, 'follow-up');
+  }
+
+  if (breaches.length + followUps.length > 0) {
+    console.log(`⏰ Flagged ${breaches.length} SLA breach(es) and ${followUps.length} due follow-up(s)`);
+  }
+
+  return breaches.length + followUps.length;
+};
+
+export default contactReminders;
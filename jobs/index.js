@@ -0,0 +1,63 @@
+import purgeUnverifiedSubscriptions from './purgeUnverified.js';
+import processCampaigns from './campaignSender.js';
+import markOverdueInvoices from './markOverdueInvoices.js';
+import purgeTrash from './purgeTrash.js';
+import applyRetention from './applyRetention.js';
+import contactReminders from './contactReminders.js';
+
+// Background jobs run on a fixed interval inside the API process
+const jobs = [
+  {
+    name: 'purge-unverified-subscriptions',
+    intervalMs: 60 * 60 * 1000, // hourly
+    run: purgeUnverifiedSubscriptions
+  },
+  {
+    name: 'send-campaigns',
+    intervalMs: (parseInt(process.env.CAMPAIGN_WORKER_INTERVAL_SECONDS) || 30) * 1000,
+    run: processCampaigns
+  },
+  {
+    name: 'mark-overdue-invoices',
+    intervalMs: 60 * 60 * 1000, // hourly
+    run: markOverdueInvoices
+  },
+  {
+    name: 'purge-trash',
+    intervalMs: 60 * 60 * 1000, // hourly
+    run: purgeTrash
+  },
+  {
+    name: 'apply-retention',
+    intervalMs: (parseInt(process.env.RETENTION_INTERVAL_HOURS) || 24) * 60 * 60 * 1000,
+    run: applyRetention
+  },
+  {
+    name: 'contact-reminders',
+    intervalMs: (parseInt(process.env.CONTACT_REMINDER_INTERVAL_MINUTES) || 5) * 60 * 1000,
+    run: contactReminders
+  }
+];
+
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  }
+};
+
+// Start all background jobs (set DISABLE_JOBS=true to run the API without them)
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') return;
+
+  jobs.forEach((job) => {
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+  });
+
+  console.log(`⏱️  Started ${jobs.length} background job(s)`);
+};
+
+export { startJobs };
+export default startJobs;
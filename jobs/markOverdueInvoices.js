@@ -0,0 +1,14 @@
+import Invoice from '../models/Invoice.js';
+
+// Flag unpaid invoices whose due date has passed
+const markOverdueInvoices = async () => {
+  const result = await Invoice.markOverdue();
+
+  if (result.modifiedCount > 0) {
+    console.log(`🧾 Marked ${result.modifiedCount} invoice(s) as overdue`);
+  }
+
+  return result.modifiedCount;
+};
+
+export default markOverdueInvoices;
@@ -0,0 +1,35 @@
+import Contact from '../models/Contact.js';
+import EmailSubscription from '../models/EmailSubscription.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Permanently remove contacts and subscriptions that stayed in the trash or in spam
+// quarantine past their retention periods
+const purgeTrash = async () => {
+  const trashDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+  const spamDays = parseInt(process.env.SPAM_RETENTION_DAYS) || 30;
+  const trashCutoff = new Date(Date.now() - trashDays * DAY_MS);
+  const spamCutoff = new Date(Date.now() - spamDays * DAY_MS);
+
+  const [contacts, subscriptions, spamContacts, spamSubscriptions] = await Promise.all([
+    Contact.purgeDeleted(trashCutoff),
+    EmailSubscription.purgeDeleted(trashCutoff),
+    Contact.purgeQuarantined(spamCutoff),
+    EmailSubscription.purgeQuarantined(spamCutoff)
+  ]);
+
+  const trashed = contacts.deletedCount + subscriptions.deletedCount;
+  const spam = spamContacts.deletedCount + spamSubscriptions.deletedCount;
+
+  if (trashed > 0) {
+    console.log(`🗑️  Purged ${contacts.deletedCount} contact(s) and ${subscriptions.deletedCount} subscription(s) from the trash`);
+  }
+
+  if (spam > 0) {
+    console.log(`🗑️  Purged ${spamContacts.deletedCount} contact(s) and ${spamSubscriptions.deletedCount} subscription(s) from spam quarantine`);
+  }
+
+  return trashed + spam;
+};
+
+export default purgeTrash;
@@ -0,0 +1,44 @@
+import EmailSubscription from '../models/EmailSubscription.js';
+
+// Remove subscriptions that were never confirmed within the allowed window.
+// Trashed ones are left to the trash purge so they stay restorable for TRASH_RETENTION_DAYS,
+// and quarantined ones to the spam purge so they stay reviewable for SPAM_RETENTION_DAYS.
+// Unconfirmed resubscriptions go back to unsubscribed so their earlier history is kept.
+const purgeUnverifiedSubscriptions = async () => {
+  const days = parseInt(process.env.UNVERIFIED_PURGE_DAYS) || 7;
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const filter = {
+    status: 'active',
+    isVerified: false,
+    subscriptionDate: { $lt: cutoff },
+    deletedAt: null,
+    'spam.quarantinedAt': null
+  };
+
+  const lapsed = await EmailSubscription.updateMany(
+    { ...filter, reactivatedAt: { $ne: null } },
+    {
+      $set: {
+        status: 'unsubscribed',
+        unsubscriptionDate: new Date(),
+        unsubscriptionReason: 'Resubscription not confirmed',
+        verificationToken: null
+      }
+    }
+  );
+
+  const result = await EmailSubscription.deleteMany({ ...filter, reactivatedAt: null });
+
+  if (lapsed.modifiedCount > 0) {
+    console.log(`🧹 Returned ${lapsed.modifiedCount} unconfirmed resubscriptions to unsubscribed`);
+  }
+
+  if (result.deletedCount > 0) {
+    console.log(`🧹 Purged ${result.deletedCount} unverified email subscriptions`);
+  }
+
+  return result.deletedCount;
+};
+
+export default purgeUnverifiedSubscriptions;
@@ -0,0 +1,6 @@
+import { runWithAuditContext } from '../utils/audit.js';
+
+// Make the current request (and the user on it) available to the audit hooks on the models
+const auditContext = (req, _res, next) => runWithAuditContext(req, next);
+
+export default auditContext;
@@ -1,5 +1,10 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import OrgSettings from '../models/OrgSettings.js';
+import Partner from '../models/Partner.js';
+import { hasPermission } from '../config/permissions.js';
+import { hashToken } from '../utils/tokens.js';
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -16,6 +21,16 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are only valid while the session they belong to is
+    const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+
+    if (!session || !session.isActive || !session.user.equals(decoded.userId)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again'
+      });
+    }
     
     // Find user by ID from token
     const user = await User.findById(decoded.userId).select('-password');
@@ -34,8 +49,13 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    // Roles that must use 2FA can only reach their own account routes until they enrol
+    const settings = await OrgSettings.getCached();
+    req.twoFactorSetupRequired = !user.twoFactor.enabled && settings.requiresTwoFactor(user.role);
+
+    // Add user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -60,9 +80,21 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is admin
+const twoFactorSetupResponse = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Two-factor authentication is required for your role, set it up at /api/auth/2fa/setup',
+    twoFactorSetupRequired: true
+  });
+};
+
+// Middleware to check if user is admin (allowed to manage users)
 const requireAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+  if (req.twoFactorSetupRequired) {
+    return twoFactorSetupResponse(res);
+  }
+
+  if (hasPermission(req.user, 'users:manage')) {
     next();
   } else {
     return res.status(403).json({
@@ -72,5 +104,58 @@ const requireAdmin = (req, res, next) => {
   }
 };
 
-export { authenticateToken, requireAdmin };
+// Middleware factory to require every listed permission
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (req.twoFactorSetupRequired) {
+    return twoFactorSetupResponse(res);
+  }
+
+  const missing = permissions.filter((permission) => !hasPermission(req.user, permission));
+
+  if (missing.length === 0) {
+    next();
+  } else {
+    return res.status(403).json({
+      success: false,
+      message: `Missing permission: ${missing.join(', ')}`
+    });
+  }
+};
+
+// Middleware to authenticate a partner by the API key in the X-API-Key header
+const authenticatePartner = async (req, res, next) => {
+  try {
+    const apiKey = req.get('X-API-Key');
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'API key is required'
+      });
+    }
+
+    const partner = await Partner.findOne({ apiKeyHash: hashToken(apiKey) });
+
+    if (!partner || !partner.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid API key'
+      });
+    }
+
+    partner.lastUsedAt = new Date();
+    await partner.save();
+
+    req.partner = partner;
+    next();
+  } catch (error) {
+    console.error('Partner auth middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during authentication'
+    });
+  }
+};
+
+export { authenticateToken, requireAdmin, requirePermission, authenticatePartner };
 export default authenticateToken;
@@ -0,0 +1,68 @@
+import rateLimit from 'express-rate-limit';
+import { validationResult } from 'express-validator';
+import { verifyCaptcha } from '../utils/captcha.js';
+import { checkSubmission } from '../utils/spam.js';
+
+const getWindowMinutes = () => parseInt(process.env.FORM_RATE_LIMIT_WINDOW_MINUTES) || 60;
+const getMaxPerIp = () => parseInt(process.env.FORM_RATE_LIMIT_PER_IP) || 10;
+const getMaxPerEmail = () => parseInt(process.env.FORM_RATE_LIMIT_PER_EMAIL) || 3;
+
+const normaliseEmail = (req) => String(req.body?.email || '').trim().toLowerCase();
+
+// Rate limits for one public form, counted separately per IP address and per email address
+const formRateLimits = () => {
+  const options = {
+    windowMs: getWindowMinutes() * 60 * 1000,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+      success: false,
+      message: 'Too many submissions, please try again later.'
+    }
+  };
+
+  return [
+    rateLimit({ ...options, max: getMaxPerIp() }),
+    rateLimit({
+      ...options,
+      max: getMaxPerEmail(),
+      keyGenerator: normaliseEmail,
+      skip: (req) => !normaliseEmail(req)
+    })
+  ];
+};
+
+// Verify the CAPTCHA, then run the spam checks and leave their reasons on `req.spamReasons`.
+// Flagged submissions are not rejected here: the controller quarantines them for review.
+const spamProtection = ({ textField = null } = {}) => async (req, res, next) => {
+  try {
+    // Invalid input is reported by the controller without spending a CAPTCHA check
+    if (!validationResult(req).isEmpty()) return next();
+
+    let captchaPassed;
+    try {
+      captchaPassed = await verifyCaptcha(req.body.captchaToken, req.ip);
+    } catch (error) {
+      console.error('CAPTCHA verification error:', error);
+      captchaPassed = false;
+    }
+
+    if (!captchaPassed) {
+      return res.status(400).json({
+        success: false,
+        message: 'CAPTCHA verification failed, please try again'
+      });
+    }
+
+    req.spamReasons = await checkSubmission(req.body, { textField });
+    next();
+  } catch (error) {
+    console.error('Spam protection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check submission. Please try again later.'
+    });
+  }
+};
+
+export { formRateLimits, spamProtection };
@@ -0,0 +1,178 @@
+import mongoose from 'mongoose';
+
+// Allowed status changes, keyed by current status
+const STATUS_TRANSITIONS = {
+  requested: ['quoted', 'confirmed', 'cancelled'],
+  quoted: ['quoted', 'confirmed', 'cancelled'],
+  confirmed: ['in-service', 'cancelled'],
+  'in-service': ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+const bookingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email address'
+    ]
+  },
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true,
+    match: [
+      /^[\+]?[0-9]{10,15}$/,
+      'Please provide a valid phone number (10-15 digits)'
+    ]
+  },
+  eventStart: {
+    type: Date,
+    required: [true, 'Event start date/time is required']
+  },
+  eventEnd: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.eventStart || value > this.eventStart;
+      },
+      message: 'Event end must be after event start'
+    }
+  },
+  venue: {
+    name: {
+      type: String,
+      required: [true, 'Venue name is required'],
+      trim: true,
+      maxlength: [200, 'Venue name cannot exceed 200 characters']
+    },
+    address: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    city: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
+  numberOfCars: {
+    type: Number,
+    required: [true, 'Number of cars is required'],
+    min: [1, 'Number of cars must be at least 1']
+  },
+  valetsRequired: {
+    type: Number,
+    min: [1, 'At least one valet is required'],
+    default: 1
+  },
+  serviceType: {
+    type: String,
+    enum: ['event-valet', 'hotel', 'restaurant', 'residential'],
+    required: [true, 'Service type is required']
+  },
+  quotedPrice: {
+    type: Number,
+    min: [0, 'Quoted price cannot be negative'],
+    default: null
+  },
+  currency: {
+    type: String,
+    default: 'AED'
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'requested'
+  },
+  source: {
+    type: String,
+    enum: ['website', 'contact', 'manual'],
+    default: 'website'
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  notes: [{
+    note: {
+      type: String,
+      required: true
+    },
+    addedBy: {
+      type: String,
+      default: 'system'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for event duration in hours
+bookingSchema.virtual('durationHours').get(function() {
+  if (!this.eventStart || !this.eventEnd) return null;
+  return Math.round(((this.eventEnd - this.eventStart) / (1000 * 60 * 60)) * 100) / 100;
+});
+
+// Index for better query performance
+bookingSchema.index({ status: 1 });
+bookingSchema.index({ eventStart: 1 });
+bookingSchema.index({ email: 1 });
+bookingSchema.index({ contact: 1 });
+bookingSchema.index({ customer: 1 });
+bookingSchema.index({ createdAt: -1 });
+
+// Instance method to check whether a status change is allowed
+bookingSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Pre-save middleware to add creation note
+bookingSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.notes.push({
+      note: `Booking created from ${this.source}`,
+      addedBy: 'system',
+      addedAt: new Date()
+    });
+  }
+  next();
+});
+
+bookingSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+export default mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Campaign name is required'],
+    trim: true,
+    maxlength: [100, 'Campaign name cannot exceed 100 characters']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  htmlBody: {
+    type: String,
+    required: [true, 'HTML body is required']
+  },
+  textBody: {
+    type: String,
+    default: null
+  },
+  // Preference category the campaign belongs to, recipients must have it enabled
+  category: {
+    type: String,
+    enum: ['newsletters', 'promotions', 'updates', 'events'],
+    required: [true, 'Category is required']
+  },
+  segment: {
+    statuses: [{
+      type: String,
+      enum: ['active', 'unsubscribed', 'bounced', 'complained']
+    }],
+    preferences: {
+      newsletters: { type: Boolean },
+      promotions: { type: Boolean },
+      updates: { type: Boolean },
+      events: { type: Boolean }
+    },
+    tags: [{
+      type: String,
+      trim: true
+    }],
+    sources: [{
+      type: String,
+      enum: ['website-footer', 'website-popup', 'manual', 'import']
+    }],
+    subscribedFrom: {
+      type: Date,
+      default: null
+    },
+    subscribedTo: {
+      type: Date,
+      default: null
+    }
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'sending', 'sent', 'cancelled'],
+    default: 'draft'
+  },
+  scheduledAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Set once delivery rows have been created for every recipient
+  audienceBuiltAt: {
+    type: Date,
+    default: null
+  },
+  stats: {
+    recipients: {
+      type: Number,
+      default: 0
+    },
+    sent: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    },
+    skipped: {
+      type: Number,
+      default: 0
+    },
+    uniqueOpens: {
+      type: Number,
+      default: 0
+    },
+    uniqueClicks: {
+      type: Number,
+      default: 0
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+campaignSchema.index({ createdAt: -1 });
+
+// Instance method to check whether the campaign content can still be changed
+campaignSchema.methods.isEditable = function() {
+  return ['draft', 'scheduled'].includes(this.status);
+};
+
+export default mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// Per-recipient delivery state for a campaign send
+const campaignDeliverySchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: true
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailSubscription',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+campaignDeliverySchema.index({ campaign: 1, subscription: 1 }, { unique: true });
+campaignDeliverySchema.index({ campaign: 1, status: 1 });
+campaignDeliverySchema.index({ messageId: 1 }, { sparse: true });
+
+export default mongoose.model('CampaignDelivery', campaignDeliverySchema);
@@ -1,4 +1,12 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../utils/audit.js';
+import { softDeletePlugin } from '../utils/softDelete.js';
+import { quarantinePlugin } from '../utils/quarantine.js';
+import OrgSettings from './OrgSettings.js';
+import { CONTACT_STATUSES } from '../config/contactPipeline.js';
+import { CONTACT_SOURCES } from '../config/contactSources.js';
+
+const HOUR_MS = 60 * 60 * 1000;
 
 const contactSchema = new mongoose.Schema({
   name: {
@@ -7,9 +15,10 @@ const contactSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Name cannot exceed 100 characters']
   },
+  // WhatsApp, phone and partner leads do not always come with an email address
   email: {
     type: String,
-    required: [true, 'Email is required'],
+    required: [function() { return this.source === 'website'; }, 'Email is required'],
     trim: true,
     lowercase: true,
     match: [
@@ -34,13 +43,101 @@ const contactSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['new', 'contacted', 'in-progress', 'completed', 'cancelled'],
+    enum: CONTACT_STATUSES,
     default: 'new'
   },
+  statusHistory: [{
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    // Null when the system changed the status
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  cancelReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancel reason cannot exceed 500 characters'],
+    default: null
+  },
+  // Value of the business won when the contact was completed
+  completionValue: {
+    type: Number,
+    min: [0, 'Completion value cannot be negative'],
+    default: null
+  },
   source: {
     type: String,
+    enum: CONTACT_SOURCES,
     default: 'website'
   },
+  // Partner that submitted the lead, with their own reference for it
+  partner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Partner',
+    default: null
+  },
+  partnerReference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Partner reference cannot exceed 100 characters'],
+    default: null
+  },
+  // Provider message ID of the message that started the contact
+  sourceMessageId: {
+    type: String,
+    default: null
+  },
+  // Messages and calls on the channels the contact reached us through
+  interactions: [{
+    channel: {
+      type: String,
+      enum: CONTACT_SOURCES,
+      required: true
+    },
+    direction: {
+      type: String,
+      enum: ['inbound', 'outbound'],
+      default: 'inbound'
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Interaction text cannot exceed 2000 characters']
+    },
+    durationSeconds: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // Message ID from the channel provider, used to skip redelivered webhooks.
+    // Left unset on calls and other entries without one.
+    externalId: {
+      type: String
+    },
+    // Null for messages received automatically
+    loggedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   ipAddress: {
     type: String,
     default: null
@@ -68,6 +165,11 @@ const contactSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -76,7 +178,62 @@ const contactSchema = new mongoose.Schema({
   followUpDate: {
     type: Date,
     default: null
-  }
+  },
+  // Set when the assignee has been reminded of the current follow-up date
+  followUpNotifiedAt: {
+    type: Date,
+    default: null
+  },
+  // First move away from the "new" status
+  firstRespondedAt: {
+    type: Date,
+    default: null
+  },
+  sla: {
+    firstResponseDueAt: {
+      type: Date,
+      default: null
+    },
+    breached: {
+      type: Boolean,
+      default: false
+    },
+    breachedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  assignmentHistory: [{
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Null when the system assigned the contact
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    method: {
+      type: String,
+      enum: ['manual', 'auto', 'reassignment'],
+      required: true
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -94,17 +251,81 @@ contactSchema.index({ phone: 1 });
 contactSchema.index({ status: 1 });
 contactSchema.index({ createdAt: -1 });
 contactSchema.index({ priority: 1, status: 1 });
+contactSchema.index({ assignedTo: 1, status: 1 });
+contactSchema.index({ customer: 1, createdAt: -1 });
+contactSchema.index({ source: 1, createdAt: -1 });
+contactSchema.index({ 'interactions.externalId': 1 });
+// A provider message can start at most one contact
+contactSchema.index(
+  { sourceMessageId: 1 },
+  { unique: true, partialFilterExpression: { sourceMessageId: { $type: 'string' } } }
+);
+contactSchema.index(
+  { partner: 1, partnerReference: 1 },
+  { unique: true, partialFilterExpression: { partnerReference: { $type: 'string' } } }
+);
+contactSchema.index({ followUpDate: 1, status: 1 });
+contactSchema.index({ firstRespondedAt: 1, 'sla.firstResponseDueAt': 1 });
 
-// Pre-save middleware to add creation note
+// Pre-save middleware to add creation note and the first status history entry
 contactSchema.pre('save', function(next) {
   if (this.isNew) {
     this.notes.push({
-      note: `Contact form submitted from ${this.source}`,
+      note: this.source === 'website' ? 'Contact form submitted from website' : `Contact received via ${this.source}`,
       addedBy: 'system',
       addedAt: new Date()
     });
+    this.statusHistory.push({ from: null, to: this.status, at: new Date() });
   }
   next();
 });
 
+// Keep the first-response SLA target and breach flag up to date
+contactSchema.pre('save', async function() {
+  if (this.firstRespondedAt) return;
+
+  // Contacts released from spam quarantine are timed from their release
+  if (this.isNew || this.isModified('priority') || this.isModified('spam.releasedAt')) {
+    const settings = await OrgSettings.getCached();
+    const hours = settings.sla.firstResponseHours[this.priority];
+    const start = this.spam.releasedAt || this.createdAt || new Date();
+    this.sla.firstResponseDueAt = new Date(start.getTime() + hours * HOUR_MS);
+  }
+
+  if (!this.isNew && this.isModified('status') && this.status !== 'new') {
+    this.firstRespondedAt = new Date();
+
+    const dueAt = this.sla.firstResponseDueAt;
+    if (dueAt && this.firstRespondedAt > dueAt) {
+      this.sla.breached = true;
+      this.sla.breachedAt = this.sla.breachedAt || dueAt;
+    }
+  }
+});
+
+// Instance method to change the status and record it in the status history
+contactSchema.methods.changeStatus = function(status, { changedBy = null } = {}) {
+  if (this.status === status) return false;
+
+  this.statusHistory.push({ from: this.status, to: status, changedBy, at: new Date() });
+  this.status = status;
+  return true;
+};
+
+// Instance method to change the assignee and record it in the assignment history
+contactSchema.methods.assignTo = function(userId, { assignedBy = null, method, reason = null }) {
+  const from = this.assignedTo || null;
+  const to = userId || null;
+
+  if (String(from) === String(to)) return false;
+
+  this.assignedTo = to;
+  this.assignmentHistory.push({ from, to, assignedBy, method, reason, at: new Date() });
+  return true;
+};
+
+contactSchema.plugin(quarantinePlugin);
+contactSchema.plugin(softDeletePlugin);
+contactSchema.plugin(auditPlugin, { entityType: 'Contact', ignore: ['assignmentHistory', 'statusHistory', 'interactions', 'followUpNotifiedAt'] });
+
 export default mongoose.model('Contact', contactSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from '../utils/audit.js';
+
+// One person across all their contact requests, bookings and their email subscription
+const customerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Every address and number seen for the customer, normalised (lowercase email, digits-only phone)
+  emails: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  phones: [{
+    type: String,
+    trim: true
+  }],
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailSubscription',
+    default: null
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+customerSchema.index({ emails: 1 });
+customerSchema.index({ phones: 1 });
+customerSchema.index({ lastSeenAt: -1 });
+
+customerSchema.plugin(auditPlugin, { entityType: 'Customer', ignore: ['lastSeenAt'] });
+
+export default mongoose.model('Customer', customerSchema);
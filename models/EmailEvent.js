@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Engagement and deliverability events recorded per subscriber
+const emailEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['open', 'click', 'bounce', 'complaint'],
+    required: true
+  },
+  // Bounces and complaints are only linked to a campaign when the message id matches a delivery
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailSubscription',
+    required: true
+  },
+  url: {
+    type: String,
+    default: null
+  },
+  bounceType: {
+    type: String,
+    enum: ['hard', 'soft', null],
+    default: null
+  },
+  provider: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  // Marks the first click per campaign and subscriber, which counts as a unique click
+  isFirst: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+emailEventSchema.index({ campaign: 1, type: 1 });
+emailEventSchema.index({ subscription: 1, createdAt: -1 });
+// Only the first open per campaign and subscriber is stored
+emailEventSchema.index(
+  { campaign: 1, subscription: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'open' } }
+);
+emailEventSchema.index(
+  { campaign: 1, subscription: 1, type: 1, isFirst: 1 },
+  { unique: true, partialFilterExpression: { type: 'click', isFirst: true } }
+);
+
+export default mongoose.model('EmailEvent', emailEventSchema);
@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from '../utils/audit.js';
+import { softDeletePlugin } from '../utils/softDelete.js';
+import { quarantinePlugin } from '../utils/quarantine.js';
 
 const emailSubscriptionSchema = new mongoose.Schema({
   email: {
@@ -34,6 +37,12 @@ const emailSubscriptionSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Set when an unsubscribed or trashed address subscribes again, so an unconfirmed
+  // resubscription is returned to unsubscribed instead of being purged with its history
+  reactivatedAt: {
+    type: Date,
+    default: null
+  },
   preferences: {
     newsletters: {
       type: Boolean,
@@ -113,6 +122,50 @@ const emailSubscriptionSchema = new mongoose.Schema({
   verifiedAt: {
     type: Date,
     default: null
+  },
+  verificationSentAt: {
+    type: Date,
+    default: null
+  },
+  verificationSendCount: {
+    type: Number,
+    default: 0
+  },
+  hardBounceCount: {
+    type: Number,
+    default: 0
+  },
+  softBounceCount: {
+    type: Number,
+    default: 0
+  },
+  complaintCount: {
+    type: Number,
+    default: 0
+  },
+  lastBounceAt: {
+    type: Date,
+    default: null
+  },
+  // Set when bounces or complaints move the address to a suppressed status
+  suppressedAt: {
+    type: Date,
+    default: null
+  },
+  suppressionReason: {
+    type: String,
+    default: null
+  },
+  // Proof of consent captured when the confirmation link is opened
+  consent: {
+    ipAddress: {
+      type: String,
+      default: null
+    },
+    userAgent: {
+      type: String,
+      default: null
+    }
   }
 }, {
   timestamps: true,
@@ -145,6 +198,8 @@ emailSubscriptionSchema.index({ source: 1 });
 emailSubscriptionSchema.index({ subscriptionDate: -1 });
 emailSubscriptionSchema.index({ 'preferences.newsletters': 1 });
 emailSubscriptionSchema.index({ tags: 1 });
+emailSubscriptionSchema.index({ verificationToken: 1 });
+emailSubscriptionSchema.index({ isVerified: 1, subscriptionDate: 1 });
 
 // Pre-save middleware
 emailSubscriptionSchema.pre('save', function(next) {
@@ -161,6 +216,73 @@ emailSubscriptionSchema.pre('save', function(next) {
   next();
 });
 
+// Instance method to check whether another verification email may be sent
+emailSubscriptionSchema.methods.canResendVerification = function() {
+  const cooldownMs = (parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_MINUTES) || 5) * 60 * 1000;
+  const maxPerDay = parseInt(process.env.VERIFICATION_MAX_SENDS_PER_DAY) || 5;
+
+  if (!this.verificationSentAt) return true;
+
+  const sinceLastSend = Date.now() - this.verificationSentAt.getTime();
+  if (sinceLastSend < cooldownMs) return false;
+
+  // The daily counter resets once a full day has passed since the last send
+  if (sinceLastSend >= 24 * 60 * 60 * 1000) return true;
+
+  return this.verificationSendCount < maxPerDay;
+};
+
+// Instance method to check whether the address is suppressed by bounces or complaints
+emailSubscriptionSchema.methods.isSuppressed = function() {
+  return ['bounced', 'complained'].includes(this.status);
+};
+
+// Instance method to record a bounce, suppressing the address once the threshold is reached
+emailSubscriptionSchema.methods.recordBounce = function(bounceType, reason) {
+  const hardThreshold = parseInt(process.env.HARD_BOUNCE_THRESHOLD) || 1;
+  const softThreshold = parseInt(process.env.SOFT_BOUNCE_THRESHOLD) || 3;
+
+  if (bounceType === 'hard') {
+    this.hardBounceCount += 1;
+  } else {
+    this.softBounceCount += 1;
+  }
+  this.lastBounceAt = new Date();
+
+  if (!this.isSuppressed() &&
+      (this.hardBounceCount >= hardThreshold || this.softBounceCount >= softThreshold)) {
+    this.status = 'bounced';
+    this.suppressedAt = new Date();
+    this.suppressionReason = reason || `${bounceType} bounce`;
+  }
+
+  return this.save();
+};
+
+// Instance method to record a spam complaint
+emailSubscriptionSchema.methods.recordComplaint = function(reason) {
+  const threshold = parseInt(process.env.COMPLAINT_THRESHOLD) || 1;
+
+  this.complaintCount += 1;
+
+  if (this.status !== 'complained' && this.complaintCount >= threshold) {
+    this.status = 'complained';
+    this.suppressedAt = new Date();
+    this.suppressionReason = reason || 'Spam complaint';
+  }
+
+  return this.save();
+};
+
+// Instance method to lift a suppression (admin override)
+emailSubscriptionSchema.methods.clearSuppression = function() {
+  this.hardBounceCount = 0;
+  this.softBounceCount = 0;
+  this.complaintCount = 0;
+  this.suppressedAt = null;
+  this.suppressionReason = null;
+};
+
 // Static method to find active subscribers
 emailSubscriptionSchema.statics.findActiveSubscribers = function() {
   return this.find({ status: 'active', isVerified: true });
@@ -178,4 +300,23 @@ emailSubscriptionSchema.statics.getStats = function() {
   ]);
 };
 
+emailSubscriptionSchema.plugin(quarantinePlugin);
+emailSubscriptionSchema.plugin(softDeletePlugin);
+
+// Engagement counters change on every send, open and click, so they are not audited
+emailSubscriptionSchema.plugin(auditPlugin, {
+  entityType: 'EmailSubscription',
+  ignore: [
+    'emailsSent',
+    'emailsOpened',
+    'emailsClicked',
+    'lastEmailSent',
+    'lastEmailOpened',
+    'lastEmailClicked',
+    'verificationSentAt',
+    'verificationSendCount'
+  ],
+  redact: ['verificationToken']
+});
+
 export default mongoose.model('EmailSubscription', emailSubscriptionSchema);
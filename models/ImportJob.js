@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+// Progress and results of a bulk subscription import
+const importJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  options: {
+    // What to do with addresses that previously unsubscribed
+    unsubscribed: {
+      type: String,
+      enum: ['skip', 'resubscribe'],
+      default: 'skip'
+    },
+    // Admin asserts consent was already collected, so no confirmation email is sent
+    verified: {
+      type: Boolean,
+      default: false
+    }
+  },
+  totals: {
+    rows: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    resubscribed: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 }
+  },
+  rowErrors: [{
+    row: Number,
+    email: String,
+    messages: [String]
+  }],
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+importJobSchema.index({ createdAt: -1 });
+
+export default mongoose.model('ImportJob', importJobSchema);
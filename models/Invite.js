@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { ROLES } from '../config/permissions.js';
+
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: [true, 'Role is required']
+  },
+  // Only the SHA-256 of the emailed token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Virtual for invite state
+inviteSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt < new Date()) return 'expired';
+  return 'pending';
+});
+
+// Instance method to check the invite can still be accepted
+inviteSchema.methods.isUsable = function() {
+  return this.status === 'pending';
+};
+
+// Index for better query performance
+inviteSchema.index({ tokenHash: 1 }, { unique: true });
+inviteSchema.index({ email: 1, createdAt: -1 });
+
+export default mongoose.model('Invite', inviteSchema);
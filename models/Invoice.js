@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote',
+    default: null
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  customer: {
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Customer email is required'],
+      trim: true,
+      lowercase: true
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
+  lineItems: [{
+    description: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    kind: {
+      type: String,
+      enum: ['labour', 'cars', 'surcharge', 'minimum', 'custom'],
+      default: 'custom'
+    },
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    unitPrice: {
+      type: Number,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    }
+  }],
+  currency: {
+    type: String,
+    default: 'AED'
+  },
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  vatRate: {
+    type: Number,
+    default: 0.05
+  },
+  vatAmount: {
+    type: Number,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['unpaid', 'paid', 'overdue', 'void'],
+    default: 'unpaid'
+  },
+  issueDate: {
+    type: Date,
+    default: Date.now
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  paymentMethod: {
+    type: String,
+    default: null
+  },
+  paymentReference: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+invoiceSchema.index({ status: 1, dueDate: 1 });
+// One invoice per quote; manual invoices have no quote
+invoiceSchema.index({ quote: 1 }, { unique: true, partialFilterExpression: { quote: { $type: 'objectId' } } });
+invoiceSchema.index({ booking: 1 });
+invoiceSchema.index({ createdAt: -1 });
+
+// Pre-save middleware
+invoiceSchema.pre('save', function(next) {
+  // Set payment date when the invoice is marked paid
+  if (this.isModified('status') && this.status === 'paid' && !this.paidAt) {
+    this.paidAt = new Date();
+  }
+  next();
+});
+
+// Static method to flag unpaid invoices past their due date
+invoiceSchema.statics.markOverdue = function() {
+  return this.updateMany(
+    { status: 'unpaid', dueDate: { $lt: new Date() } },
+    { $set: { status: 'overdue' } }
+  );
+};
+
+export default mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// Login audit trail, also used to throttle failed attempts per IP
+const loginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'password',
+      'two-factor',
+      'invalid-password',
+      'invalid-two-factor-code',
+      'unknown-user',
+      'deactivated',
+      'locked',
+      'throttled'
+    ],
+    required: true
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, success: 1, createdAt: -1 });
+// History is kept for LOGIN_HISTORY_DAYS (default 90)
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: (parseInt(process.env.LOGIN_HISTORY_DAYS) || 90) * 24 * 60 * 60 }
+);
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
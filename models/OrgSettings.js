@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import { ROLES, resolveRole } from '../config/permissions.js';
+import {
+  CONTACT_STATUSES,
+  DEFAULT_CONTACT_TRANSITIONS,
+  TRANSITION_FIELDS,
+  DEFAULT_REQUIRED_FIELDS
+} from '../config/contactPipeline.js';
+import { DEFAULT_BLOCKED_KEYWORDS, DEFAULT_MAX_LINKS, DEFAULT_MIN_FILL_SECONDS } from '../config/spam.js';
+
+const CACHE_TTL_MS = 30 * 1000;
+
+// Organisation-wide settings, stored as a single document
+const orgSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'org',
+    unique: true
+  },
+  // Set when the first owner signs up; claimed atomically so only one bootstrap signup succeeds
+  bootstrappedAt: {
+    type: Date,
+    default: null
+  },
+  security: {
+    // Users with these roles must enrol in two-factor authentication before using the dashboard
+    requireTwoFactorRoles: [{
+      type: String,
+      enum: ROLES
+    }]
+  },
+  assignment: {
+    // Assign new contacts automatically when they are submitted
+    autoAssign: {
+      type: Boolean,
+      default: false
+    },
+    strategy: {
+      type: String,
+      enum: ['round-robin', 'least-loaded'],
+      default: 'round-robin'
+    },
+    // Active users with these roles receive contacts that no rule picks up
+    roles: {
+      type: [{
+        type: String,
+        enum: ROLES
+      }],
+      default: ['sales-agent']
+    },
+    // The first rule matching a contact's priority and description picks the users to choose from
+    rules: [{
+      name: {
+        type: String,
+        trim: true,
+        required: true
+      },
+      priorities: [{
+        type: String,
+        enum: ['low', 'medium', 'high', 'urgent']
+      }],
+      keywords: [{
+        type: String,
+        trim: true,
+        lowercase: true
+      }],
+      assignees: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }]
+    }]
+  },
+  sla: {
+    // Hours allowed for the first response to a new contact, per priority
+    firstResponseHours: {
+      low: { type: Number, min: 0.25, default: 48 },
+      medium: { type: Number, min: 0.25, default: 24 },
+      high: { type: Number, min: 0.25, default: 4 },
+      urgent: { type: Number, min: 0.25, default: 1 }
+    }
+  },
+  contactPipeline: {
+    // Statuses a contact may move to, keyed by its current status
+    transitions: {
+      type: Map,
+      of: [{
+        type: String,
+        enum: CONTACT_STATUSES
+      }],
+      default: () => DEFAULT_CONTACT_TRANSITIONS
+    },
+    // Fields that must be filled in when a contact moves into a status
+    requiredFields: {
+      type: Map,
+      of: [{
+        type: String,
+        enum: TRANSITION_FIELDS
+      }],
+      default: () => DEFAULT_REQUIRED_FIELDS
+    }
+  },
+  spam: {
+    // Contact descriptions containing any of these phrases are quarantined
+    blockedKeywords: {
+      type: [{
+        type: String,
+        trim: true,
+        lowercase: true
+      }],
+      default: () => DEFAULT_BLOCKED_KEYWORDS
+    },
+    maxLinks: {
+      type: Number,
+      min: 0,
+      default: DEFAULT_MAX_LINKS
+    },
+    minFillSeconds: {
+      type: Number,
+      min: 0,
+      default: DEFAULT_MIN_FILL_SECONDS
+    },
+    // Email domains rejected on top of the built-in disposable domain list
+    blockedDomains: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+// Instance method to check if a role has to use two-factor authentication
+orgSettingsSchema.methods.requiresTwoFactor = function(role) {
+  return this.security.requireTwoFactorRoles.includes(resolveRole(role));
+};
+
+let cached = null;
+let cachedAt = 0;
+
+// Static method to load (or create) the settings document
+orgSettingsSchema.statics.getSettings = async function() {
+  const settings = await this.findOneAndUpdate(
+    { key: 'org' },
+    { $setOnInsert: { key: 'org' } },
+    { new: true, upsert: true }
+  );
+
+  cached = settings;
+  cachedAt = Date.now();
+  return settings;
+};
+
+// Static method for hot paths such as authentication, reloads at most every 30 seconds
+orgSettingsSchema.statics.getCached = function() {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return Promise.resolve(cached);
+  }
+  return this.getSettings();
+};
+
+export default mongoose.model('OrgSettings', orgSettingsSchema);
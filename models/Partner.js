@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import { auditPlugin } from '../utils/audit.js';
+import { PARTNER_TYPES } from '../config/contactSources.js';
+
+// Hotels and event agencies that submit leads through the partner API
+const partnerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [150, 'Name cannot exceed 150 characters']
+  },
+  type: {
+    type: String,
+    enum: PARTNER_TYPES,
+    default: 'other'
+  },
+  contactEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email address'],
+    default: null
+  },
+  // Only the SHA-256 of the API key is stored; the prefix identifies the key in lists
+  apiKeyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  apiKeyPrefix: {
+    type: String,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.apiKeyHash;
+      return ret;
+    }
+  }
+});
+
+// Index for better query performance
+partnerSchema.index({ apiKeyHash: 1 }, { unique: true });
+
+partnerSchema.plugin(auditPlugin, { entityType: 'Partner', ignore: ['lastUsedAt'], redact: ['apiKeyHash'] });
+
+export default mongoose.model('Partner', partnerSchema);
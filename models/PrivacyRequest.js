@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+// Data subject request (export or erasure) under GDPR / UAE PDPL
+const privacyRequestSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['export', 'erasure'],
+    required: [true, 'Request type is required']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['awaiting-verification', 'pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  channel: {
+    type: String,
+    enum: ['admin', 'data-subject'],
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    default: null
+  },
+  // Only the SHA-256 of the emailed link token is stored
+  verificationTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  verificationExpires: {
+    type: Date,
+    default: null
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Number of records found (export) or anonymised (erasure) per collection
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.verificationTokenHash;
+      return ret;
+    }
+  }
+});
+
+privacyRequestSchema.pre('validate', function(next) {
+  if (!this.email && !this.phone) {
+    this.invalidate('email', 'An email or phone number is required');
+  }
+  next();
+});
+
+// Index for better query performance
+privacyRequestSchema.index({ status: 1, createdAt: -1 });
+privacyRequestSchema.index({ email: 1, createdAt: -1 });
+privacyRequestSchema.index({ verificationTokenHash: 1 });
+
+export default mongoose.model('PrivacyRequest', privacyRequestSchema);
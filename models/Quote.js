@@ -0,0 +1,163 @@
+import mongoose from 'mongoose';
+
+const quoteSchema = new mongoose.Schema({
+  // Shared by every version of the same quote
+  quoteNumber: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact',
+    default: null
+  },
+  customer: {
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Customer email is required'],
+      trim: true,
+      lowercase: true
+    },
+    phone: {
+      type: String,
+      trim: true,
+      default: null
+    }
+  },
+  rateCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RateCard',
+    default: null
+  },
+  lineItems: [{
+    description: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    kind: {
+      type: String,
+      enum: ['labour', 'cars', 'surcharge', 'minimum', 'custom'],
+      default: 'custom'
+    },
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    unitPrice: {
+      type: Number,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    }
+  }],
+  currency: {
+    type: String,
+    default: 'AED'
+  },
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  vatRate: {
+    type: Number,
+    default: 0.05
+  },
+  vatAmount: {
+    type: Number,
+    required: true
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'accepted', 'rejected', 'expired', 'superseded'],
+    default: 'draft'
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // Acceptance tracking
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  response: {
+    via: {
+      type: String,
+      enum: ['customer', 'admin', null],
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    ipAddress: {
+      type: String,
+      default: null
+    },
+    userAgent: {
+      type: String,
+      default: null
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for quote expiry
+quoteSchema.virtual('isExpired').get(function() {
+  return Boolean(this.validUntil && this.validUntil < new Date() && ['draft', 'sent'].includes(this.status));
+});
+
+// Index for better query performance
+quoteSchema.index({ quoteNumber: 1, version: 1 }, { unique: true });
+quoteSchema.index({ booking: 1 });
+quoteSchema.index({ contact: 1 });
+quoteSchema.index({ status: 1 });
+quoteSchema.index({ createdAt: -1 });
+
+// Instance method to check whether the customer can still accept or reject
+quoteSchema.methods.isOpen = function() {
+  return ['draft', 'sent'].includes(this.status) && !this.isExpired;
+};
+
+export default mongoose.model('Quote', quoteSchema);
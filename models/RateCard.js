@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+const surchargeSchema = {
+  percent: {
+    type: Number,
+    min: [0, 'Surcharge cannot be negative'],
+    default: 0
+  }
+};
+
+const rateCardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rate card name is required'],
+    trim: true,
+    maxlength: [100, 'Rate card name cannot exceed 100 characters']
+  },
+  // Leave empty to use the card for every service type
+  serviceType: {
+    type: String,
+    enum: ['event-valet', 'hotel', 'restaurant', 'residential', null],
+    default: null
+  },
+  currency: {
+    type: String,
+    default: 'AED'
+  },
+  perValetHour: {
+    type: Number,
+    required: [true, 'Rate per valet-hour is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  perCar: {
+    type: Number,
+    min: [0, 'Rate cannot be negative'],
+    default: 0
+  },
+  minimumHours: {
+    type: Number,
+    min: [0, 'Minimum hours cannot be negative'],
+    default: 4
+  },
+  minimumCharge: {
+    type: Number,
+    min: [0, 'Minimum charge cannot be negative'],
+    default: 0
+  },
+  surcharges: {
+    night: {
+      ...surchargeSchema,
+      // Hours (0-23, local time) during which the night surcharge applies
+      startHour: {
+        type: Number,
+        min: 0,
+        max: 23,
+        default: 22
+      },
+      endHour: {
+        type: Number,
+        min: 0,
+        max: 23,
+        default: 6
+      }
+    },
+    weekend: {
+      ...surchargeSchema,
+      // Days of week (0 = Sunday) counted as weekend
+      days: {
+        type: [Number],
+        default: [6, 0]
+      }
+    },
+    peak: surchargeSchema
+  },
+  vatRate: {
+    type: Number,
+    min: [0, 'VAT rate cannot be negative'],
+    max: [1, 'VAT rate must be a fraction, e.g. 0.05'],
+    default: 0.05
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+rateCardSchema.index({ serviceType: 1, isActive: 1 });
+
+// Static method to pick the rate card for a service type, falling back to the default card
+rateCardSchema.statics.findForServiceType = async function(serviceType) {
+  return (await this.findOne({ serviceType, isActive: true }).sort({ updatedAt: -1 })) ||
+    this.findOne({ isDefault: true, isActive: true });
+};
+
+export default mongoose.model('RateCard', rateCardSchema);
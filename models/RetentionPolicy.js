@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import { RETENTION_TARGETS, RETENTION_ACTIONS, DEFAULT_RETENTION_POLICIES } from '../config/retention.js';
+
+// Rule that clears or anonymises personal data once records reach a given age
+const retentionPolicySchema = new mongoose.Schema({
+  // Set on the built-in policies only
+  key: {
+    type: String,
+    default: null
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [150, 'Name cannot exceed 150 characters']
+  },
+  target: {
+    type: String,
+    enum: Object.keys(RETENTION_TARGETS),
+    required: [true, 'Target collection is required']
+  },
+  action: {
+    type: String,
+    enum: RETENTION_ACTIONS,
+    required: [true, 'Action is required']
+  },
+  // Fields set to null by clear-fields policies
+  fields: [{
+    type: String
+  }],
+  // Only records in one of these statuses (empty means any status)
+  statuses: [{
+    type: String
+  }],
+  // Age is measured from this date
+  dateField: {
+    type: String,
+    enum: ['createdAt', 'updatedAt'],
+    default: 'createdAt'
+  },
+  afterDays: {
+    type: Number,
+    required: [true, 'Retention period is required'],
+    min: [1, 'Retention period must be at least 1 day'],
+    max: [36500, 'Retention period cannot exceed 100 years']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastAffected: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+retentionPolicySchema.pre('validate', function(next) {
+  const target = RETENTION_TARGETS[this.target];
+  if (!target) return next();
+
+  if (this.action === 'clear-fields') {
+    if (this.fields.length === 0) {
+      this.invalidate('fields', 'At least one field is required');
+    }
+
+    const unknownFields = this.fields.filter((field) => !target.fields.includes(field));
+    if (unknownFields.length > 0) {
+      this.invalidate('fields', `Fields not supported for ${this.target}: ${unknownFields.join(', ')}`);
+    }
+  }
+
+  const statuses = mongoose.model(target.model).schema.path('status')?.enumValues || [];
+  const unknownStatuses = this.statuses.filter((status) => !statuses.includes(status));
+  if (unknownStatuses.length > 0) {
+    this.invalidate('statuses', `Statuses not supported for ${this.target}: ${unknownStatuses.join(', ')}`);
+  }
+
+  if (this.action === 'anonymise' && !target.anonymise) {
+    this.invalidate('action', `Records in ${this.target} cannot be anonymised`);
+  }
+
+  next();
+});
+
+// Static method to create any built-in policy that does not exist yet
+retentionPolicySchema.statics.ensureDefaults = async function() {
+  await this.bulkWrite(DEFAULT_RETENTION_POLICIES.map((policy) => ({
+    updateOne: {
+      filter: { key: policy.key },
+      update: { $setOnInsert: policy },
+      upsert: true
+    }
+  })));
+};
+
+// Index for better query performance
+retentionPolicySchema.index(
+  { key: 1 },
+  { unique: true, partialFilterExpression: { key: { $type: 'string' } } }
+);
+retentionPolicySchema.index({ enabled: 1, target: 1 });
+
+export default mongoose.model('RetentionPolicy', retentionPolicySchema);
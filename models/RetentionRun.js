@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Log of one run of the data retention policies
+const retentionRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  results: [{
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RetentionPolicy'
+    },
+    name: String,
+    target: String,
+    action: String,
+    cutoff: Date,
+    affected: { type: Number, default: 0 },
+    error: { type: String, default: null }
+  }],
+  totalAffected: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+retentionRunSchema.index({ createdAt: -1 });
+retentionRunSchema.index({ status: 1 });
+
+export default mongoose.model('RetentionRun', retentionRunSchema);
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// One login on one device, kept alive by a rotating refresh token
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the refresh token currently allowed to renew this session
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Recently rotated-out hashes, presenting one of these again means the token was copied
+  rotatedTokenHashes: {
+    type: [String],
+    select: false,
+    default: []
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters'],
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'reuse-detected', 'admin', 'deactivated', 'password-change', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  let query = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Index for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB a day after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('Session', sessionSchema);
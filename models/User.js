@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ROLES, LEGACY_ROLE_ALIASES, resolveRole, getRolePermissions } from '../config/permissions.js';
+import { auditPlugin } from '../utils/audit.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -25,10 +27,11 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  // 'admin' and 'user' are legacy values, treated as 'owner' and 'analyst'
   role: {
     type: String,
-    enum: ['admin', 'user'],
-    default: 'admin'
+    enum: [...ROLES, ...Object.keys(LEGACY_ROLE_ALIASES)],
+    default: 'analyst'
   },
   isActive: {
     type: Boolean,
@@ -37,6 +40,81 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    // Encrypted TOTP secrets, the pending one is only used while enrolling
+    secret: {
+      type: String,
+      select: false,
+      default: null
+    },
+    pendingSecret: {
+      type: String,
+      select: false,
+      default: null
+    },
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false,
+      default: -1
+    },
+    recoveryCodes: {
+      type: [{
+        hash: { type: String, required: true },
+        usedAt: { type: Date, default: null }
+      }],
+      select: false,
+      default: []
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Only the SHA-256 of the emailed reset token is stored
+  passwordResetTokenHash: {
+    type: String,
+    select: false,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+    default: null
+  },
+  passwordResetRequestedAt: {
+    type: Date,
+    select: false,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -73,15 +151,80 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to set a new password and invalidate any pending reset link
+userSchema.methods.setPassword = function(password) {
+  this.password = password;
+  this.passwordChangedAt = new Date();
+  this.passwordResetTokenHash = null;
+  this.passwordResetExpires = null;
+};
+
+// Instance method to check for a temporary lockout after failed logins
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
 // Instance method to update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
   return this.save();
 };
 
+// Instance method to list the user's permissions
+userSchema.methods.getPermissions = function() {
+  return getRolePermissions(this.role);
+};
+
+// Instance method to check if demoting, deactivating or deleting this user would leave no owner
+userSchema.methods.isLastActiveOwner = async function() {
+  if (resolveRole(this.role) !== 'owner' || !this.isActive) return false;
+  return (await this.constructor.countActiveOwners()) <= 1;
+};
+
+// Instance method to apply a role or status change without leaving the account ownerless.
+// The owner count is checked after the write: checking first races when two owners are changed
+// at once. Concurrent changes may then both be undone, but never both kept. Returns false when undone.
+userSchema.methods.changeAccessKeepingOwner = async function(changes) {
+  const previous = { role: this.role, isActive: this.isActive };
+  Object.assign(this, changes);
+  await this.save();
+
+  if (resolveRole(previous.role) !== 'owner' || !previous.isActive) return true;
+  if (await this.constructor.countActiveOwners() > 0) return true;
+
+  Object.assign(this, previous);
+  await this.save();
+  return false;
+};
+
+// Static method to count active owners (legacy admins included)
+userSchema.statics.countActiveOwners = function() {
+  return this.countDocuments({ role: { $in: ['owner', 'admin'] }, isActive: true });
+};
+
 // Static method to find active users
 userSchema.statics.findActive = function() {
   return this.find({ isActive: true });
 };
 
+// Login bookkeeping is covered by the login history, secrets are never written to the audit log
+userSchema.plugin(auditPlugin, {
+  entityType: 'User',
+  ignore: [
+    'lastLogin',
+    'failedLoginAttempts',
+    'lastFailedLoginAt',
+    'twoFactor.lastUsedStep',
+    'twoFactor.failedAttempts',
+    'twoFactor.lastFailedAt'
+  ],
+  redact: [
+    'password',
+    'twoFactor.secret',
+    'twoFactor.pendingSecret',
+    'twoFactor.recoveryCodes',
+    'passwordResetTokenHash'
+  ]
+});
+
 export default mongoose.model('User', userSchema);
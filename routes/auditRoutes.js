@@ -0,0 +1,40 @@
+import express from 'express';
+import { query } from 'express-validator';
+import {
+  getAuditLogs,
+  exportAuditLogs
+} from '../controllers/auditController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation middleware for audit log filters
+const validateAuditQuery = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID'),
+
+  query('entityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid entity ID'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601')
+];
+
+// Protected Routes (permission-checked)
+// @route   GET /api/audit
+// @desc    Get audit log entries filtered by actor, entity, action and date range
+// @access  Private (audit:read)
+router.get('/', auth, requirePermission('audit:read'), validateAuditQuery, getAuditLogs);
+
+// @route   GET /api/audit/export
+// @desc    Export filtered audit log entries as CSV
+// @access  Private (audit:read)
+router.get('/export', auth, requirePermission('audit:read'), validateAuditQuery, exportAuditLogs);
+
+export default router;
@@ -1,42 +1,96 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import { body, validationResult } from 'express-validator';
 import User from '../models/User.js';
+import Invite from '../models/Invite.js';
+import Session from '../models/Session.js';
+import OrgSettings from '../models/OrgSettings.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import { createRandomToken, hashToken } from '../utils/tokens.js';
+import { createSession, refreshSession, buildLoginResponse, validateDevice } from '../utils/sessions.js';
+import { createLoginChallenge } from '../utils/twoFactor.js';
+import {
+  recordLoginAttempt,
+  getIpRetryAfter,
+  getAccountRetryAfter,
+  registerFailedLogin,
+  clearFailedLogins
+} from '../utils/loginProtection.js';
+import { checkPassword, passwordPolicy } from '../utils/passwordPolicy.js';
+import { recordAudit } from '../utils/audit.js';
+import { sendMail } from '../utils/mailer.js';
+import { passwordResetEmail, passwordChangedEmail } from '../utils/emailTemplates.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
-};
+// Validation that confirmPassword repeats the given password field
+const validatePasswordConfirmation = (field) => body('confirmPassword')
+  .custom((value, { req }) => {
+    if (value !== req.body[field]) {
+      throw new Error('Password confirmation does not match password');
+    }
+    return true;
+  });
 
-// @route   POST /api/auth/signup
-// @desc    Register a new admin user
-// @access  Public (but creates admin users)
-router.post('/signup', [
+// Validation for the name and password a new user chooses
+const validateNewAccount = [
   body('name')
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage('Name must be between 2 and 50 characters'),
+  body('password')
+    .custom(passwordPolicy()),
+  validatePasswordConfirmation('password'),
+  validateDevice
+];
+
+const getResetExpiryMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+// Frontend page where the user picks a new password
+const buildResetUrl = (token) => {
+  const baseUrl = process.env.PASSWORD_RESET_URL || 'http://localhost:5173/reset-password';
+  return `${baseUrl}?token=${encodeURIComponent(token)}`;
+};
+
+// Look up a usable invitation by its emailed token
+const findPendingInvite = (token) => {
+  return Invite.findOne({
+    tokenHash: hashToken(String(token || '')),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// @route   GET /api/auth/setup-status
+// @desc    Check whether the first owner account still needs to be created
+// @access  Public
+router.get('/setup-status', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        setupRequired: !(await User.exists({}))
+      }
+    });
+  } catch (error) {
+    console.error('Setup status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking setup status'
+    });
+  }
+});
+
+// @route   POST /api/auth/signup
+// @desc    Create the first owner account on a fresh database
+// @access  Public (only while no users exist)
+router.post('/signup', [
+  ...validateNewAccount,
   body('email')
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please provide a valid email'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
-  body('confirmPassword')
-    .custom((value, { req }) => {
-      if (value !== req.body.password) {
-        throw new Error('Password confirmation does not match password');
-      }
-      return true;
-    })
+    .withMessage('Please provide a valid email')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -49,35 +103,48 @@ router.post('/signup', [
       });
     }
 
-    const { name, email, password } = req.body;
+    // Open signup is only the bootstrap path, everyone else needs an invitation.
+    // The settings flag is claimed atomically so concurrent signups cannot all become owners.
+    await OrgSettings.getSettings();
+    const claimed = !(await User.exists({})) && await OrgSettings.findOneAndUpdate(
+      { key: 'org', bootstrappedAt: null },
+      { $set: { bootstrappedAt: new Date() } }
+    );
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({
+    if (!claimed) {
+      return res.status(403).json({
         success: false,
-        message: 'User with this email already exists'
+        message: 'Signup is closed. Ask an owner to invite you.'
       });
     }
 
-    // Create new admin user
+    const { name, email, password } = req.body;
+
+    // Create the first owner user
     const user = new User({
       name,
       email,
       password,
-      role: 'admin'
+      role: 'owner'
     });
 
-    await user.save();
+    try {
+      await user.save();
+    } catch (error) {
+      // Reopen signup so the first owner can try again
+      await OrgSettings.updateOne({ key: 'org' }, { $set: { bootstrappedAt: null } });
+      throw error;
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
-      message: 'Admin user created successfully',
+      message: 'Owner account created successfully',
       data: {
-        token,
+        token: accessToken,
+        refreshToken,
         user: {
           id: user._id,
           name: user.name,
@@ -96,6 +163,136 @@ router.post('/signup', [
   }
 });
 
+// @route   GET /api/auth/invite/:token
+// @desc    Get the email and role of a pending invitation
+// @access  Public
+router.get('/invite/:token', async (req, res) => {
+  try {
+    const invite = await findPendingInvite(req.params.token);
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching invitation'
+    });
+  }
+});
+
+// @route   POST /api/auth/accept-invite
+// @desc    Accept an invitation and create the invited user
+// @access  Public (requires invitation token)
+router.post('/accept-invite', [
+  body('token')
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  ...validateNewAccount
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, name, password } = req.body;
+
+    // Claim the invitation atomically so a token can only ever be used once
+    const invite = await Invite.findOneAndUpdate(
+      {
+        tokenHash: hashToken(token),
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { acceptedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: invite.email });
+    if (existingUser) {
+      // Leave the invitation pending in case the existing account is removed
+      await Invite.updateOne({ _id: invite._id }, { $set: { acceptedAt: null } });
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    let user;
+    try {
+      user = new User({
+        name,
+        email: invite.email,
+        password,
+        role: invite.role
+      });
+      await user.save();
+    } catch (error) {
+      // Release the invitation so the invitee can try again
+      await Invite.updateOne({ _id: invite._id }, { $set: { acceptedAt: null } });
+      throw error;
+    }
+
+    invite.acceptedBy = user._id;
+    await invite.save();
+
+    await user.updateLastLogin();
+
+    // Start a session
+    const { accessToken, refreshToken } = await createSession(user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: {
+        token: accessToken,
+        refreshToken,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          permissions: user.getPermissions(),
+          createdAt: user.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
+    });
+  }
+});
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
@@ -106,7 +303,8 @@ router.post('/login', [
     .withMessage('Please provide a valid email'),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  validateDevice
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -121,11 +319,22 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
-    console.log("mail, password",email,password);
+    // Too many failures from this IP across all accounts
+    const ipRetryAfter = await getIpRetryAfter(req);
+    if (ipRetryAfter > 0) {
+      await recordLoginAttempt(req, { email, success: false, reason: 'throttled' });
+      res.set('Retry-After', String(ipRetryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts, please try again later',
+        retryAfter: ipRetryAfter
+      });
+    }
 
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginAttempt(req, { email, success: false, reason: 'unknown-user' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -134,39 +343,81 @@ router.post('/login', [
 
     // Check if account is active
     if (!user.isActive) {
+      await recordLoginAttempt(req, { user, success: false, reason: 'deactivated' });
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated'
       });
     }
 
+    // Check for a lockout after repeated failures
+    if (user.isLocked()) {
+      await recordLoginAttempt(req, { user, success: false, reason: 'locked' });
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked after too many failed login attempts',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
+    // Each failure makes the next attempt wait a little longer
+    const accountRetryAfter = getAccountRetryAfter(user);
+    if (accountRetryAfter > 0) {
+      await recordLoginAttempt(req, { user, success: false, reason: 'throttled' });
+      res.set('Retry-After', String(accountRetryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${accountRetryAfter} seconds before trying again`,
+        retryAfter: accountRetryAfter
+      });
+    }
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const lockedUntil = await registerFailedLogin(user, req);
+      await recordLoginAttempt(req, { user, success: false, reason: 'invalid-password' });
+
+      if (lockedUntil) {
+        return res.status(423).json({
+          success: false,
+          message: 'Account is temporarily locked after too many failed login attempts',
+          lockedUntil
+        });
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    await clearFailedLogins(user);
+
+    // Accounts with two-factor authentication finish logging in at /api/auth/2fa/verify
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createLoginChallenge(user)
+        }
+      });
+    }
+
     // Update last login
     await user.updateLastLogin();
+    await recordLoginAttempt(req, { user, success: true, reason: 'password' });
 
-    // Generate token
-    const token = generateToken(user._id);
+    const settings = await OrgSettings.getCached();
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          lastLogin: user.lastLogin
-        }
+        ...(await buildLoginResponse(user, req)),
+        twoFactorSetupRequired: settings.requiresTwoFactor(user.role)
       }
     });
   } catch (error) {
@@ -178,6 +429,200 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email }).select('+passwordResetRequestedAt');
+
+    // Only one reset email per address every two minutes
+    const recentlyRequested = user?.passwordResetRequestedAt &&
+      Date.now() - user.passwordResetRequestedAt.getTime() < 2 * 60 * 1000;
+
+    if (user && user.isActive && !recentlyRequested) {
+      const token = createRandomToken();
+      const expiresInMinutes = getResetExpiryMinutes();
+
+      user.passwordResetTokenHash = hashToken(token);
+      user.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+      user.passwordResetRequestedAt = new Date();
+      await user.save();
+
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail({ resetUrl: buildResetUrl(token), expiresInMinutes })
+      });
+    }
+
+    // Same answer whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public (requires reset token)
+router.post('/reset-password', [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  validatePasswordConfirmation('password')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+    const tokenQuery = {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    };
+
+    const user = await User.findOne(tokenQuery);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    const problems = checkPassword(password, user);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: problems.map((msg) => ({ path: 'password', msg }))
+      });
+    }
+
+    // Consume the token atomically so it only works once
+    const claimed = await User.updateOne(tokenQuery, {
+      $set: { passwordResetTokenHash: null, passwordResetExpires: null }
+    });
+
+    if (claimed.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.setPassword(password);
+    await user.save();
+
+    // Anyone holding an old session has to log in again
+    await Session.revokeAllForUser(user._id, 'password-change');
+    await sendMail({ to: user.email, ...passwordChangedEmail({ name: user.name }) });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change password for the current user
+// @access  Private
+router.post('/change-password', authenticateToken, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .custom(passwordPolicy((req) => req.user))
+    .custom((value, { req }) => {
+      if (value === req.body.currentPassword) {
+        throw new Error('New password must be different from the current password');
+      }
+      return true;
+    }),
+  validatePasswordConfirmation('newPassword')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    const isPasswordValid = await user.comparePassword(req.body.currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.setPassword(req.body.newPassword);
+    await user.save();
+
+    // Keep this device signed in, sign out everywhere else
+    const result = await Session.revokeAllForUser(user._id, 'password-change', req.authSession._id);
+    await sendMail({ to: user.email, ...passwordChangedEmail({ name: user.name }) });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -191,6 +636,9 @@ router.get('/me', authenticateToken, async (req, res) => {
           name: req.user.name,
           email: req.user.email,
           role: req.user.role,
+          permissions: req.user.getPermissions(),
+          twoFactorEnabled: req.user.twoFactor.enabled,
+          twoFactorSetupRequired: req.twoFactorSetupRequired,
           lastLogin: req.user.lastLogin,
           createdAt: req.user.createdAt
         }
@@ -205,14 +653,216 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/me/logins
+// @desc    Get the current user's login history
+// @access  Private
+router.get('/me/logins', authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    let query = { user: req.user._id };
+
+    if (req.query.success !== undefined) {
+      query.success = req.query.success === 'true';
+    }
+
+    const logins = await LoginAttempt.find(query)
+      .select('-user -email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await LoginAttempt.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: logins,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching login history'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public (requires refresh token)
+router.post('/refresh', [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await refreshSession(req.body.refreshToken, req);
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error === 'reuse'
+          ? 'Refresh token was already used, the session has been ended'
+          : 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive) {
+      await Session.revokeAllForUser(result.session.user, 'deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: result.accessToken,
+        refreshToken: result.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing session'
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user by revoking the current session
 // @access  Private
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful'
-  });
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    req.authSession.revokedAt = new Date();
+    req.authSession.revokedReason = 'logout';
+    await req.authSession.save();
+
+    await recordAudit({ action: 'auth.logout', entityType: 'Session', entityId: req.authSession._id });
+
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Logout user from every device
+// @access  Private
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout-all');
+
+    await recordAudit({
+      action: 'auth.logout-all',
+      entityType: 'User',
+      entityId: req.user._id,
+      metadata: { revokedSessions: result.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: {
+        revoked: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get the current user's active sessions
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session.toJSON(),
+        isCurrent: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (!session.revokedAt) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'logout';
+      await session.save();
+
+      await recordAudit({ action: 'auth.session-revoke', entityType: 'Session', entityId: session._id });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
 });
 
 // @route   GET /api/auth/dashboard
@@ -0,0 +1,181 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  createBooking,
+  createBookingFromContact,
+  getBookings,
+  getBooking,
+  updateBooking,
+  deleteBooking
+} from '../controllers/bookingController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const serviceTypes = ['event-valet', 'hotel', 'restaurant', 'residential'];
+const statuses = ['requested', 'quoted', 'confirmed', 'in-service', 'completed', 'cancelled'];
+
+// Validation middleware for event details (shared by create and convert)
+const validateEventDetails = [
+  body('eventStart')
+    .isISO8601()
+    .withMessage('Event start must be a valid date/time'),
+
+  body('eventEnd')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Event end must be a valid date/time'),
+
+  body('venue.name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Venue name must be between 2 and 200 characters'),
+
+  body('venue.address')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Venue address cannot exceed 300 characters'),
+
+  body('venue.city')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Venue city cannot exceed 100 characters'),
+
+  body('numberOfCars')
+    .isInt({ min: 1 })
+    .withMessage('Number of cars must be at least 1'),
+
+  body('valetsRequired')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Valets required must be at least 1'),
+
+  body('serviceType')
+    .isIn(serviceTypes)
+    .withMessage('Invalid service type')
+];
+
+// Validation middleware for public booking requests
+const validateBooking = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('phone')
+    .matches(/^[\+]?[0-9\s\-\(\)\.]{10,20}$/)
+    .withMessage('Please provide a valid phone number'),
+
+  ...validateEventDetails,
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+// Validation middleware for converting a contact
+const validateConversion = [
+  ...validateEventDetails,
+
+  body('quotedPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Quoted price must be a positive number')
+];
+
+// Validation middleware for booking updates
+const validateBookingUpdate = [
+  body('status')
+    .optional()
+    .isIn(statuses)
+    .withMessage('Invalid status value'),
+
+  body('eventStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Event start must be a valid date/time'),
+
+  body('eventEnd')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Event end must be a valid date/time'),
+
+  body('venue')
+    .optional()
+    .isObject()
+    .withMessage('Venue must be an object'),
+
+  body('numberOfCars')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Number of cars must be at least 1'),
+
+  body('valetsRequired')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Valets required must be at least 1'),
+
+  body('serviceType')
+    .optional()
+    .isIn(serviceTypes)
+    .withMessage('Invalid service type'),
+
+  body('quotedPrice')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Quoted price must be a positive number'),
+
+  body('assignedTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Notes must be between 1 and 500 characters')
+];
+
+// Public Routes
+// @route   POST /api/bookings
+// @desc    Create booking request
+// @access  Public
+router.post('/', validateBooking, createBooking);
+
+// Protected Routes (permission-checked)
+// @route   POST /api/bookings/from-contact/:contactId
+// @desc    Convert a contact into a booking
+// @access  Private (bookings:write)
+router.post('/from-contact/:contactId', auth, requirePermission('bookings:write'), validateConversion, createBookingFromContact);
+
+// @route   GET /api/bookings
+// @desc    Get all bookings with pagination and filtering
+// @access  Private (bookings:read)
+router.get('/', auth, requirePermission('bookings:read'), getBookings);
+
+// @route   GET /api/bookings/:id
+// @desc    Get single booking
+// @access  Private (bookings:read)
+router.get('/:id', auth, requirePermission('bookings:read'), getBooking);
+
+// @route   PUT /api/bookings/:id
+// @desc    Update booking
+// @access  Private (bookings:write)
+router.put('/:id', auth, requirePermission('bookings:write'), validateBookingUpdate, updateBooking);
+
+// @route   DELETE /api/bookings/:id
+// @desc    Delete booking
+// @access  Private (bookings:delete)
+router.delete('/:id', auth, requirePermission('bookings:delete'), deleteBooking);
+
+export default router;
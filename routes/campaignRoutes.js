@@ -0,0 +1,197 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  createCampaign,
+  getCampaigns,
+  getCampaign,
+  updateCampaign,
+  deleteCampaign,
+  previewSegment,
+  previewCampaign,
+  scheduleCampaign,
+  cancelCampaign,
+  getCampaignDeliveries
+} from '../controllers/campaignController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const categories = ['newsletters', 'promotions', 'updates', 'events'];
+
+// Validation middleware for segment definitions
+const validateSegment = [
+  body('segment')
+    .optional()
+    .isObject()
+    .withMessage('Segment must be an object'),
+
+  body('segment.statuses')
+    .optional()
+    .isArray()
+    .withMessage('Segment statuses must be an array'),
+
+  body('segment.statuses.*')
+    .isIn(['active', 'unsubscribed', 'bounced', 'complained'])
+    .withMessage('Invalid status value'),
+
+  body('segment.preferences.*')
+    .optional()
+    .isBoolean()
+    .withMessage('Segment preference flags must be boolean'),
+
+  body('segment.tags')
+    .optional()
+    .isArray()
+    .withMessage('Segment tags must be an array'),
+
+  body('segment.sources')
+    .optional()
+    .isArray()
+    .withMessage('Segment sources must be an array'),
+
+  body('segment.sources.*')
+    .isIn(['website-footer', 'website-popup', 'manual', 'import'])
+    .withMessage('Invalid source value'),
+
+  body('segment.subscribedFrom')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('subscribedFrom must be a valid date'),
+
+  body('segment.subscribedTo')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('subscribedTo must be a valid date')
+];
+
+// Validation middleware for campaign creation
+const validateCampaign = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  body('subject')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subject must be between 1 and 200 characters'),
+
+  body('htmlBody')
+    .isString()
+    .notEmpty()
+    .withMessage('HTML body is required'),
+
+  body('textBody')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Text body must be a string'),
+
+  body('category')
+    .isIn(categories)
+    .withMessage('Invalid category value'),
+
+  ...validateSegment
+];
+
+// Validation middleware for campaign updates
+const validateCampaignUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  body('subject')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subject must be between 1 and 200 characters'),
+
+  body('htmlBody')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('HTML body cannot be empty'),
+
+  body('textBody')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Text body must be a string'),
+
+  body('category')
+    .optional()
+    .isIn(categories)
+    .withMessage('Invalid category value'),
+
+  ...validateSegment
+];
+
+// Validation middleware for audience previews
+const validatePreview = [
+  body('category')
+    .isIn(categories)
+    .withMessage('Invalid category value'),
+
+  ...validateSegment
+];
+
+// Validation middleware for scheduling
+const validateSchedule = [
+  body('scheduledAt')
+    .optional()
+    .isISO8601()
+    .withMessage('scheduledAt must be a valid date')
+];
+
+// Protected Routes (permission-checked)
+// @route   POST /api/email/campaigns/preview
+// @desc    Preview recipient count for a segment
+// @access  Private (email:read)
+router.post('/preview', auth, requirePermission('email:read'), validatePreview, previewSegment);
+
+// @route   GET /api/email/campaigns
+// @desc    Get all campaigns
+// @access  Private (email:read)
+router.get('/', auth, requirePermission('email:read'), getCampaigns);
+
+// @route   POST /api/email/campaigns
+// @desc    Create campaign
+// @access  Private (campaigns:manage)
+router.post('/', auth, requirePermission('campaigns:manage'), validateCampaign, createCampaign);
+
+// @route   GET /api/email/campaigns/:id
+// @desc    Get single campaign
+// @access  Private (email:read)
+router.get('/:id', auth, requirePermission('email:read'), getCampaign);
+
+// @route   PUT /api/email/campaigns/:id
+// @desc    Update campaign
+// @access  Private (campaigns:manage)
+router.put('/:id', auth, requirePermission('campaigns:manage'), validateCampaignUpdate, updateCampaign);
+
+// @route   DELETE /api/email/campaigns/:id
+// @desc    Delete campaign
+// @access  Private (campaigns:manage)
+router.delete('/:id', auth, requirePermission('campaigns:manage'), deleteCampaign);
+
+// @route   GET /api/email/campaigns/:id/preview
+// @desc    Preview recipient count for a campaign
+// @access  Private (email:read)
+router.get('/:id/preview', auth, requirePermission('email:read'), previewCampaign);
+
+// @route   POST /api/email/campaigns/:id/schedule
+// @desc    Schedule campaign
+// @access  Private (campaigns:manage)
+router.post('/:id/schedule', auth, requirePermission('campaigns:manage'), validateSchedule, scheduleCampaign);
+
+// @route   POST /api/email/campaigns/:id/cancel
+// @desc    Cancel campaign
+// @access  Private (campaigns:manage)
+router.post('/:id/cancel', auth, requirePermission('campaigns:manage'), cancelCampaign);
+
+// @route   GET /api/email/campaigns/:id/deliveries
+// @desc    Get per-recipient delivery state
+// @access  Private (email:read)
+router.get('/:id/deliveries', auth, requirePermission('email:read'), getCampaignDeliveries);
+
+export default router;
@@ -1,14 +1,25 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import {
   createContact,
+  logCall,
   getContacts,
   getContact,
   updateContact,
   deleteContact,
-  getContactStats
+  bulkDeleteContacts,
+  getDeletedContacts,
+  restoreContact,
+  getSpamContacts,
+  releaseContact,
+  getContactStats,
+  getOverdueContacts
 } from '../controllers/contactController.js';
-import auth from '../middleware/auth.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+import { formRateLimits, spamProtection } from '../middleware/spamProtection.js';
+import { rejectDisposableEmail } from '../utils/spam.js';
+import { CONTACT_STATUSES } from '../config/contactPipeline.js';
+import { CONTACT_SOURCES } from '../config/contactSources.js';
 
 const router = express.Router();
 
@@ -24,7 +35,9 @@ const validateContact = [
   body('email')
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please provide a valid email address'),
+    .withMessage('Please provide a valid email address')
+    .bail()
+    .custom(rejectDisposableEmail),
   
   body('phone')
     .matches(/^[\+]?[0-9\s\-\(\)\.]{10,20}$/)
@@ -40,7 +53,7 @@ const validateContact = [
 const validateContactUpdate = [
   body('status')
     .optional()
-    .isIn(['new', 'contacted', 'in-progress', 'completed', 'cancelled'])
+    .isIn(CONTACT_STATUSES)
     .withMessage('Invalid status value'),
   
   body('priority')
@@ -52,6 +65,24 @@ const validateContactUpdate = [
     .optional()
     .isMongoId()
     .withMessage('Invalid user ID'),
+
+  body('cancelReason')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Cancel reason must be between 1 and 500 characters'),
+
+  body('completionValue')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Completion value must be a positive number')
+    .toFloat(),
+
+  body('followUpDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('followUpDate must be an ISO 8601 date')
+    .toDate(),
   
   body('notes')
     .optional()
@@ -60,36 +91,146 @@ const validateContactUpdate = [
     .withMessage('Notes must be between 1 and 500 characters')
 ];
 
+// Validation middleware for logged phone calls
+const validateCallLog = [
+  body('phone')
+    .matches(/^[\+]?[0-9\s\-\(\)\.]{10,20}$/)
+    .withMessage('Please provide a valid phone number'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('direction')
+    .optional()
+    .isIn(['inbound', 'outbound'])
+    .withMessage('direction must be inbound or outbound'),
+
+  body('durationSeconds')
+    .optional()
+    .isInt({ min: 0, max: 86400 })
+    .withMessage('durationSeconds must be a whole number of seconds')
+    .toInt(),
+
+  body('summary')
+    .trim()
+    .isLength({ min: 2, max: 1000 })
+    .withMessage('Summary must be between 2 and 1000 characters'),
+
+  body('contactId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid contact ID')
+];
+
+// Validation middleware for contact list filters
+const validateContactQuery = [
+  query('assignedTo')
+    .optional()
+    .if((value) => !['me', 'none'].includes(value))
+    .isMongoId()
+    .withMessage('assignedTo must be "me", "none" or a user ID'),
+
+  query('source')
+    .optional()
+    .isIn(CONTACT_SOURCES)
+    .withMessage(`source must be one of: ${CONTACT_SOURCES.join(', ')}`)
+];
+
+// Validation middleware for the overdue view
+const validateOverdueQuery = [
+  ...validateContactQuery,
+
+  query('type')
+    .optional()
+    .isIn(['follow-up', 'sla'])
+    .withMessage('type must be follow-up or sla')
+];
+
+// Validation middleware for bulk actions
+const validateBulkIds = [
+  body('ids')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('ids must be a list of 1 to 500 contact IDs'),
+
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid contact ID')
+];
+
 // Public Routes
 // @route   POST /api/contact
-// @desc    Create new contact
+// @desc    Create new contact (rate-limited, spam-checked; suspected spam is quarantined)
 // @access  Public
-router.post('/', validateContact, createContact);
+router.post('/', formRateLimits(), validateContact, spamProtection({ textField: 'description' }), createContact);
 
-// Protected Routes (Admin only)
+// Protected Routes (permission-checked)
 // @route   GET /api/contact/stats
 // @desc    Get contact statistics
-// @access  Private/Admin
-router.get('/stats', auth, getContactStats);
+// @access  Private (contacts:read)
+router.get('/stats', auth, requirePermission('contacts:read'), getContactStats);
+
+// @route   GET /api/contact/overdue
+// @desc    Get contacts with a due follow-up or a missed first-response target
+// @access  Private (contacts:read)
+router.get('/overdue', auth, requirePermission('contacts:read'), validateOverdueQuery, getOverdueContacts);
+
+// @route   GET /api/contact/trash
+// @desc    Get contacts in the trash
+// @access  Private (contacts:delete)
+router.get('/trash', auth, requirePermission('contacts:delete'), getDeletedContacts);
+
+// @route   POST /api/contact/calls
+// @desc    Log a phone call on the caller's open contact or as a new contact
+// @access  Private (calls:log)
+router.post('/calls', auth, requirePermission('calls:log'), validateCallLog, logCall);
+
+// @route   GET /api/contact/spam
+// @desc    Get contacts held in spam quarantine
+// @access  Private (contacts:read)
+router.get('/spam', auth, requirePermission('contacts:read'), getSpamContacts);
+
+// @route   POST /api/contact/bulk-delete
+// @desc    Move several contacts to the trash
+// @access  Private (contacts:delete)
+router.post('/bulk-delete', auth, requirePermission('contacts:delete'), validateBulkIds, bulkDeleteContacts);
 
 // @route   GET /api/contact
-// @desc    Get all contacts with pagination and filtering
-// @access  Private/Admin
-router.get('/', auth, getContacts);
+// @desc    Get all contacts with pagination and filtering (assignedTo=me|none|<userId>, source)
+// @access  Private (contacts:read)
+router.get('/', auth, requirePermission('contacts:read'), validateContactQuery, getContacts);
 
 // @route   GET /api/contact/:id
 // @desc    Get single contact
-// @access  Private/Admin
-router.get('/:id', auth, getContact);
+// @access  Private (contacts:read)
+router.get('/:id', auth, requirePermission('contacts:read'), getContact);
 
 // @route   PUT /api/contact/:id
 // @desc    Update contact
-// @access  Private/Admin
-router.put('/:id', auth, validateContactUpdate, updateContact);
+// @access  Private (contacts:write)
+router.put('/:id', auth, requirePermission('contacts:write'), validateContactUpdate, updateContact);
 
 // @route   DELETE /api/contact/:id
-// @desc    Delete contact
-// @access  Private/Admin
-router.delete('/:id', auth, deleteContact);
+// @desc    Move contact to the trash
+// @access  Private (contacts:delete)
+router.delete('/:id', auth, requirePermission('contacts:delete'), deleteContact);
+
+// @route   POST /api/contact/:id/restore
+// @desc    Restore contact from the trash
+// @access  Private (contacts:delete)
+router.post('/:id/restore', auth, requirePermission('contacts:delete'), restoreContact);
+
+// @route   POST /api/contact/:id/release
+// @desc    Release contact from spam quarantine
+// @access  Private (contacts:write)
+router.post('/:id/release', auth, requirePermission('contacts:write'), releaseContact);
 
 export default router;
@@ -0,0 +1,72 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getCustomers,
+  getCustomer,
+  getCustomerTimeline,
+  mergeCustomer,
+  splitCustomerRecords
+} from '../controllers/customerController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation middleware for merging duplicate customers
+const validateMerge = [
+  body('sourceIds')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('sourceIds must be an array of 1 to 20 customer IDs'),
+
+  body('sourceIds.*')
+    .isMongoId()
+    .withMessage('Invalid customer ID')
+];
+
+// Validation middleware for splitting a customer
+const validateSplit = [
+  body('contactIds')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('contactIds must be an array'),
+
+  body('contactIds.*')
+    .isMongoId()
+    .withMessage('Invalid contact ID'),
+
+  body('bookingIds')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('bookingIds must be an array'),
+
+  body('bookingIds.*')
+    .isMongoId()
+    .withMessage('Invalid booking ID')
+];
+
+// Protected Routes (permission-checked)
+// @route   GET /api/customers
+// @desc    Get all customers
+// @access  Private (contacts:read)
+router.get('/', auth, requirePermission('contacts:read'), getCustomers);
+
+// @route   GET /api/customers/:id
+// @desc    Get single customer with linked contacts, bookings and subscription
+// @access  Private (contacts:read)
+router.get('/:id', auth, requirePermission('contacts:read'), getCustomer);
+
+// @route   GET /api/customers/:id/timeline
+// @desc    Get all interactions with a customer, newest first
+// @access  Private (contacts:read)
+router.get('/:id/timeline', auth, requirePermission('contacts:read'), getCustomerTimeline);
+
+// @route   POST /api/customers/:id/merge
+// @desc    Merge duplicate customers into this one
+// @access  Private (contacts:write)
+router.post('/:id/merge', auth, requirePermission('contacts:write'), validateMerge, mergeCustomer);
+
+// @route   POST /api/customers/:id/split
+// @desc    Move some contacts and bookings to a new customer
+// @access  Private (contacts:write)
+router.post('/:id/split', auth, requirePermission('contacts:write'), validateSplit, splitCustomerRecords);
+
+export default router;
@@ -2,14 +2,15 @@ import express from 'express';
 import Contact from '../models/Contact.js';
 import EmailSubscription from '../models/EmailSubscription.js';
 import User from '../models/User.js';
-import auth from '../middleware/auth.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+import { summarisePipeline } from '../utils/contactPipeline.js';
 
 const router = express.Router();
 
 // @route   GET /api/dashboard/overview
 // @desc    Get dashboard overview statistics
-// @access  Private/Admin
-router.get('/overview', auth, async (req, res) => {
+// @access  Private (dashboard:read)
+router.get('/overview', auth, requirePermission('dashboard:read'), async (req, res) => {
   try {
     // Get current date ranges
     const today = new Date();
@@ -53,7 +54,10 @@ router.get('/overview', auth, async (req, res) => {
     const userStats = {
       total: await User.countDocuments(),
       active: await User.countDocuments({ isActive: true }),
-      admins: await User.countDocuments({ role: 'admin' }),
+      admins: await User.countDocuments({ role: { $in: ['owner', 'admin'] } }),
+      byRole: await User.aggregate([
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ]),
       thisMonth: await User.countDocuments({ createdAt: { $gte: startOfMonth } })
     };
 
@@ -137,8 +141,8 @@ router.get('/overview', auth, async (req, res) => {
 
 // @route   GET /api/dashboard/analytics
 // @desc    Get detailed analytics data
-// @access  Private/Admin
-router.get('/analytics', auth, async (req, res) => {
+// @access  Private (dashboard:read)
+router.get('/analytics', auth, requirePermission('dashboard:read'), async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     
@@ -173,6 +177,11 @@ router.get('/analytics', auth, async (req, res) => {
       }
     ]);
 
+    // Time from new to contacted / completed and time spent in each stage
+    const pipelineContacts = await Contact.find({ createdAt: { $gte: dateRange } })
+      .select('createdAt statusHistory')
+      .lean();
+
     // Email engagement metrics
     const emailEngagement = await EmailSubscription.aggregate([
       {
@@ -188,7 +197,16 @@ router.get('/analytics', auth, async (req, res) => {
           totalEmailsSent: { $sum: '$emailsSent' },
           totalEmailsOpened: { $sum: '$emailsOpened' },
           totalEmailsClicked: { $sum: '$emailsClicked' },
-          avgEngagementRate: { $avg: '$engagementRate' }
+          // engagementRate is a virtual, so compute it per subscriber here
+          avgEngagementRate: {
+            $avg: {
+              $cond: [
+                { $gt: ['$emailsSent', 0] },
+                { $multiply: [{ $divide: ['$emailsOpened', '$emailsSent'] }, 100] },
+                0
+              ]
+            }
+          }
         }
       }
     ]);
@@ -236,6 +254,7 @@ router.get('/analytics', auth, async (req, res) => {
         period,
         dateRange,
         contactFunnel,
+        pipeline: summarisePipeline(pipelineContacts),
         emailEngagement: emailEngagement[0] || {
           totalSubscribers: 0,
           totalEmailsSent: 0,
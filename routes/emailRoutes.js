@@ -1,14 +1,33 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import {
   subscribeEmail,
+  verifyEmail,
+  resendVerification,
   unsubscribeEmail,
+  showUnsubscribePage,
+  oneClickUnsubscribe,
+  getPreferences,
+  updatePreferences,
   getSubscriptions,
+  exportSubscriptions,
   getEmailStats,
   updateSubscription,
-  deleteSubscription
+  getSubscriptionEvents,
+  deleteSubscription,
+  bulkDeleteSubscriptions,
+  getDeletedSubscriptions,
+  restoreSubscription,
+  getSpamSubscriptions,
+  releaseSubscription
 } from '../controllers/emailController.js';
-import auth from '../middleware/auth.js';
+import {
+  importSubscriptions,
+  getImportJob
+} from '../controllers/importController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+import { formRateLimits, spamProtection } from '../middleware/spamProtection.js';
+import { rejectDisposableEmail } from '../utils/spam.js';
 
 const router = express.Router();
 
@@ -17,7 +36,9 @@ const validateEmailSubscription = [
   body('email')
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please provide a valid email address'),
+    .withMessage('Please provide a valid email address')
+    .bail()
+    .custom(rejectDisposableEmail),
   
   body('source')
     .optional()
@@ -50,9 +71,23 @@ const validateEmailSubscription = [
     .withMessage('Events preference must be boolean')
 ];
 
+// Validation middleware for resending the confirmation email
+const validateResendVerification = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
 // Validation middleware for unsubscription
 const validateEmailUnsubscription = [
+  body('token')
+    .optional()
+    .isString()
+    .withMessage('Invalid unsubscribe token'),
+
   body('email')
+    .if(body('token').not().exists())
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
@@ -64,6 +99,45 @@ const validateEmailUnsubscription = [
     .withMessage('Reason cannot exceed 200 characters')
 ];
 
+// Validation middleware for preference center updates
+const validatePreferencesUpdate = [
+  body('preferences')
+    .optional()
+    .isObject()
+    .withMessage('Preferences must be an object'),
+
+  body('preferences.newsletters')
+    .optional()
+    .isBoolean()
+    .withMessage('Newsletter preference must be boolean'),
+
+  body('preferences.promotions')
+    .optional()
+    .isBoolean()
+    .withMessage('Promotions preference must be boolean'),
+
+  body('preferences.updates')
+    .optional()
+    .isBoolean()
+    .withMessage('Updates preference must be boolean'),
+
+  body('preferences.events')
+    .optional()
+    .isBoolean()
+    .withMessage('Events preference must be boolean'),
+
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 items'),
+
+  body('tags.*')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters')
+];
+
 // Validation middleware for subscription updates
 const validateSubscriptionUpdate = [
   body('status')
@@ -88,36 +162,147 @@ const validateSubscriptionUpdate = [
     .withMessage('Each tag must be between 1 and 50 characters')
 ];
 
+// Validation middleware for bulk actions
+const validateBulkIds = [
+  body('ids')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('ids must be a list of 1 to 500 subscription IDs'),
+
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Invalid subscription ID')
+];
+
+// Validation middleware for subscription imports
+const validateImport = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false'),
+
+  query('unsubscribed')
+    .optional()
+    .isIn(['skip', 'resubscribe'])
+    .withMessage('unsubscribed must be skip or resubscribe'),
+
+  query('verified')
+    .optional()
+    .isBoolean()
+    .withMessage('verified must be true or false')
+];
+
 // Public Routes
 // @route   POST /api/email/subscribe
-// @desc    Subscribe to email list
+// @desc    Subscribe to email list (rate-limited, spam-checked; suspected spam is quarantined)
+// @access  Public
+router.post('/subscribe', formRateLimits(), validateEmailSubscription, spamProtection(), subscribeEmail);
+
+// @route   GET /api/email/verify/:token
+// @desc    Confirm email subscription
 // @access  Public
-router.post('/subscribe', validateEmailSubscription, subscribeEmail);
+router.get('/verify/:token', verifyEmail);
+
+// @route   POST /api/email/resend-verification
+// @desc    Resend subscription confirmation email
+// @access  Public
+router.post('/resend-verification', validateResendVerification, resendVerification);
 
 // @route   POST /api/email/unsubscribe
 // @desc    Unsubscribe from email list
 // @access  Public
 router.post('/unsubscribe', validateEmailUnsubscription, unsubscribeEmail);
 
-// Protected Routes (Admin only)
+// @route   GET /api/email/unsubscribe/:token
+// @desc    Unsubscribe confirmation page
+// @access  Public
+router.get('/unsubscribe/:token', showUnsubscribePage);
+
+// @route   POST /api/email/unsubscribe/:token
+// @desc    One-click unsubscribe (RFC 8058)
+// @access  Public
+router.post('/unsubscribe/:token', oneClickUnsubscribe);
+
+// @route   GET /api/email/preferences/:token
+// @desc    Get subscriber preferences
+// @access  Public
+router.get('/preferences/:token', getPreferences);
+
+// @route   POST /api/email/preferences/:token
+// @desc    Update subscriber preferences and tags
+// @access  Public
+router.post('/preferences/:token', validatePreferencesUpdate, updatePreferences);
+
+// Protected Routes (permission-checked)
 // @route   GET /api/email/stats
 // @desc    Get email subscription statistics
-// @access  Private/Admin
-router.get('/stats', auth, getEmailStats);
+// @access  Private (email:read)
+router.get('/stats', auth, requirePermission('email:read'), getEmailStats);
 
 // @route   GET /api/email/subscriptions
 // @desc    Get all email subscriptions with pagination and filtering
-// @access  Private/Admin
-router.get('/subscriptions', auth, getSubscriptions);
+// @access  Private (email:read)
+router.get('/subscriptions', auth, requirePermission('email:read'), getSubscriptions);
+
+// @route   GET /api/email/subscriptions/export
+// @desc    Export filtered subscriptions as CSV or NDJSON
+// @access  Private (email:export)
+router.get('/subscriptions/export', auth, requirePermission('email:export'), exportSubscriptions);
+
+// @route   GET /api/email/subscriptions/trash
+// @desc    Get email subscriptions in the trash
+// @access  Private (email:delete)
+router.get('/subscriptions/trash', auth, requirePermission('email:delete'), getDeletedSubscriptions);
+
+// @route   POST /api/email/subscriptions/bulk-delete
+// @desc    Move several email subscriptions to the trash
+// @access  Private (email:delete)
+router.post('/subscriptions/bulk-delete', auth, requirePermission('email:delete'), validateBulkIds, bulkDeleteSubscriptions);
+
+// @route   POST /api/email/subscriptions/import
+// @desc    Import subscriptions from CSV
+// @access  Private (email:import)
+router.post(
+  '/subscriptions/import',
+  auth,
+  requirePermission('email:import'),
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  validateImport,
+  importSubscriptions
+);
+
+// @route   GET /api/email/subscriptions/import/:jobId
+// @desc    Get import job progress
+// @access  Private (email:import)
+router.get('/subscriptions/import/:jobId', auth, requirePermission('email:import'), getImportJob);
 
 // @route   PUT /api/email/subscription/:id
 // @desc    Update email subscription
-// @access  Private/Admin
-router.put('/subscription/:id', auth, validateSubscriptionUpdate, updateSubscription);
+// @access  Private (email:write)
+router.put('/subscription/:id', auth, requirePermission('email:write'), validateSubscriptionUpdate, updateSubscription);
+
+// @route   GET /api/email/subscription/:id/events
+// @desc    Get bounce, complaint and engagement events for a subscription
+// @access  Private (email:read)
+router.get('/subscription/:id/events', auth, requirePermission('email:read'), getSubscriptionEvents);
 
 // @route   DELETE /api/email/subscription/:id
-// @desc    Delete email subscription
-// @access  Private/Admin
-router.delete('/subscription/:id', auth, deleteSubscription);
+// @desc    Move email subscription to the trash
+// @access  Private (email:delete)
+router.delete('/subscription/:id', auth, requirePermission('email:delete'), deleteSubscription);
+
+// @route   POST /api/email/subscription/:id/restore
+// @desc    Restore email subscription from the trash
+// @access  Private (email:delete)
+router.post('/subscription/:id/restore', auth, requirePermission('email:delete'), restoreSubscription);
+
+// @route   GET /api/email/subscriptions/spam
+// @desc    Get email subscriptions held in spam quarantine
+// @access  Private (email:read)
+router.get('/subscriptions/spam', auth, requirePermission('email:read'), getSpamSubscriptions);
+
+// @route   POST /api/email/subscription/:id/release
+// @desc    Release email subscription from spam quarantine and send the confirmation email
+// @access  Private (email:write)
+router.post('/subscription/:id/release', auth, requirePermission('email:write'), releaseSubscription);
 
 export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  createInvite,
+  getInvites,
+  resendInvite,
+  revokeInvite
+} from '../controllers/inviteController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+import { ROLES } from '../config/permissions.js';
+
+const router = express.Router();
+
+// Validation middleware for invitations
+const validateInvite = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('Expiry must be between 1 and 30 days')
+];
+
+// Protected Routes (permission-checked)
+// @route   POST /api/invites
+// @desc    Invite a new dashboard user
+// @access  Private (users:manage)
+router.post('/', auth, requirePermission('users:manage'), validateInvite, createInvite);
+
+// @route   GET /api/invites
+// @desc    Get all invitations with filtering
+// @access  Private (users:manage)
+router.get('/', auth, requirePermission('users:manage'), getInvites);
+
+// @route   POST /api/invites/:id/resend
+// @desc    Resend an invitation with a new link
+// @access  Private (users:manage)
+router.post('/:id/resend', auth, requirePermission('users:manage'), resendInvite);
+
+// @route   DELETE /api/invites/:id
+// @desc    Revoke a pending invitation
+// @access  Private (users:manage)
+router.delete('/:id', auth, requirePermission('users:manage'), revokeInvite);
+
+export default router;
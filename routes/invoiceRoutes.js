@@ -0,0 +1,123 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  createInvoice,
+  getInvoices,
+  getInvoice,
+  updateInvoiceStatus,
+  getInvoiceDocument,
+  sendInvoice
+} from '../controllers/invoiceController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const withoutQuote = body('quoteId').not().exists();
+
+// Validation middleware for invoice creation
+const validateInvoice = [
+  body('quoteId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid quote ID'),
+
+  body('bookingId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid booking ID'),
+
+  body('lineItems')
+    .if(withoutQuote)
+    .isArray({ min: 1 })
+    .withMessage('Line items are required when not invoicing a quote'),
+
+  body('lineItems.*.description')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each line item needs a description of up to 200 characters'),
+
+  body('lineItems.*.quantity')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Line item quantity must be a positive number'),
+
+  body('lineItems.*.unitPrice')
+    .isFloat()
+    .withMessage('Line item unit price must be a number'),
+
+  body('customer.name')
+    .if(withoutQuote)
+    .if(body('bookingId').not().exists())
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Customer name is required when not invoicing a quote or booking'),
+
+  body('customer.email')
+    .if(withoutQuote)
+    .if(body('bookingId').not().exists())
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Customer email is required when not invoicing a quote or booking'),
+
+  body('vatRate')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('VAT rate must be a fraction between 0 and 1'),
+
+  body('dueDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Due days must be between 0 and 365')
+];
+
+// Validation middleware for payment status changes
+const validateInvoiceStatus = [
+  body('status')
+    .isIn(['paid', 'unpaid', 'void'])
+    .withMessage('Status must be paid, unpaid or void'),
+
+  body('paymentMethod')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Payment method cannot exceed 50 characters'),
+
+  body('paymentReference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Payment reference cannot exceed 100 characters')
+];
+
+// Protected Routes (permission-checked)
+// @route   GET /api/invoices
+// @desc    Get all invoices
+// @access  Private (billing:read)
+router.get('/', auth, requirePermission('billing:read'), getInvoices);
+
+// @route   POST /api/invoices
+// @desc    Create invoice
+// @access  Private (billing:write)
+router.post('/', auth, requirePermission('billing:write'), validateInvoice, createInvoice);
+
+// @route   GET /api/invoices/:id
+// @desc    Get single invoice
+// @access  Private (billing:read)
+router.get('/:id', auth, requirePermission('billing:read'), getInvoice);
+
+// @route   GET /api/invoices/:id/document
+// @desc    Render invoice as HTML
+// @access  Private (billing:read)
+router.get('/:id/document', auth, requirePermission('billing:read'), getInvoiceDocument);
+
+// @route   PUT /api/invoices/:id/status
+// @desc    Mark invoice paid, unpaid or void
+// @access  Private (billing:write)
+router.put('/:id/status', auth, requirePermission('billing:write'), validateInvoiceStatus, updateInvoiceStatus);
+
+// @route   POST /api/invoices/:id/send
+// @desc    Email invoice to customer
+// @access  Private (billing:write)
+router.post('/:id/send', auth, requirePermission('billing:write'), sendInvoice);
+
+export default router;
@@ -0,0 +1,117 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getPartners,
+  createPartner,
+  updatePartner,
+  rotatePartnerKey,
+  submitPartnerLead
+} from '../controllers/partnerController.js';
+import auth, { requirePermission, authenticatePartner } from '../middleware/auth.js';
+import { PARTNER_TYPES } from '../config/contactSources.js';
+
+const router = express.Router();
+
+// Validation middleware for partner details
+const validatePartner = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Name must be between 2 and 150 characters'),
+
+  body('type')
+    .optional()
+    .isIn(PARTNER_TYPES)
+    .withMessage(`type must be one of: ${PARTNER_TYPES.join(', ')}`),
+
+  body('contactEmail')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+// Validation middleware for partner updates
+const validatePartnerUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Name must be between 2 and 150 characters'),
+
+  body('type')
+    .optional()
+    .isIn(PARTNER_TYPES)
+    .withMessage(`type must be one of: ${PARTNER_TYPES.join(', ')}`),
+
+  body('contactEmail')
+    .optional({ values: 'null' })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean()
+];
+
+// Validation middleware for leads submitted by partners
+const validatePartnerLead = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('phone')
+    .matches(/^[\+]?[0-9\s\-\(\)\.]{10,20}$/)
+    .withMessage('Please provide a valid phone number'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('reference must be between 1 and 100 characters')
+];
+
+// Partner Routes (API key)
+// @route   POST /api/partners/leads
+// @desc    Submit a lead from a hotel or event agency
+// @access  Partner (X-API-Key)
+router.post('/leads', authenticatePartner, validatePartnerLead, submitPartnerLead);
+
+// Protected Routes (permission-checked)
+// @route   GET /api/partners
+// @desc    Get all partners
+// @access  Private (partners:manage)
+router.get('/', auth, requirePermission('partners:manage'), getPartners);
+
+// @route   POST /api/partners
+// @desc    Create a partner and issue its API key
+// @access  Private (partners:manage)
+router.post('/', auth, requirePermission('partners:manage'), validatePartner, createPartner);
+
+// @route   PUT /api/partners/:id
+// @desc    Update a partner or disable its access
+// @access  Private (partners:manage)
+router.put('/:id', auth, requirePermission('partners:manage'), validatePartnerUpdate, updatePartner);
+
+// @route   POST /api/partners/:id/rotate-key
+// @desc    Issue a new API key, revoking the old one
+// @access  Private (partners:manage)
+router.post('/:id/rotate-key', auth, requirePermission('partners:manage'), rotatePartnerKey);
+
+export default router;
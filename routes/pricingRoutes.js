@@ -0,0 +1,95 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  createRateCard,
+  getRateCards,
+  getRateCard,
+  updateRateCard,
+  deleteRateCard
+} from '../controllers/rateCardController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation middleware for rate cards (fields optional on update)
+const validateRateCard = (isUpdate = false) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('name'))
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+
+    body('serviceType')
+      .optional({ values: 'null' })
+      .isIn(['event-valet', 'hotel', 'restaurant', 'residential'])
+      .withMessage('Invalid service type'),
+
+    required(body('perValetHour'))
+      .isFloat({ min: 0 })
+      .withMessage('Rate per valet-hour must be a positive number'),
+
+    body(['perCar', 'minimumHours', 'minimumCharge'])
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Rates and minimums must be positive numbers'),
+
+    body(['surcharges.night.percent', 'surcharges.weekend.percent', 'surcharges.peak.percent'])
+      .optional()
+      .isFloat({ min: 0, max: 200 })
+      .withMessage('Surcharge percentages must be between 0 and 200'),
+
+    body(['surcharges.night.startHour', 'surcharges.night.endHour'])
+      .optional()
+      .isInt({ min: 0, max: 23 })
+      .withMessage('Night hours must be between 0 and 23'),
+
+    body('surcharges.weekend.days')
+      .optional()
+      .isArray()
+      .withMessage('Weekend days must be an array'),
+
+    body('surcharges.weekend.days.*')
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Weekend days must be between 0 (Sunday) and 6 (Saturday)'),
+
+    body('vatRate')
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage('VAT rate must be a fraction between 0 and 1'),
+
+    body(['isDefault', 'isActive'])
+      .optional()
+      .isBoolean()
+      .withMessage('Flags must be boolean')
+  ];
+};
+
+// Protected Routes (permission-checked)
+// @route   GET /api/pricing/rate-cards
+// @desc    Get all rate cards
+// @access  Private (billing:read)
+router.get('/rate-cards', auth, requirePermission('billing:read'), getRateCards);
+
+// @route   POST /api/pricing/rate-cards
+// @desc    Create rate card
+// @access  Private (billing:write)
+router.post('/rate-cards', auth, requirePermission('billing:write'), validateRateCard(), createRateCard);
+
+// @route   GET /api/pricing/rate-cards/:id
+// @desc    Get single rate card
+// @access  Private (billing:read)
+router.get('/rate-cards/:id', auth, requirePermission('billing:read'), getRateCard);
+
+// @route   PUT /api/pricing/rate-cards/:id
+// @desc    Update rate card
+// @access  Private (billing:write)
+router.put('/rate-cards/:id', auth, requirePermission('billing:write'), validateRateCard(true), updateRateCard);
+
+// @route   DELETE /api/pricing/rate-cards/:id
+// @desc    Delete rate card
+// @access  Private (billing:write)
+router.delete('/rate-cards/:id', auth, requirePermission('billing:write'), deleteRateCard);
+
+export default router;
@@ -0,0 +1,99 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  createPrivacyRequest,
+  getPrivacyRequests,
+  getPrivacyRequest,
+  downloadPrivacyExport,
+  requestOwnData,
+  confirmOwnRequest,
+  downloadOwnExport
+} from '../controllers/privacyController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const validateRequestType = body('type')
+  .isIn(['export', 'erasure'])
+  .withMessage('Type must be export or erasure');
+
+// Validation middleware for admin-created requests
+const validatePrivacyRequest = [
+  validateRequestType,
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('phone')
+    .optional({ values: 'falsy' })
+    .matches(/^[\+]?[0-9\s\-\(\)\.]{7,20}$/)
+    .withMessage('Please provide a valid phone number'),
+
+  body()
+    .custom((value) => Boolean(value.email || value.phone))
+    .withMessage('An email or phone number is required'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+// Validation middleware for data subject requests
+const validateOwnRequest = [
+  validateRequestType,
+
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+const validateConfirmation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Token is required')
+];
+
+// Public Routes
+// @route   POST /api/privacy/requests/self
+// @desc    Request an export or erasure of your own data (confirmed by email)
+// @access  Public
+router.post('/requests/self', validateOwnRequest, requestOwnData);
+
+// @route   POST /api/privacy/requests/confirm
+// @desc    Confirm a request from the emailed link and run it
+// @access  Public (requires emailed token)
+router.post('/requests/confirm', validateConfirmation, confirmOwnRequest);
+
+// @route   GET /api/privacy/requests/download/:token
+// @desc    Download a confirmed data export (format=json|zip)
+// @access  Public (requires emailed token)
+router.get('/requests/download/:token', downloadOwnExport);
+
+// Protected Routes (permission-checked)
+// @route   POST /api/privacy/requests
+// @desc    Create and run an export or erasure request
+// @access  Private (privacy:manage)
+router.post('/requests', auth, requirePermission('privacy:manage'), validatePrivacyRequest, createPrivacyRequest);
+
+// @route   GET /api/privacy/requests
+// @desc    Get privacy requests with status, type and search filters
+// @access  Private (privacy:manage)
+router.get('/requests', auth, requirePermission('privacy:manage'), getPrivacyRequests);
+
+// @route   GET /api/privacy/requests/:id
+// @desc    Get single privacy request
+// @access  Private (privacy:manage)
+router.get('/requests/:id', auth, requirePermission('privacy:manage'), getPrivacyRequest);
+
+// @route   GET /api/privacy/requests/:id/download
+// @desc    Download the data export of a completed request (format=json|zip)
+// @access  Private (privacy:manage)
+router.get('/requests/:id/download', auth, requirePermission('privacy:manage'), downloadPrivacyExport);
+
+export default router;
@@ -0,0 +1,162 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  createQuote,
+  reviseQuote,
+  getQuotes,
+  getQuote,
+  getQuoteDocument,
+  sendQuote,
+  respondToQuote,
+  viewQuote,
+  respondToQuoteByToken
+} from '../controllers/quoteController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation middleware for quote content (manual line items or pricing inputs)
+const validateQuoteContent = [
+  body('lineItems')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Line items must be a non-empty array'),
+
+  body('lineItems.*.description')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each line item needs a description of up to 200 characters'),
+
+  body('lineItems.*.quantity')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Line item quantity must be a positive number'),
+
+  body('lineItems.*.unitPrice')
+    .isFloat()
+    .withMessage('Line item unit price must be a number'),
+
+  body('rateCardId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid rate card ID'),
+
+  body('eventStart')
+    .optional()
+    .isISO8601()
+    .withMessage('Event start must be a valid date/time'),
+
+  body('eventEnd')
+    .optional()
+    .isISO8601()
+    .withMessage('Event end must be a valid date/time'),
+
+  body(['numberOfCars', 'valetsRequired'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Car and valet counts must be at least 1'),
+
+  body('isPeak')
+    .optional()
+    .isBoolean()
+    .withMessage('isPeak must be boolean'),
+
+  body('vatRate')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('VAT rate must be a fraction between 0 and 1'),
+
+  body('validDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Validity must be between 1 and 365 days'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters')
+];
+
+// Validation middleware for quote creation
+const validateQuote = [
+  body('bookingId')
+    .if(body('contactId').not().exists())
+    .isMongoId()
+    .withMessage('A bookingId or contactId is required'),
+
+  body('contactId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid contact ID'),
+
+  ...validateQuoteContent
+];
+
+// Validation middleware for quote responses
+const validateQuoteResponse = [
+  body('action')
+    .isIn(['accept', 'reject'])
+    .withMessage('Action must be accept or reject'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+// Public Routes
+// @route   GET /api/quotes/view/:token
+// @desc    View quote from emailed link
+// @access  Public
+router.get('/view/:token', viewQuote);
+
+// @route   POST /api/quotes/view/:token
+// @desc    Accept or reject quote from emailed link
+// @access  Public
+router.post('/view/:token', validateQuoteResponse, respondToQuoteByToken);
+
+// Protected Routes (permission-checked)
+// @route   GET /api/quotes
+// @desc    Get all quotes
+// @access  Private (billing:read)
+router.get('/', auth, requirePermission('billing:read'), getQuotes);
+
+// @route   POST /api/quotes
+// @desc    Create quote
+// @access  Private (billing:write)
+router.post('/', auth, requirePermission('billing:write'), validateQuote, createQuote);
+
+// @route   GET /api/quotes/:id
+// @desc    Get single quote with version history
+// @access  Private (billing:read)
+router.get('/:id', auth, requirePermission('billing:read'), getQuote);
+
+// @route   GET /api/quotes/:id/document
+// @desc    Render quote as HTML
+// @access  Private (billing:read)
+router.get('/:id/document', auth, requirePermission('billing:read'), getQuoteDocument);
+
+// @route   POST /api/quotes/:id/revise
+// @desc    Create a new quote version
+// @access  Private (billing:write)
+router.post('/:id/revise', auth, requirePermission('billing:write'), validateQuoteContent, reviseQuote);
+
+// @route   POST /api/quotes/:id/send
+// @desc    Email quote to customer
+// @access  Private (billing:write)
+router.post('/:id/send', auth, requirePermission('billing:write'), sendQuote);
+
+// @route   POST /api/quotes/:id/respond
+// @desc    Record customer acceptance or rejection
+// @access  Private (billing:write)
+router.post('/:id/respond', auth, requirePermission('billing:write'), validateQuoteResponse, respondToQuote);
+
+export default router;
@@ -0,0 +1,120 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getRetentionPolicies,
+  createRetentionPolicy,
+  updateRetentionPolicy,
+  deleteRetentionPolicy,
+  getRetentionReport,
+  runRetentionNow,
+  getRetentionRuns,
+  getRetentionRun
+} from '../controllers/retentionController.js';
+import { RETENTION_TARGETS, RETENTION_ACTIONS } from '../config/retention.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Validation middleware for retention policies (required fields are checked by the model)
+const validateRetentionPolicy = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 150 })
+    .withMessage('Name must be between 1 and 150 characters'),
+
+  body('target')
+    .optional()
+    .isIn(Object.keys(RETENTION_TARGETS))
+    .withMessage(`Target must be one of: ${Object.keys(RETENTION_TARGETS).join(', ')}`),
+
+  body('action')
+    .optional()
+    .isIn(RETENTION_ACTIONS)
+    .withMessage(`Action must be one of: ${RETENTION_ACTIONS.join(', ')}`),
+
+  body('fields')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Fields must be an array'),
+
+  body('fields.*')
+    .isString()
+    .withMessage('Each field must be a string'),
+
+  body('statuses')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Statuses must be an array'),
+
+  body('statuses.*')
+    .isString()
+    .withMessage('Each status must be a string'),
+
+  body('dateField')
+    .optional()
+    .isIn(['createdAt', 'updatedAt'])
+    .withMessage('dateField must be createdAt or updatedAt'),
+
+  body('afterDays')
+    .optional()
+    .isInt({ min: 1, max: 36500 })
+    .withMessage('afterDays must be a whole number of days between 1 and 36500')
+    .toInt(),
+
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be true or false')
+    .toBoolean()
+];
+
+const validateReportQuery = [
+  query('policy')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid policy ID')
+];
+
+// Protected Routes (permission-checked)
+// @route   GET /api/retention/policies
+// @desc    Get data retention policies and the targets they can use
+// @access  Private (privacy:manage)
+router.get('/policies', auth, requirePermission('privacy:manage'), getRetentionPolicies);
+
+// @route   POST /api/retention/policies
+// @desc    Create data retention policy
+// @access  Private (privacy:manage)
+router.post('/policies', auth, requirePermission('privacy:manage'), validateRetentionPolicy, createRetentionPolicy);
+
+// @route   PUT /api/retention/policies/:id
+// @desc    Update data retention policy
+// @access  Private (privacy:manage)
+router.put('/policies/:id', auth, requirePermission('privacy:manage'), validateRetentionPolicy, updateRetentionPolicy);
+
+// @route   DELETE /api/retention/policies/:id
+// @desc    Delete custom data retention policy
+// @access  Private (privacy:manage)
+router.delete('/policies/:id', auth, requirePermission('privacy:manage'), deleteRetentionPolicy);
+
+// @route   GET /api/retention/report
+// @desc    Dry run showing what each enabled policy would clear or anonymise now
+// @access  Private (privacy:manage)
+router.get('/report', auth, requirePermission('privacy:manage'), validateReportQuery, getRetentionReport);
+
+// @route   POST /api/retention/run
+// @desc    Run the enabled retention policies now
+// @access  Private (privacy:manage)
+router.post('/run', auth, requirePermission('privacy:manage'), runRetentionNow);
+
+// @route   GET /api/retention/runs
+// @desc    Get the log of retention runs
+// @access  Private (privacy:manage)
+router.get('/runs', auth, requirePermission('privacy:manage'), getRetentionRuns);
+
+// @route   GET /api/retention/runs/:id
+// @desc    Get single retention run with per-policy results
+// @access  Private (privacy:manage)
+router.get('/runs/:id', auth, requirePermission('privacy:manage'), getRetentionRun);
+
+export default router;
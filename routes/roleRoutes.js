@@ -0,0 +1,36 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getRoles,
+  getRoleAssignments,
+  assignRole
+} from '../controllers/roleController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+import { ROLES } from '../config/permissions.js';
+
+const router = express.Router();
+
+// Validation middleware for role assignment
+const validateRoleAssignment = [
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+// Protected Routes (permission-checked)
+// @route   GET /api/roles
+// @desc    Get roles and their permissions
+// @access  Private (users:manage)
+router.get('/', auth, requirePermission('users:manage'), getRoles);
+
+// @route   GET /api/roles/users
+// @desc    Get users with their role assignments
+// @access  Private (users:manage)
+router.get('/users', auth, requirePermission('users:manage'), getRoleAssignments);
+
+// @route   PUT /api/roles/users/:id
+// @desc    Assign a role to a user
+// @access  Private (users:manage)
+router.put('/users/:id', auth, requirePermission('users:manage'), validateRoleAssignment, assignRole);
+
+export default router;
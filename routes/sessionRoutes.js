@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getSessions,
+  revokeSession,
+  revokeUserSessions
+} from '../controllers/sessionController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Protected Routes (permission-checked)
+// @route   GET /api/sessions
+// @desc    Get login sessions with user and active filters
+// @access  Private (users:manage)
+router.get('/', auth, requirePermission('users:manage'), getSessions);
+
+// @route   DELETE /api/sessions/user/:userId
+// @desc    Revoke every session of a user
+// @access  Private (users:manage)
+router.delete('/user/:userId', auth, requirePermission('users:manage'), revokeUserSessions);
+
+// @route   DELETE /api/sessions/:id
+// @desc    Revoke a single session
+// @access  Private (users:manage)
+router.delete('/:id', auth, requirePermission('users:manage'), revokeSession);
+
+export default router;
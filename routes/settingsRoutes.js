@@ -0,0 +1,206 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getSettings,
+  updateSecuritySettings,
+  getAssignmentSettings,
+  updateAssignmentSettings,
+  getSlaSettings,
+  updateSlaSettings,
+  getContactPipelineSettings,
+  updateContactPipelineSettings,
+  getSpamSettings,
+  updateSpamSettings
+} from '../controllers/settingsController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+import { ROLES } from '../config/permissions.js';
+import { CONTACT_STATUSES, TRANSITION_FIELDS } from '../config/contactPipeline.js';
+
+const router = express.Router();
+
+// Validation middleware for security settings
+const validateSecuritySettings = [
+  body('requireTwoFactorRoles')
+    .optional()
+    .isArray()
+    .withMessage('requireTwoFactorRoles must be an array'),
+
+  body('requireTwoFactorRoles.*')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+// Validation middleware for contact assignment settings
+const validateAssignmentSettings = [
+  body('autoAssign')
+    .optional()
+    .isBoolean()
+    .withMessage('autoAssign must be true or false')
+    .toBoolean(),
+
+  body('strategy')
+    .optional()
+    .isIn(['round-robin', 'least-loaded'])
+    .withMessage('Strategy must be round-robin or least-loaded'),
+
+  body('roles')
+    .optional()
+    .isArray()
+    .withMessage('roles must be an array'),
+
+  body('roles.*')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+
+  body('rules')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('rules must be an array of at most 50 rules'),
+
+  body('rules.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each rule needs a name of at most 100 characters'),
+
+  body('rules.*.priorities')
+    .optional()
+    .isArray()
+    .withMessage('Rule priorities must be an array'),
+
+  body('rules.*.priorities.*')
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Invalid priority value'),
+
+  body('rules.*.keywords')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Rule keywords must be an array'),
+
+  body('rules.*.keywords.*')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each keyword must be between 1 and 50 characters'),
+
+  body('rules.*.assignees')
+    .optional()
+    .isArray()
+    .withMessage('Rule assignees must be an array'),
+
+  body('rules.*.assignees.*')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+// Validation middleware for first-response SLA targets
+const validateSlaSettings = [
+  body('firstResponseHours')
+    .isObject()
+    .withMessage('firstResponseHours must be an object'),
+
+  body(['firstResponseHours.low', 'firstResponseHours.medium', 'firstResponseHours.high', 'firstResponseHours.urgent'])
+    .optional()
+    .isFloat({ min: 0.25, max: 720 })
+    .withMessage('Response targets must be between 0.25 and 720 hours')
+    .toFloat()
+];
+
+// Every key must be a contact status and every value a list drawn from `allowed`
+const isStatusMap = (allowed) => (value) => {
+  return typeof value === 'object' && !Array.isArray(value) &&
+    Object.entries(value).every(([status, list]) => {
+      return CONTACT_STATUSES.includes(status) && Array.isArray(list) && list.every((item) => allowed.includes(item));
+    });
+};
+
+// Validation middleware for contact pipeline settings
+const validateContactPipelineSettings = [
+  body('transitions')
+    .optional()
+    .custom(isStatusMap(CONTACT_STATUSES))
+    .withMessage(`transitions must map statuses to lists of statuses (${CONTACT_STATUSES.join(', ')})`),
+
+  body('requiredFields')
+    .optional()
+    .custom(isStatusMap(TRANSITION_FIELDS))
+    .withMessage(`requiredFields must map statuses to lists of fields (${TRANSITION_FIELDS.join(', ')})`)
+];
+
+// Validation middleware for spam protection settings
+const validateSpamSettings = [
+  body(['blockedKeywords', 'blockedDomains'])
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('blockedKeywords and blockedDomains must be arrays'),
+
+  body(['blockedKeywords.*', 'blockedDomains.*'])
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Each keyword or domain must be between 2 and 100 characters')
+    .toLowerCase(),
+
+  body('maxLinks')
+    .optional()
+    .isInt({ min: 0, max: 50 })
+    .withMessage('maxLinks must be a whole number between 0 and 50')
+    .toInt(),
+
+  body('minFillSeconds')
+    .optional()
+    .isFloat({ min: 0, max: 600 })
+    .withMessage('minFillSeconds must be between 0 and 600')
+    .toFloat()
+];
+
+// Protected Routes (permission-checked)
+// @route   GET /api/settings
+// @desc    Get organisation settings
+// @access  Private (users:manage)
+router.get('/', auth, requirePermission('users:manage'), getSettings);
+
+// @route   PUT /api/settings/security
+// @desc    Update security settings
+// @access  Private (users:manage)
+router.put('/security', auth, requirePermission('users:manage'), validateSecuritySettings, updateSecuritySettings);
+
+// @route   GET /api/settings/assignment
+// @desc    Get contact assignment settings
+// @access  Private (contacts:assign)
+router.get('/assignment', auth, requirePermission('contacts:assign'), getAssignmentSettings);
+
+// @route   PUT /api/settings/assignment
+// @desc    Update contact assignment strategy, roles and rules
+// @access  Private (contacts:assign)
+router.put('/assignment', auth, requirePermission('contacts:assign'), validateAssignmentSettings, updateAssignmentSettings);
+
+// @route   GET /api/settings/sla
+// @desc    Get first-response SLA targets per priority
+// @access  Private (contacts:assign)
+router.get('/sla', auth, requirePermission('contacts:assign'), getSlaSettings);
+
+// @route   PUT /api/settings/sla
+// @desc    Update first-response SLA targets per priority
+// @access  Private (contacts:assign)
+router.put('/sla', auth, requirePermission('contacts:assign'), validateSlaSettings, updateSlaSettings);
+
+// @route   GET /api/settings/contact-pipeline
+// @desc    Get contact status transitions and required fields
+// @access  Private (contacts:assign)
+router.get('/contact-pipeline', auth, requirePermission('contacts:assign'), getContactPipelineSettings);
+
+// @route   PUT /api/settings/contact-pipeline
+// @desc    Update contact status transitions and required fields
+// @access  Private (contacts:assign)
+router.put('/contact-pipeline', auth, requirePermission('contacts:assign'), validateContactPipelineSettings, updateContactPipelineSettings);
+
+// @route   GET /api/settings/spam
+// @desc    Get spam protection settings for the public forms
+// @access  Private (users:manage)
+router.get('/spam', auth, requirePermission('users:manage'), getSpamSettings);
+
+// @route   PUT /api/settings/spam
+// @desc    Update blocked keywords and domains, the link limit and the minimum fill time
+// @access  Private (users:manage)
+router.put('/spam', auth, requirePermission('users:manage'), validateSpamSettings, updateSpamSettings);
+
+export default router;
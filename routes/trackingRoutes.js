@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  trackOpen,
+  trackClick
+} from '../controllers/trackingController.js';
+
+const router = express.Router();
+
+// Public Routes
+// @route   GET /api/email/track/open/:token.gif
+// @desc    Tracking pixel for email opens
+// @access  Public
+router.get('/open/:token.gif', trackOpen);
+
+// @route   GET /api/email/track/click/:token
+// @desc    Record link click and redirect
+// @access  Public
+router.get('/click/:token', trackClick);
+
+export default router;
@@ -0,0 +1,75 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+} from '../controllers/twoFactorController.js';
+import auth from '../middleware/auth.js';
+import { validateDevice } from '../utils/sessions.js';
+
+const router = express.Router();
+
+const validateCode = body('code')
+  .matches(/^\d{6}$/)
+  .withMessage('Authentication code must be 6 digits');
+
+// Either an authenticator code or a recovery code
+const validateSecondFactor = body('code')
+  .custom((value, { req }) => {
+    if (!value && !req.body.recoveryCode) {
+      throw new Error('Provide an authentication code or a recovery code');
+    }
+    if (value && !/^\d{6}$/.test(value)) {
+      throw new Error('Authentication code must be 6 digits');
+    }
+    return true;
+  });
+
+// Public Routes
+// @route   POST /api/auth/2fa/verify
+// @desc    Finish a login with an authenticator or recovery code
+// @access  Public (requires login challenge token)
+router.post('/verify', [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  validateSecondFactor,
+  validateDevice
+], verifyTwoFactorLogin);
+
+// Protected Routes
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor status
+// @access  Private
+router.get('/', auth, getTwoFactorStatus);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrolment
+// @access  Private
+router.post('/setup', auth, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment and get recovery codes
+// @access  Private
+router.post('/enable', auth, [validateCode], enableTwoFactor);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/disable', auth, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  validateSecondFactor
+], disableTwoFactor);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes
+// @access  Private
+router.post('/recovery-codes', auth, [validateCode], regenerateRecoveryCodes);
+
+export default router;
@@ -0,0 +1,83 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getUsers,
+  getUser,
+  updateUser,
+  updateUserStatus,
+  deleteUser,
+  unlockUser,
+  getUserLogins
+} from '../controllers/userController.js';
+import auth, { requirePermission } from '../middleware/auth.js';
+import { ROLES } from '../config/permissions.js';
+
+const router = express.Router();
+
+// Validation middleware for user updates
+const validateUserUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+// Validation middleware for activating/deactivating users
+const validateUserStatus = [
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean()
+];
+
+// Validation middleware for deleting users
+const validateUserDelete = [
+  body('reassignTo')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+// Protected Routes (permission-checked)
+// @route   GET /api/users
+// @desc    Get all users with search and pagination
+// @access  Private (users:manage)
+router.get('/', auth, requirePermission('users:manage'), getUsers);
+
+// @route   GET /api/users/:id
+// @desc    Get single user
+// @access  Private (users:manage)
+router.get('/:id', auth, requirePermission('users:manage'), getUser);
+
+// @route   PUT /api/users/:id
+// @desc    Update user name and role
+// @access  Private (users:manage)
+router.put('/:id', auth, requirePermission('users:manage'), validateUserUpdate, updateUser);
+
+// @route   PUT /api/users/:id/status
+// @desc    Activate or deactivate a user
+// @access  Private (users:manage)
+router.put('/:id/status', auth, requirePermission('users:manage'), validateUserStatus, updateUserStatus);
+
+// @route   DELETE /api/users/:id
+// @desc    Delete user and reassign their contacts and bookings
+// @access  Private (users:manage)
+router.delete('/:id', auth, requirePermission('users:manage'), validateUserDelete, deleteUser);
+
+// @route   POST /api/users/:id/unlock
+// @desc    Unlock an account locked after failed logins
+// @access  Private (users:manage)
+router.post('/:id/unlock', auth, requirePermission('users:manage'), unlockUser);
+
+// @route   GET /api/users/:id/logins
+// @desc    Get login history of a user
+// @access  Private (users:manage)
+router.get('/:id/logins', auth, requirePermission('users:manage'), getUserLogins);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { handleWebhook } from '../controllers/webhookController.js';
+
+const router = express.Router();
+
+// SNS posts JSON with a text/plain content type
+router.use(express.text({ type: 'text/plain', limit: '1mb' }));
+
+// Public Routes (verified by provider signature)
+// @route   POST /api/email/webhooks/:provider
+// @desc    Receive bounce and complaint notifications
+// @access  Public
+router.post('/:provider', handleWebhook);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import { verifyWhatsAppWebhook, handleWhatsAppWebhook } from '../controllers/whatsappController.js';
+
+const router = express.Router();
+
+// Public Routes (verified by verify token or provider signature)
+// @route   GET /api/whatsapp/webhooks/:provider
+// @desc    Webhook subscription handshake
+// @access  Public
+router.get('/:provider', verifyWhatsAppWebhook);
+
+// @route   POST /api/whatsapp/webhooks/:provider
+// @desc    Receive inbound WhatsApp messages
+// @access  Public
+router.post('/:provider', handleWhatsAppWebhook);
+
+export default router;
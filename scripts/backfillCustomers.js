@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Contact from '../models/Contact.js';
+import Booking from '../models/Booking.js';
+import { upsertCustomer } from '../utils/customers.js';
+import { ERASED_EMAIL_PATTERN } from '../utils/privacy.js';
+
+// Link contacts and bookings created before customers existed, oldest first:
+//   npm run backfill-customers
+// Records that already have a customer and erased records are left alone, so it is safe to re-run.
+
+dotenv.config();
+
+const linkRecord = async (model, record) => {
+  let customerId = null;
+
+  // Bookings made from a contact belong to the contact's customer
+  if (record.contact) {
+    const contact = await Contact.findById(record.contact).setOptions({ withDeleted: true }).select('customer').lean();
+    customerId = contact?.customer || null;
+  }
+
+  if (!customerId) {
+    const customer = await upsertCustomer({
+      name: record.name,
+      email: record.email,
+      phone: record.phone,
+      seenAt: record.createdAt
+    });
+    customerId = customer?._id || null;
+  }
+
+  if (customerId) {
+    await model.updateOne({ _id: record._id }, { $set: { customer: customerId } }, { timestamps: false });
+  }
+
+  return Boolean(customerId);
+};
+
+const backfill = async (model, label) => {
+  const query = model.find({ customer: null, email: { $not: ERASED_EMAIL_PATTERN } })
+    .sort({ createdAt: 1 })
+    .lean();
+  const cursor = (model.schema.path('deletedAt') ? query.setOptions({ withDeleted: true }) : query).cursor();
+
+  let linked = 0;
+  for await (const record of cursor) {
+    if (await linkRecord(model, record)) linked += 1;
+  }
+
+  console.log(`✅ Linked ${linked} ${label} to customers`);
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/royavalet');
+
+  await backfill(Contact, 'contacts');
+  await backfill(Booking, 'bookings');
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Failed to backfill customers:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
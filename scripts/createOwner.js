@@ -0,0 +1,65 @@
+import { parseArgs } from 'util';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import { checkPassword } from '../utils/passwordPolicy.js';
+
+// Create (or promote) an owner account from the command line:
+//   npm run create-owner -- --email owner@example.com --name "Jane Doe"
+// The password is read from --password or the OWNER_PASSWORD environment variable.
+
+dotenv.config();
+
+const { values } = parseArgs({
+  options: {
+    email: { type: 'string' },
+    name: { type: 'string' },
+    password: { type: 'string' },
+    promote: { type: 'boolean', default: false }
+  }
+});
+
+const email = values.email?.trim().toLowerCase();
+const password = values.password || process.env.OWNER_PASSWORD;
+
+const run = async () => {
+  if (!email) {
+    throw new Error('--email is required');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/royavalet');
+
+  const existingUser = await User.findOne({ email });
+
+  if (existingUser) {
+    if (!values.promote) {
+      throw new Error(`User ${email} already exists, pass --promote to make them an owner`);
+    }
+
+    existingUser.role = 'owner';
+    existingUser.isActive = true;
+    await existingUser.save();
+    console.log(`✅ Promoted ${email} to owner`);
+    return;
+  }
+
+  if (!values.name || !password) {
+    throw new Error('--name and --password (or OWNER_PASSWORD) are required for a new owner');
+  }
+
+  const problems = checkPassword(password, { email, name: values.name });
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+
+  const user = new User({ name: values.name, email, password, role: 'owner' });
+  await user.save();
+  console.log(`✅ Created owner ${email}`);
+};
+
+run()
+  .catch((error) => {
+    console.error('❌ Failed to create owner:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -4,6 +4,8 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import connectDB from './config/database.js';
+import startJobs from './jobs/index.js';
+import auditContext from './middleware/audit.js';
 
 // Load environment variables
 dotenv.config();
@@ -60,27 +62,74 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-API-Key'],
   exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
   preflightContinue: false,
   optionsSuccessStatus: 200
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw payload around for webhook signature verification
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Record who made each change in the audit log
+app.use(auditContext);
+
 // Import Routes
 import authRoutes from './routes/auth.js';
+import twoFactorRoutes from './routes/twoFactorRoutes.js';
 import contactRoutes from './routes/contactRoutes.js';
 import emailRoutes from './routes/emailRoutes.js';
+import campaignRoutes from './routes/campaignRoutes.js';
+import trackingRoutes from './routes/trackingRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
 import dashRoutes from './routes/dashRoutes.js';
+import bookingRoutes from './routes/bookingRoutes.js';
+import pricingRoutes from './routes/pricingRoutes.js';
+import quoteRoutes from './routes/quoteRoutes.js';
+import invoiceRoutes from './routes/invoiceRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import inviteRoutes from './routes/inviteRoutes.js';
+import sessionRoutes from './routes/sessionRoutes.js';
+import settingsRoutes from './routes/settingsRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import privacyRoutes from './routes/privacyRoutes.js';
+import retentionRoutes from './routes/retentionRoutes.js';
+import customerRoutes from './routes/customerRoutes.js';
+import whatsappRoutes from './routes/whatsappRoutes.js';
+import partnerRoutes from './routes/partnerRoutes.js';
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/email/campaigns', campaignRoutes);
+app.use('/api/email/track', trackingRoutes);
+app.use('/api/email/webhooks', webhookRoutes);
 app.use('/api/email', emailRoutes);
 app.use('/api/dashboard', dashRoutes);
+app.use('/api/bookings', bookingRoutes);
+app.use('/api/pricing', pricingRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/privacy', privacyRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/whatsapp/webhooks', whatsappRoutes);
+app.use('/api/partners', partnerRoutes);
 
 // Health check endpoint
 app.get('/api/health', (_req, res) => {
@@ -115,4 +164,5 @@ app.listen(PORT, () => {
   console.log(`🚀 Royavalet Backend Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🌐 CORS Origin: ${process.env.CORS_ORIGIN}`);
+  startJobs();
 });
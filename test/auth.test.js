@@ -0,0 +1,140 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Invite from '../models/Invite.js';
+import Session from '../models/Session.js';
+import OrgSettings from '../models/OrgSettings.js';
+import authRoutes from '../routes/auth.js';
+import { hashToken } from '../utils/tokens.js';
+import { startApp } from './helpers.js';
+
+const newAccount = {
+  name: 'Ada Owner',
+  password: 'Tangerine-Orbit-4471',
+  confirmPassword: 'Tangerine-Orbit-4471'
+};
+
+describe('auth routes', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/auth', authRoutes);
+  });
+
+  after(() => app.close());
+
+  describe('POST /signup', () => {
+    // Settings document whose bootstrap flag is claimed like the conditional update would
+    const mockSettings = (t) => {
+      const settings = { bootstrappedAt: null };
+      t.mock.method(OrgSettings, 'getSettings', async () => settings);
+      const claim = t.mock.method(OrgSettings, 'findOneAndUpdate', async (filter, update) => {
+        if (filter.bootstrappedAt !== null || settings.bootstrappedAt) return null;
+        settings.bootstrappedAt = update.$set.bootstrappedAt;
+        return settings;
+      });
+      const reopen = t.mock.method(OrgSettings, 'updateOne', async (filter, update) => {
+        settings.bootstrappedAt = update.$set.bootstrappedAt;
+        return { modifiedCount: 1 };
+      });
+      return { settings, claim, reopen };
+    };
+
+    it('creates only one owner when two signups race', async (t) => {
+      mockSettings(t);
+      t.mock.method(User, 'exists', async () => null);
+      const userSave = t.mock.method(User.prototype, 'save', async function() { return this; });
+      t.mock.method(Session.prototype, 'save', async function() { return this; });
+
+      const responses = await Promise.all([
+        app.request('POST', '/api/auth/signup', { body: { ...newAccount, email: 'first@example.com' } }),
+        app.request('POST', '/api/auth/signup', { body: { ...newAccount, email: 'second@example.com' } })
+      ]);
+
+      assert.deepEqual(responses.map((response) => response.status).sort(), [201, 403]);
+      assert.equal(userSave.mock.callCount(), 1);
+      const created = responses.find((response) => response.status === 201);
+      assert.equal(created.body.data.user.role, 'owner');
+      assert.ok(created.body.data.refreshToken);
+    });
+
+    it('is closed once a user exists', async (t) => {
+      const { claim } = mockSettings(t);
+      t.mock.method(User, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+
+      const response = await app.request('POST', '/api/auth/signup', { body: { ...newAccount, email: 'late@example.com' } });
+
+      assert.equal(response.status, 403);
+      assert.equal(claim.mock.callCount(), 0);
+    });
+
+    it('reopens signup when the owner cannot be saved', async (t) => {
+      const { settings, reopen } = mockSettings(t);
+      t.mock.method(User, 'exists', async () => null);
+      t.mock.method(User.prototype, 'save', async () => {
+        throw new Error('write failed');
+      });
+      t.mock.method(console, 'error', () => {});
+
+      const response = await app.request('POST', '/api/auth/signup', { body: { ...newAccount, email: 'first@example.com' } });
+
+      assert.equal(response.status, 500);
+      assert.equal(reopen.mock.callCount(), 1);
+      assert.equal(settings.bootstrappedAt, null);
+    });
+  });
+
+  describe('POST /accept-invite', () => {
+    const buildInvite = () => new Invite({
+      email: 'invitee@example.com',
+      role: 'dispatcher',
+      tokenHash: hashToken('invite-token'),
+      invitedBy: new mongoose.Types.ObjectId(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      acceptedAt: new Date()
+    });
+
+    it('claims the invitation with a single conditional update', async (t) => {
+      const invite = buildInvite();
+      const claim = t.mock.method(Invite, 'findOneAndUpdate', async () => invite);
+      t.mock.method(Invite.prototype, 'save', async function() { return this; });
+      t.mock.method(User, 'findOne', async () => null);
+      t.mock.method(User.prototype, 'save', async function() { return this; });
+      t.mock.method(User.prototype, 'updateLastLogin', async () => {});
+      t.mock.method(Session.prototype, 'save', async function() { return this; });
+
+      const response = await app.request('POST', '/api/auth/accept-invite', { body: { ...newAccount, token: 'invite-token' } });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.data.user.email, 'invitee@example.com');
+      const [filter, update] = claim.mock.calls[0].arguments;
+      assert.equal(filter.tokenHash, hashToken('invite-token'));
+      assert.equal(filter.acceptedAt, null);
+      assert.equal(filter.revokedAt, null);
+      assert.ok(update.$set.acceptedAt);
+    });
+
+    it('rejects a token that was already used', async (t) => {
+      t.mock.method(Invite, 'findOneAndUpdate', async () => null);
+      const userSave = t.mock.method(User.prototype, 'save', async function() { return this; });
+
+      const response = await app.request('POST', '/api/auth/accept-invite', { body: { ...newAccount, token: 'invite-token' } });
+
+      assert.equal(response.status, 400);
+      assert.equal(userSave.mock.callCount(), 0);
+    });
+
+    it('releases the invitation when the email already has an account', async (t) => {
+      const invite = buildInvite();
+      t.mock.method(Invite, 'findOneAndUpdate', async () => invite);
+      t.mock.method(User, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId() }));
+      const release = t.mock.method(Invite, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+      const response = await app.request('POST', '/api/auth/accept-invite', { body: { ...newAccount, token: 'invite-token' } });
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(release.mock.calls[0].arguments, [{ _id: invite._id }, { $set: { acceptedAt: null } }]);
+    });
+  });
+});
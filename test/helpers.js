@@ -0,0 +1,40 @@
+import express from 'express';
+
+// Serve a router on a random local port the way server.js mounts it
+const startApp = async (path, router) => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use(express.urlencoded({ extended: true }));
+  app.use(path, router);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { body, headers = {}, rawBody } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: rawBody ?? (body === undefined ? undefined : JSON.stringify(body))
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+    return { status: response.status, body: json, text };
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { request, close };
+};
+
+export { startApp };
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Contact from '../models/Contact.js';
+import { captureInteraction } from '../utils/leadCapture.js';
+
+// Contacts stored in memory as plain objects, read back as fresh documents like from MongoDB
+const mockContactStore = (t) => {
+  const stored = [];
+  const { BSON } = mongoose.mongo;
+  const copy = (value) => BSON.deserialize(BSON.serialize(value));
+  const snapshot = (doc) => copy(doc.toObject({ virtuals: false }));
+  const findStored = (id) => stored.find((contact) => contact._id.equals(id));
+
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(Contact, 'findOne', (filter) => ({
+    sort: async () => {
+      const found = stored.find((contact) => filter.phone.test(contact.phone));
+      return found ? Contact.hydrate(copy(found)) : null;
+    }
+  }));
+  t.mock.method(Contact, 'findById', async (id) => {
+    const found = findStored(id);
+    return found ? Contact.hydrate(copy(found)) : null;
+  });
+  t.mock.method(Contact.prototype, 'save', async function() {
+    const index = stored.findIndex((contact) => contact._id.equals(this._id));
+    stored.splice(index === -1 ? stored.length : index, 1, snapshot(this));
+    return this;
+  });
+  const push = t.mock.method(Contact, 'updateOne', async (filter, update) => {
+    const contact = findStored(filter._id);
+    const seen = contact.interactions.some((item) => item.externalId === filter['interactions.externalId'].$ne);
+    if (seen) return { modifiedCount: 0 };
+    contact.interactions.push(snapshot(update.$push.interactions));
+    return { modifiedCount: 1 };
+  });
+
+  return { stored, push };
+};
+
+const whatsappMessage = (phone, externalId, body = 'Hello') => ({
+  source: 'whatsapp',
+  name: 'Sender',
+  phone,
+  interaction: { direction: 'inbound', body, externalId }
+});
+
+const loggedCall = (phone) => ({
+  source: 'phone',
+  name: 'Caller',
+  phone,
+  interaction: { direction: 'inbound', body: 'Asked for a quote', durationSeconds: 90, loggedBy: new mongoose.Types.ObjectId() }
+});
+
+describe('captureInteraction', () => {
+  it('keeps calls without a message ID on contacts that also have messages', async (t) => {
+    const { stored } = mockContactStore(t);
+
+    const first = await captureInteraction(whatsappMessage('15550001111', 'wamid.1'));
+    await captureInteraction(loggedCall('15550001111'));
+    const second = await captureInteraction(loggedCall('15550002222'));
+    await captureInteraction(whatsappMessage('15550002222', 'wamid.2'));
+
+    assert.equal(first.created, true);
+    assert.equal(second.created, true);
+    assert.equal(stored.length, 2);
+    assert.deepEqual(stored.map((contact) => contact.sourceMessageId), ['wamid.1', null]);
+
+    for (const contact of stored) {
+      assert.equal(contact.interactions.length, 2);
+      const call = contact.interactions.find((entry) => entry.channel === 'phone');
+      assert.ok(!('externalId' in call));
+    }
+  });
+
+  it('only indexes message IDs uniquely where they start a contact', () => {
+    const unique = Contact.schema.indexes().filter(([, options]) => options.unique);
+    const fields = unique.map(([keys]) => Object.keys(keys).join(','));
+
+    assert.ok(fields.includes('sourceMessageId'));
+    assert.ok(!fields.some((field) => field.startsWith('interactions.')));
+  });
+
+  it('skips a redelivered message and returns the stored contact', async (t) => {
+    const { stored, push } = mockContactStore(t);
+
+    await captureInteraction(whatsappMessage('15550001111', 'wamid.1'));
+    const added = await captureInteraction(whatsappMessage('15550001111', 'wamid.2', '  Second  '));
+    const redelivered = await captureInteraction(whatsappMessage('15550001111', 'wamid.2', '  Second  '));
+
+    assert.equal(added.duplicate, false);
+    assert.equal(redelivered.duplicate, true);
+    assert.equal(push.mock.callCount(), 2);
+    assert.deepEqual(push.mock.calls[1].arguments[0]['interactions.externalId'], { $ne: 'wamid.2' });
+    assert.deepEqual(stored[0].interactions.map((entry) => entry.body), ['Hello', 'Second']);
+    assert.deepEqual(redelivered.contact.interactions.map((entry) => entry.body), ['Hello', 'Second']);
+  });
+
+  it('validates a pushed message like a save would', async (t) => {
+    const { push } = mockContactStore(t);
+
+    await captureInteraction(whatsappMessage('15550001111', 'wamid.1'));
+    await assert.rejects(
+      captureInteraction(whatsappMessage('15550001111', 'wamid.2', 'x'.repeat(2001))),
+      { name: 'ValidationError' }
+    );
+    assert.equal(push.mock.callCount(), 0);
+  });
+});
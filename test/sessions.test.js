@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import { hashToken } from '../utils/tokens.js';
+import { refreshSession, validateDevice } from '../utils/sessions.js';
+
+const fakeRequest = { ip: '127.0.0.1' };
+
+// Session as stored after one rotation: "old" was swapped for "current"
+const buildSession = () => new Session({
+  user: new mongoose.Types.ObjectId(),
+  refreshTokenHash: hashToken('current'),
+  rotatedTokenHashes: [hashToken('old')],
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+});
+
+const mockFindById = (t, session) => {
+  t.mock.method(Session, 'findById', () => ({ select: async () => session }));
+};
+
+describe('refreshSession', () => {
+  it('revokes the session when a rotated-out token is presented again', async (t) => {
+    const session = buildSession();
+    mockFindById(t, session);
+    const save = t.mock.method(session, 'save', async () => session);
+    const rotate = t.mock.method(Session, 'findOneAndUpdate', async () => null);
+
+    const result = await refreshSession(`${session._id}.old`, fakeRequest);
+
+    assert.deepEqual(result, { error: 'reuse' });
+    assert.equal(session.revokedReason, 'reuse-detected');
+    assert.ok(session.revokedAt);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(rotate.mock.callCount(), 0);
+  });
+
+  it('rotates the current token only while it is still current', async (t) => {
+    const session = buildSession();
+    mockFindById(t, session);
+    const rotate = t.mock.method(Session, 'findOneAndUpdate', async () => session);
+
+    const result = await refreshSession(`${session._id}.current`, fakeRequest);
+
+    assert.ok(result.accessToken);
+    assert.notEqual(result.refreshToken, `${session._id}.current`);
+    const [filter, update] = rotate.mock.calls[0].arguments;
+    assert.equal(filter.refreshTokenHash, hashToken('current'));
+    assert.equal(filter.revokedAt, null);
+    assert.deepEqual(update.$push.rotatedTokenHashes.$each, [hashToken('current')]);
+  });
+
+  it('does not hand out tokens when a concurrent refresh won the rotation', async (t) => {
+    const session = buildSession();
+    mockFindById(t, session);
+    t.mock.method(Session, 'findOneAndUpdate', async () => null);
+
+    assert.deepEqual(await refreshSession(`${session._id}.current`, fakeRequest), { error: 'invalid' });
+  });
+
+  it('rejects unknown, malformed and expired tokens', async (t) => {
+    const session = buildSession();
+    mockFindById(t, session);
+
+    assert.deepEqual(await refreshSession(`${session._id}.unknown`, fakeRequest), { error: 'invalid' });
+    assert.deepEqual(await refreshSession('not-a-token', fakeRequest), { error: 'invalid' });
+
+    session.expiresAt = new Date(Date.now() - 1000);
+    assert.deepEqual(await refreshSession(`${session._id}.current`, fakeRequest), { error: 'expired' });
+  });
+});
+
+describe('validateDevice', () => {
+  const validate = async (device) => {
+    const req = { body: { device } };
+    const result = await validateDevice.run(req);
+    return { errors: result.array(), device: req.body.device };
+  };
+
+  it('accepts and trims a short device name', async () => {
+    assert.deepEqual(await validate('  Work laptop  '), { errors: [], device: 'Work laptop' });
+  });
+
+  it('rejects names over 100 characters and non-strings', async () => {
+    assert.equal((await validate('x'.repeat(101))).errors.length, 1);
+    assert.ok((await validate({ $gt: '' })).errors.length > 0);
+    assert.ok((await validate(['laptop'])).errors.length > 0);
+  });
+});
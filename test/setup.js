@@ -0,0 +1,9 @@
+import mongoose from 'mongoose';
+
+// Test environment: no database, mail server or background jobs are needed.
+// Model methods that would reach MongoDB are replaced per test with node:test mocks.
+process.env.JWT_SECRET ||= 'test-jwt-secret';
+process.env.DISABLE_JOBS = 'true';
+
+// A query that was not mocked fails straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
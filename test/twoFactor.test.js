@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { generateTotpSecret, generateTotp, verifyTotp, encryptSecret, decryptSecret } from '../utils/totp.js';
+import { generateRecoveryCodes, isTwoFactorLocked, verifySecondFactor } from '../utils/twoFactor.js';
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+// User with 2FA enabled, as loaded with TWO_FACTOR_SECRETS
+const buildTwoFactorUser = () => {
+  const secret = generateTotpSecret();
+  const { codes, recoveryCodes } = generateRecoveryCodes();
+  const user = new User({
+    name: 'Test User',
+    email: 'user@example.com',
+    password: 'correct horse battery',
+    twoFactor: { enabled: true, secret: encryptSecret(secret), recoveryCodes }
+  });
+  return { user, secret, codes };
+};
+
+describe('totp', () => {
+  it('accepts the current code and rejects malformed ones', () => {
+    const secret = generateTotpSecret();
+
+    assert.equal(verifyTotp(secret, generateTotp(secret)), currentStep());
+    assert.equal(verifyTotp(secret, '12345'), null);
+    assert.equal(verifyTotp(secret, 'abcdef'), null);
+  });
+
+  it('allows one step of clock drift but not more', () => {
+    const secret = generateTotpSecret();
+
+    assert.equal(verifyTotp(secret, generateTotp(secret, currentStep() - 1)), currentStep() - 1);
+    assert.equal(verifyTotp(secret, generateTotp(secret, currentStep() - 3)), null);
+  });
+
+  it('does not accept a code from a step that was already used', () => {
+    const secret = generateTotpSecret();
+    const code = generateTotp(secret);
+
+    assert.equal(verifyTotp(secret, code, { afterStep: currentStep() }), null);
+  });
+
+  it('round-trips encrypted secrets and rejects tampered ones', () => {
+    const secret = generateTotpSecret();
+    const encrypted = encryptSecret(secret);
+
+    assert.notEqual(encrypted, secret);
+    assert.equal(decryptSecret(encrypted), secret);
+
+    const [iv, tag, data] = encrypted.split('.');
+    const flipped = Buffer.from(data, 'base64url');
+    flipped[0] ^= 1;
+    assert.throws(() => decryptSecret([iv, tag, flipped.toString('base64url')].join('.')));
+  });
+});
+
+describe('verifySecondFactor', () => {
+  it('accepts a TOTP code once', () => {
+    const { user, secret } = buildTwoFactorUser();
+    const code = generateTotp(secret);
+
+    assert.equal(verifySecondFactor(user, { code }), true);
+    assert.equal(user.twoFactor.lastUsedStep, currentStep());
+    assert.equal(verifySecondFactor(user, { code }), false);
+  });
+
+  it('accepts each recovery code once, in any case and without the dash', () => {
+    const { user, codes } = buildTwoFactorUser();
+    const recoveryCode = codes[0].replace('-', '').toUpperCase();
+
+    assert.equal(verifySecondFactor(user, { recoveryCode }), true);
+    assert.equal(verifySecondFactor(user, { recoveryCode }), false);
+    assert.equal(verifySecondFactor(user, { recoveryCode: codes[1] }), true);
+  });
+
+  it('locks after repeated failures and resets on success', () => {
+    const { user, secret } = buildTwoFactorUser();
+    const wrongCode = generateTotp(secret, currentStep() + 100);
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.equal(verifySecondFactor(user, { code: wrongCode }), false);
+    }
+    assert.ok(isTwoFactorLocked(user));
+
+    user.twoFactor.lastFailedAt = new Date(Date.now() - 16 * 60 * 1000);
+    assert.ok(!isTwoFactorLocked(user));
+
+    assert.equal(verifySecondFactor(user, { code: generateTotp(secret) }), true);
+    assert.equal(user.twoFactor.failedAttempts, 0);
+  });
+});
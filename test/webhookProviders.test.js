@@ -0,0 +1,117 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { getWebhookProvider } from '../utils/webhookProviders.js';
+
+// Just enough of an Express request for the providers
+const fakeRequest = (body, headers = {}) => ({
+  body,
+  rawBody: Buffer.from(JSON.stringify(body)),
+  get: (name) => headers[name]
+});
+
+const sign = (secret, rawBody) => `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+
+describe('generic webhook provider', () => {
+  const generic = getWebhookProvider('generic');
+
+  beforeEach(() => {
+    process.env.GENERIC_WEBHOOK_SECRET = 'webhook-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.GENERIC_WEBHOOK_SECRET;
+  });
+
+  it('accepts a body signed with the shared secret', async () => {
+    const body = { type: 'bounce', email: 'a@example.com' };
+    const req = fakeRequest(body);
+    req.get = () => sign('webhook-secret', req.rawBody);
+
+    assert.equal(await generic.verify(req), true);
+  });
+
+  it('rejects a wrong or missing signature', async () => {
+    const req = fakeRequest({ type: 'bounce', email: 'a@example.com' });
+
+    req.get = () => sign('other-secret', req.rawBody);
+    assert.equal(await generic.verify(req), false);
+
+    req.get = () => undefined;
+    assert.equal(await generic.verify(req), false);
+  });
+
+  it('rejects everything while no secret is configured', async () => {
+    delete process.env.GENERIC_WEBHOOK_SECRET;
+    const req = fakeRequest({ type: 'bounce', email: 'a@example.com' });
+    req.get = () => sign('', req.rawBody);
+
+    assert.equal(await generic.verify(req), false);
+  });
+
+  it('drops events without a string email', () => {
+    const { events } = generic.parse(fakeRequest({
+      events: [
+        { type: 'bounce', email: 'a@example.com', bounceType: 'hard' },
+        { type: 'bounce', email: { $ne: null } },
+        { type: 'complaint', email: ['b@example.com'] },
+        { type: 'complaint', email: '' },
+        { type: 'delivery', email: 'c@example.com' },
+        null
+      ]
+    }));
+
+    assert.deepEqual(events, [
+      { type: 'bounce', email: 'a@example.com', bounceType: 'hard', reason: null, messageId: null }
+    ]);
+  });
+});
+
+describe('ses webhook provider', () => {
+  const ses = getWebhookProvider('ses');
+  const topicArn = 'arn:aws:sns:eu-west-1:123456789012:ses-events';
+
+  // Everything in here is rejected before the signing certificate would be downloaded
+  const snsMessage = (overrides = {}) => ({
+    Type: 'Notification',
+    MessageId: 'message-1',
+    TopicArn: topicArn,
+    Message: '{}',
+    Timestamp: new Date().toISOString(),
+    SignatureVersion: '2',
+    Signature: 'c2lnbmF0dXJl',
+    SigningCertURL: 'https://sns.eu-west-1.amazonaws.com/SimpleNotificationService-test.pem',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    process.env.SES_SNS_TOPIC_ARN = topicArn;
+  });
+
+  afterEach(() => {
+    delete process.env.SES_SNS_TOPIC_ARN;
+  });
+
+  it('rejects every message while no topic is configured', async () => {
+    delete process.env.SES_SNS_TOPIC_ARN;
+    assert.equal(await ses.verify(fakeRequest(snsMessage())), false);
+  });
+
+  it('rejects messages from another topic', async () => {
+    const message = snsMessage({ TopicArn: 'arn:aws:sns:eu-west-1:999999999999:attacker' });
+    assert.equal(await ses.verify(fakeRequest(message)), false);
+  });
+
+  it('rejects certificates served from outside SNS', async () => {
+    const message = snsMessage({ SigningCertURL: 'https://example.com/SimpleNotificationService-test.pem' });
+    assert.equal(await ses.verify(fakeRequest(message)), false);
+  });
+
+  it('rejects stale or undated messages', async () => {
+    const stale = snsMessage({ Timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() });
+    assert.equal(await ses.verify(fakeRequest(stale)), false);
+
+    const undated = snsMessage({ Timestamp: undefined });
+    assert.equal(await ses.verify(fakeRequest(undated)), false);
+  });
+});
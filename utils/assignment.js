@@ -0,0 +1,140 @@
+import User from '../models/User.js';
+import Contact from '../models/Contact.js';
+import Counter from '../models/Counter.js';
+import OrgSettings from '../models/OrgSettings.js';
+import { LEGACY_ROLE_ALIASES } from '../config/permissions.js';
+import { sendMail } from './mailer.js';
+import { contactAssignedEmail } from './emailTemplates.js';
+
+// Contacts still being worked on count towards a user's load
+const OPEN_STATUSES = ['new', 'contacted', 'in-progress'];
+
+// Dashboard page for a contact, linked from assignment and reminder emails
+const buildContactUrl = (contactId) => {
+  const baseUrl = process.env.DASHBOARD_CONTACT_URL || 'http://localhost:5173/dashboard/contacts';
+  return `${baseUrl.replace(/\/$/, '')}/${contactId}`;
+};
+
+// First rule whose priorities and keywords both match the contact
+const findMatchingRule = (rules, contact) => {
+  const description = (contact.description || '').toLowerCase();
+
+  return rules.find((rule) => {
+    const priorityMatches = rule.priorities.length === 0 || rule.priorities.includes(contact.priority);
+    const keywordMatches = rule.keywords.length === 0 ||
+      rule.keywords.some((keyword) => description.includes(keyword.toLowerCase()));
+    return priorityMatches && keywordMatches;
+  }) || null;
+};
+
+// Active users that may receive the contact, in a stable order
+const findCandidates = async ({ rule, roles, exclude }) => {
+  const query = { isActive: true, _id: { $nin: exclude } };
+
+  if (rule && rule.assignees.length > 0) {
+    const candidates = await User.find({ ...query, _id: { $in: rule.assignees, $nin: exclude } }).sort({ _id: 1 });
+    if (candidates.length > 0) return candidates;
+  }
+
+  // Users still stored with a legacy role count as the role it maps to
+  const legacyRoles = Object.keys(LEGACY_ROLE_ALIASES).filter((legacy) => roles.includes(LEGACY_ROLE_ALIASES[legacy]));
+  return User.find({ ...query, role: { $in: [...roles, ...legacyRoles] } }).sort({ _id: 1 });
+};
+
+// Candidate with the fewest open contacts (ties go to the first in order)
+const pickLeastLoaded = async (candidates) => {
+  const loads = await Contact.aggregate([
+    { $match: { assignedTo: { $in: candidates.map((user) => user._id) }, status: { $in: OPEN_STATUSES } } },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+  const loadByUser = new Map(loads.map((load) => [String(load._id), load.count]));
+
+  return candidates.reduce((best, user) => {
+    return (loadByUser.get(String(user._id)) || 0) < (loadByUser.get(String(best._id)) || 0) ? user : best;
+  });
+};
+
+// Each rule (and the default pool) keeps its own round-robin position
+const pickRoundRobin = async (candidates, rule) => {
+  const seq = await Counter.next(`assignment-${rule ? rule._id : 'default'}`);
+  return candidates[(seq - 1) % candidates.length];
+};
+
+// Choose who should get the contact under the current assignment settings
+const pickAssignee = async (contact, { exclude = [] } = {}) => {
+  const { assignment } = await OrgSettings.getCached();
+  const rule = findMatchingRule(assignment.rules, contact);
+  const candidates = await findCandidates({ rule, roles: assignment.roles, exclude });
+
+  if (candidates.length === 0) return { user: null, rule };
+
+  const user = assignment.strategy === 'least-loaded'
+    ? await pickLeastLoaded(candidates)
+    : await pickRoundRobin(candidates, rule);
+
+  return { user, rule };
+};
+
+// Let the assignee know a contact is waiting for them; failures are only logged
+const notifyAssignee = async (contact, user) => {
+  try {
+    await sendMail({
+      to: user.email,
+      ...contactAssignedEmail({ name: user.name, contact, contactUrl: buildContactUrl(contact._id) })
+    });
+  } catch (error) {
+    console.error('Assignment notification error:', error);
+  }
+};
+
+// Auto-assign a newly submitted contact when auto-assignment is switched on
+const autoAssignContact = async (contact) => {
+  const settings = await OrgSettings.getCached();
+  if (!settings.assignment.autoAssign || contact.assignedTo) return null;
+
+  const { user, rule } = await pickAssignee(contact);
+  if (!user) return null;
+
+  contact.assignTo(user._id, {
+    method: 'auto',
+    reason: rule ? `Rule: ${rule.name}` : `Strategy: ${settings.assignment.strategy}`
+  });
+  await contact.save();
+  await notifyAssignee(contact, user);
+
+  return user;
+};
+
+// Hand the open contacts of a deactivated user to someone else (or leave them unassigned)
+const reassignUserContacts = async (user, { assignedBy = null } = {}) => {
+  const contacts = await Contact.find({ assignedTo: user._id, status: { $in: OPEN_STATUSES } });
+  let reassigned = 0;
+
+  for (const contact of contacts) {
+    const { user: assignee } = await pickAssignee(contact, { exclude: [user._id] });
+
+    contact.assignTo(assignee?._id || null, {
+      assignedBy,
+      method: 'reassignment',
+      reason: `${user.name} was deactivated`
+    });
+    await contact.save();
+
+    if (assignee) {
+      reassigned += 1;
+      await notifyAssignee(contact, assignee);
+    }
+  }
+
+  return { reassigned, unassigned: contacts.length - reassigned };
+};
+
+export {
+  OPEN_STATUSES,
+  buildContactUrl,
+  findMatchingRule,
+  pickAssignee,
+  notifyAssignee,
+  autoAssignContact,
+  reassignUserContacts
+};
@@ -0,0 +1,194 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+const auditStorage = new AsyncLocalStorage();
+
+const REDACTED = '[redacted]';
+const ALWAYS_IGNORED = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const getClientIp = (req) => req.ip || req.connection.remoteAddress;
+
+// Run the rest of a request with the request available to the audit hooks
+const runWithAuditContext = (req, callback) => auditStorage.run({ req }, callback);
+
+const getAuditRequest = () => auditStorage.getStore()?.req || null;
+
+// ObjectIds, dates and subdocuments become plain JSON values
+const toPlain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const matchesPath = (path, paths) => paths.some((p) => path === p || path.startsWith(`${p}.`));
+
+// Flatten nested objects into dot paths; arrays are compared as a whole
+const flatten = (value, prefix = '', out = {}) => {
+  Object.entries(value || {}).forEach(([key, child]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      flatten(child, path, out);
+    } else {
+      out[path] = child;
+    }
+  });
+
+  return out;
+};
+
+// List the fields that differ between two snapshots
+const diffSnapshots = (before, after, { ignore = [], redact = [] } = {}) => {
+  const oldValues = flatten(before);
+  const newValues = flatten(after);
+  const fields = new Set([...Object.keys(oldValues), ...Object.keys(newValues)]);
+  const changes = [];
+
+  fields.forEach((field) => {
+    if (matchesPath(field, [...ALWAYS_IGNORED, ...ignore])) return;
+
+    const oldValue = oldValues[field] ?? null;
+    const newValue = newValues[field] ?? null;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+    const hidden = matchesPath(field, redact);
+    changes.push({
+      field,
+      before: hidden && oldValue !== null ? REDACTED : oldValue,
+      after: hidden && newValue !== null ? REDACTED : newValue
+    });
+  });
+
+  return changes;
+};
+
+// Turn a MongoDB update document into a change list (previous values are unknown)
+const describeUpdate = (update, { ignore = [], redact = [] } = {}) => {
+  const changes = [];
+
+  Object.entries(toPlain(update) || {}).forEach(([key, value]) => {
+    const [operator, fields] = key.startsWith('$') ? [key, value] : ['$set', { [key]: value }];
+
+    Object.entries(fields || {}).forEach(([field, fieldValue]) => {
+      if (matchesPath(field, [...ALWAYS_IGNORED, ...ignore])) return;
+
+      let after = operator === '$set' ? fieldValue : { [operator]: fieldValue };
+      if (operator === '$unset') after = null;
+      if (matchesPath(field, redact)) after = REDACTED;
+
+      changes.push({ field, before: null, after });
+    });
+  });
+
+  return changes;
+};
+
+// Moving a record to or from the trash is logged as its own action
+const describeAction = (changes, fallback) => {
+  const trashChange = changes.find((change) => change.field === 'deletedAt');
+  if (!trashChange) return fallback;
+  return trashChange.after ? 'soft-delete' : 'restore';
+};
+
+const redactFilter = (filter, redact) => {
+  const plain = toPlain(filter) || {};
+  Object.keys(plain).forEach((key) => {
+    if (matchesPath(key, redact)) plain[key] = REDACTED;
+  });
+  return plain;
+};
+
+// Write one audit entry. The actor and client details default to the current request.
+const recordAudit = async ({ action, entityType, entityId = null, changes = [], metadata = null, actor, req }) => {
+  const request = req || getAuditRequest();
+  const user = actor !== undefined ? actor : request?.user;
+
+  try {
+    await AuditLog.create({
+      actor: user?._id || null,
+      actorEmail: user?.email || null,
+      action,
+      entityType,
+      entityId,
+      changes,
+      metadata,
+      ipAddress: request ? getClientIp(request) : null,
+      userAgent: request?.get('User-Agent') || null
+    });
+  } catch (error) {
+    // A failed audit write must not undo the change that was already made
+    console.error('Audit log error:', error);
+  }
+};
+
+// Mongoose plugin recording creates, updates and deletes of a model.
+// `ignore` lists noisy fields that are not audited, `redact` fields whose values are never stored.
+const auditPlugin = (schema, { entityType, ignore = [], redact = [] }) => {
+  const options = { ignore, redact };
+  const snapshot = (doc) => toPlain(doc.toObject({ depopulate: true, virtuals: false, transform: false }));
+
+  schema.post('init', function() {
+    this.$locals.auditSnapshot = snapshot(this);
+  });
+
+  schema.pre('save', function(next) {
+    this.$locals.auditIsNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', async function() {
+    const after = snapshot(this);
+    const changes = diffSnapshots(this.$locals.auditSnapshot, after, options);
+    const isNew = this.$locals.auditIsNew;
+    this.$locals.auditSnapshot = after;
+
+    if (!isNew && changes.length === 0) return;
+
+    await recordAudit({
+      action: isNew ? 'create' : describeAction(changes, 'update'),
+      entityType,
+      entityId: this._id,
+      changes
+    });
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function() {
+    const before = this.$locals.auditSnapshot || snapshot(this);
+    await recordAudit({ action: 'delete', entityType, entityId: this._id, changes: diffSnapshots(before, {}, options) });
+  });
+
+  // Bulk and query-level writes are logged once per query
+  const queryWrites = ['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+  schema.post(queryWrites, { document: false, query: true }, async function(result) {
+    const isDelete = this.op.toLowerCase().includes('delete');
+    const affected = this.op.startsWith('findOneAnd')
+      ? (result ? 1 : 0)
+      : (isDelete ? result?.deletedCount : result?.modifiedCount);
+
+    if (!affected) return;
+
+    const changes = isDelete ? [] : describeUpdate(this.getUpdate(), options);
+    if (!isDelete && changes.length === 0) return;
+
+    const filter = this.getFilter();
+    const entityId = result?._id || (mongoose.isValidObjectId(filter._id) ? filter._id : null);
+
+    await recordAudit({
+      action: isDelete ? 'delete' : describeAction(changes, 'update'),
+      entityType,
+      entityId,
+      changes,
+      metadata: {
+        operation: this.op,
+        filter: redactFilter(filter, redact),
+        affected
+      }
+    });
+  });
+};
+
+export {
+  runWithAuditContext,
+  getAuditRequest,
+  diffSnapshots,
+  recordAudit,
+  auditPlugin
+};
@@ -0,0 +1,49 @@
+import { renderTemplate } from './templateRenderer.js';
+import {
+  buildPreferencesUrl,
+  buildOneClickUnsubscribeUrl,
+  buildListUnsubscribeHeaders
+} from './subscriberLinks.js';
+import { buildOpenTrackingUrl, buildClickTrackingUrl } from './trackingLinks.js';
+
+// Point every absolute link at the click tracker; placeholder links such as
+// {{preferencesUrl}} are not absolute yet and are left alone
+const rewriteLinks = (html, campaignId, subscriptionId) => {
+  return html.replace(/href=(["'])(https?:\/\/[^"']+)\1/gi, (_match, quote, url) => {
+    const target = url.replace(/&amp;/g, '&');
+    return `href=${quote}${buildClickTrackingUrl(campaignId, subscriptionId, target)}${quote}`;
+  });
+};
+
+// Build the personalised message for one campaign recipient
+const renderCampaignEmail = (campaign, subscription) => {
+  const variables = {
+    email: subscription.email,
+    preferencesUrl: buildPreferencesUrl(subscription._id),
+    unsubscribeUrl: buildOneClickUnsubscribeUrl(subscription._id)
+  };
+
+  const trackedBody = rewriteLinks(campaign.htmlBody, campaign._id, subscription._id);
+  let html = renderTemplate(trackedBody, variables, { html: true });
+  let text = campaign.textBody ? renderTemplate(campaign.textBody, variables) : undefined;
+
+  // Every marketing email must carry a way to opt out, add one if the template has none
+  if (!/\{\{\s*preferencesUrl\s*\}\}/.test(campaign.htmlBody)) {
+    html += `<p style="font-size:12px;color:#888">You are receiving this email because you subscribed to Royavalet updates. <a href="${variables.preferencesUrl}">Manage preferences or unsubscribe</a></p>`;
+  }
+  html += `<img src="${buildOpenTrackingUrl(campaign._id, subscription._id)}" width="1" height="1" alt="" style="display:none" />`;
+
+  if (text && !/\{\{\s*preferencesUrl\s*\}\}/.test(campaign.textBody)) {
+    text += `\n\nManage preferences or unsubscribe: ${variables.preferencesUrl}`;
+  }
+
+  return {
+    to: subscription.email,
+    subject: renderTemplate(campaign.subject, variables),
+    html,
+    text,
+    headers: buildListUnsubscribeHeaders(subscription._id)
+  };
+};
+
+export { renderCampaignEmail };
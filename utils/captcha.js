@@ -0,0 +1,77 @@
+// CAPTCHA verifier factories keyed by CAPTCHA_PROVIDER. Each factory returns an object
+// exposing `verify(token, remoteIp)` that resolves to true when the challenge was solved.
+
+// The hosted providers share the same siteverify form post
+const siteVerifier = (url) => () => ({
+  verify: async (token, remoteIp) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        secret: process.env.CAPTCHA_SECRET || '',
+        response: token,
+        ...(remoteIp ? { remoteip: remoteIp } : {})
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`CAPTCHA verification request failed with status ${response.status}`);
+    }
+
+    const result = await response.json();
+
+    // reCAPTCHA v3 also scores how likely the visitor is to be human
+    const minScore = parseFloat(process.env.CAPTCHA_MIN_SCORE) || 0.5;
+    return result.success === true && (result.score === undefined || result.score >= minScore);
+  }
+});
+
+const verifierFactories = {
+  // No CAPTCHA on the forms
+  none: () => ({
+    verify: async () => true
+  }),
+
+  // Local verifier for tests and development: only CAPTCHA_STUB_TOKEN (default "pass") is accepted
+  stub: () => ({
+    verify: async (token) => token === (process.env.CAPTCHA_STUB_TOKEN || 'pass')
+  }),
+
+  recaptcha: siteVerifier('https://www.google.com/recaptcha/api/siteverify'),
+  hcaptcha: siteVerifier('https://api.hcaptcha.com/siteverify'),
+  turnstile: siteVerifier('https://challenges.cloudflare.com/turnstile/v0/siteverify')
+};
+
+let activeVerifier = null;
+
+// Register (or override) a verifier factory
+const registerCaptchaVerifier = (name, factory) => {
+  verifierFactories[name] = factory;
+  activeVerifier = null;
+};
+
+const getVerifier = () => {
+  if (activeVerifier) return activeVerifier;
+
+  const name = process.env.CAPTCHA_PROVIDER || 'none';
+  const factory = verifierFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown CAPTCHA provider: ${name}`);
+  }
+
+  activeVerifier = factory();
+  return activeVerifier;
+};
+
+const isCaptchaEnabled = () => (process.env.CAPTCHA_PROVIDER || 'none') !== 'none';
+
+// Check the token the form sent with the configured provider
+const verifyCaptcha = async (token, remoteIp) => {
+  if (!isCaptchaEnabled()) return true;
+  if (!token || typeof token !== 'string') return false;
+
+  return getVerifier().verify(token, remoteIp);
+};
+
+export { verifyCaptcha, registerCaptchaVerifier, isCaptchaEnabled };
@@ -0,0 +1,73 @@
+import OrgSettings from '../models/OrgSettings.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Reasons the contact cannot move to the status, empty when the move is allowed
+const checkStatusChange = async (contact, status, values = {}) => {
+  const { contactPipeline } = await OrgSettings.getCached();
+  const allowed = contactPipeline.transitions.get(contact.status) || [];
+
+  if (!allowed.includes(status)) {
+    return [`Cannot change contact status from ${contact.status} to ${status}`];
+  }
+
+  const required = contactPipeline.requiredFields.get(status) || [];
+  return required
+    .filter((field) => {
+      const value = values[field] !== undefined ? values[field] : contact[field];
+      return value === null || value === undefined || value === '';
+    })
+    .map((field) => `${field} is required when moving a contact to ${status}`);
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const toHours = (ms) => (ms === null ? null : Math.round((ms / HOUR_MS) * 10) / 10);
+
+// Median hours from creation to the first time a contact reached each status,
+// and median hours spent in each status before it moved on
+const summarisePipeline = (contacts) => {
+  const toContacted = [];
+  const toCompleted = [];
+  const stageDurations = {};
+
+  contacts.forEach(({ createdAt, statusHistory = [] }) => {
+    const contacted = statusHistory.find((entry) => entry.to === 'contacted');
+    const completed = statusHistory.find((entry) => entry.to === 'completed');
+
+    if (contacted) toContacted.push(contacted.at - createdAt);
+    if (completed) toCompleted.push(completed.at - createdAt);
+
+    // Contacts from before the history was kept start in "new" at creation
+    let enteredAt = createdAt;
+    statusHistory.forEach((entry) => {
+      if (entry.from) {
+        stageDurations[entry.from] = stageDurations[entry.from] || [];
+        stageDurations[entry.from].push(entry.at - enteredAt);
+      }
+      enteredAt = entry.at;
+    });
+  });
+
+  return {
+    medianHoursToContacted: toHours(median(toContacted)),
+    medianHoursToCompleted: toHours(median(toCompleted)),
+    contactedCount: toContacted.length,
+    completedCount: toCompleted.length,
+    timeInStage: Object.fromEntries(Object.entries(stageDurations).map(([stage, durations]) => [stage, {
+      medianHours: toHours(median(durations)),
+      transitions: durations.length
+    }]))
+  };
+};
+
+export {
+  checkStatusChange,
+  summarisePipeline
+};
@@ -0,0 +1,262 @@
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import Contact from '../models/Contact.js';
+import Booking from '../models/Booking.js';
+import Quote from '../models/Quote.js';
+import Invoice from '../models/Invoice.js';
+import EmailSubscription from '../models/EmailSubscription.js';
+import EmailEvent from '../models/EmailEvent.js';
+
+const normaliseEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+const normalisePhone = (phone) => {
+  const digits = phone ? String(phone).replace(/\D/g, '') : '';
+  return digits || null;
+};
+
+const addUnique = (list, value) => {
+  if (value && !list.includes(value)) list.push(value);
+};
+
+// Link the customer to a subscription for one of their addresses, oldest first
+const linkSubscription = async (customer) => {
+  if (customer.emails.length === 0) {
+    customer.subscription = null;
+    return;
+  }
+
+  const subscription = await EmailSubscription.findOne({ email: { $in: customer.emails } })
+    .sort({ subscriptionDate: 1 })
+    .select('_id');
+  customer.subscription = subscription?._id || null;
+};
+
+// Create a customer with an atomic upsert, unless one with the email or phone exists by then.
+// There is no unique index to back the upsert (split customers may share an address), so when
+// two inserts race the newer customer is merged into the oldest match.
+const createCustomer = async ({ name, email, phone, seenAt }) => {
+  const id = new mongoose.Types.ObjectId();
+
+  // $elemMatch keeps MongoDB from copying the filter values into the inserted document
+  const conditions = [];
+  if (email) conditions.push({ emails: { $elemMatch: { $eq: email } } });
+  if (phone) conditions.push({ phones: { $elemMatch: { $eq: phone } } });
+
+  const customer = await Customer.findOneAndUpdate(
+    { $or: conditions },
+    {
+      $setOnInsert: {
+        _id: id,
+        name,
+        emails: email ? [email] : [],
+        phones: phone ? [phone] : [],
+        firstSeenAt: seenAt,
+        lastSeenAt: seenAt
+      }
+    },
+    { upsert: true, new: true, sort: { createdAt: 1, _id: 1 } }
+  );
+  if (!customer._id.equals(id)) return customer;
+
+  const oldest = await Customer.findOne({ $or: conditions }).sort({ createdAt: 1, _id: 1 });
+  if (!oldest || oldest._id.equals(id)) return customer;
+
+  await mergeCustomers(oldest, [customer]);
+  return oldest;
+};
+
+// Find the customer by normalised email or phone, or create one, and record any new identifiers.
+// When the email and phone point at different customers the oldest wins; admins merge the rest.
+const upsertCustomer = async ({ name, email, phone, seenAt = new Date() }) => {
+  const normalisedEmail = normaliseEmail(email);
+  const normalisedPhone = normalisePhone(phone);
+
+  const conditions = [];
+  if (normalisedEmail) conditions.push({ emails: normalisedEmail });
+  if (normalisedPhone) conditions.push({ phones: normalisedPhone });
+  if (conditions.length === 0) return null;
+
+  let customer = await Customer.findOne({ $or: conditions }).sort({ createdAt: 1, _id: 1 });
+
+  if (!customer) {
+    customer = await createCustomer({ name, email: normalisedEmail, phone: normalisedPhone, seenAt });
+  }
+
+  addUnique(customer.emails, normalisedEmail);
+  addUnique(customer.phones, normalisedPhone);
+  if (seenAt > customer.lastSeenAt) customer.lastSeenAt = seenAt;
+  if (seenAt < customer.firstSeenAt) customer.firstSeenAt = seenAt;
+
+  if (!customer.subscription) {
+    await linkSubscription(customer);
+  }
+
+  await customer.save();
+  return customer;
+};
+
+// Point customers with the subscription's address at it when they have none yet
+const linkSubscriptionToCustomers = (subscription) => {
+  return Customer.updateMany(
+    { emails: normaliseEmail(subscription.email), subscription: null },
+    { $set: { subscription: subscription._id } }
+  );
+};
+
+// Rebuild the identifiers and dates of a customer from the records still linked to it
+const refreshCustomer = async (customer) => {
+  const [contacts, bookings] = await Promise.all([
+    Contact.find({ customer: customer._id }).setOptions({ withDeleted: true }).select('email phone createdAt').lean(),
+    Booking.find({ customer: customer._id }).select('email phone createdAt').lean()
+  ]);
+  const records = [...contacts, ...bookings];
+
+  customer.emails = [...new Set(records.map((record) => normaliseEmail(record.email)).filter(Boolean))];
+  customer.phones = [...new Set(records.map((record) => normalisePhone(record.phone)).filter(Boolean))];
+
+  if (records.length > 0) {
+    const dates = records.map((record) => record.createdAt.getTime());
+    customer.firstSeenAt = new Date(Math.min(...dates));
+    customer.lastSeenAt = new Date(Math.max(...dates));
+  }
+
+  await linkSubscription(customer);
+  await customer.save();
+  return customer;
+};
+
+// Move every record of the source customers to the target and delete the sources
+const mergeCustomers = async (target, sources) => {
+  const sourceIds = sources.map((source) => source._id);
+
+  sources.forEach((source) => {
+    source.emails.forEach((email) => addUnique(target.emails, email));
+    source.phones.forEach((phone) => addUnique(target.phones, phone));
+    if (source.firstSeenAt < target.firstSeenAt) target.firstSeenAt = source.firstSeenAt;
+    if (source.lastSeenAt > target.lastSeenAt) target.lastSeenAt = source.lastSeenAt;
+    if (!target.subscription && source.subscription) target.subscription = source.subscription;
+  });
+
+  const [contacts, bookings] = await Promise.all([
+    Contact.updateMany({ customer: { $in: sourceIds } }, { $set: { customer: target._id } }),
+    Booking.updateMany({ customer: { $in: sourceIds } }, { $set: { customer: target._id } })
+  ]);
+
+  await target.save();
+  await Customer.deleteMany({ _id: { $in: sourceIds } });
+
+  return {
+    customersMerged: sourceIds.length,
+    contactsMoved: contacts.modifiedCount,
+    bookingsMoved: bookings.modifiedCount
+  };
+};
+
+// Move some contacts and bookings of a customer to a new customer.
+// Bookings created from a moved contact go with it.
+const splitCustomer = async (customer, { contactIds = [], bookingIds = [] }) => {
+  const contacts = await Contact.find({ _id: { $in: contactIds }, customer: customer._id })
+    .setOptions({ withDeleted: true });
+  const movedContactIds = contacts.map((contact) => contact._id);
+
+  const bookings = await Booking.find({
+    customer: customer._id,
+    $or: [{ _id: { $in: bookingIds } }, { contact: { $in: movedContactIds } }]
+  });
+
+  const moved = [...contacts, ...bookings].sort((a, b) => a.createdAt - b.createdAt);
+  if (moved.length === 0) return null;
+
+  const newCustomer = new Customer({
+    name: moved[moved.length - 1].name,
+    firstSeenAt: moved[0].createdAt,
+    lastSeenAt: moved[moved.length - 1].createdAt
+  });
+  await newCustomer.save();
+
+  await Promise.all([
+    Contact.updateMany({ _id: { $in: movedContactIds } }, { $set: { customer: newCustomer._id } }),
+    Booking.updateMany({ _id: { $in: bookings.map((booking) => booking._id) } }, { $set: { customer: newCustomer._id } })
+  ]);
+
+  await refreshCustomer(newCustomer);
+  await refreshCustomer(customer);
+
+  return { customer: newCustomer, contactsMoved: contacts.length, bookingsMoved: bookings.length };
+};
+
+const byIds = (field, ids) => (ids.length > 0 ? [{ [field]: { $in: ids } }] : []);
+
+// Everything that happened with the customer, newest first
+const buildCustomerTimeline = async (customer) => {
+  const contacts = await Contact.find({ customer: customer._id }).setOptions({ withDeleted: true }).lean();
+  const bookings = await Booking.find({ customer: customer._id }).lean();
+  const contactIds = contacts.map((contact) => contact._id);
+  const bookingIds = bookings.map((booking) => booking._id);
+
+  const quoteConditions = [...byIds('contact', contactIds), ...byIds('booking', bookingIds)];
+  const quotes = quoteConditions.length > 0 ? await Quote.find({ $or: quoteConditions }).lean() : [];
+
+  const invoiceConditions = [...byIds('booking', bookingIds), ...byIds('quote', quotes.map((quote) => quote._id))];
+  const invoices = invoiceConditions.length > 0 ? await Invoice.find({ $or: invoiceConditions }).lean() : [];
+
+  const subscription = customer.subscription
+    ? await EmailSubscription.findById(customer.subscription).setOptions({ withDeleted: true }).lean()
+    : null;
+  const emailEvents = subscription ? await EmailEvent.find({ subscription: subscription._id }).lean() : [];
+
+  const events = [];
+  const add = (type, at, entityType, entityId, summary) => {
+    if (at) events.push({ type, at, entityType, entityId, summary });
+  };
+
+  contacts.forEach((contact) => {
+    add('contact.submitted', contact.createdAt, 'Contact', contact._id, `Contact request from ${contact.source}: ${contact.description}`);
+    (contact.statusHistory || [])
+      .filter((entry) => entry.from)
+      .forEach((entry) => add('contact.status', entry.at, 'Contact', contact._id, `Status changed from ${entry.from} to ${entry.to}`));
+    (contact.notes || [])
+      .filter((note) => note.addedBy !== 'system')
+      .forEach((note) => add('contact.note', note.addedAt, 'Contact', contact._id, note.note));
+    (contact.interactions || [])
+      .forEach((interaction) => add(`contact.${interaction.channel}`, interaction.at, 'Contact', contact._id, `${interaction.direction === 'outbound' ? 'Outbound' : 'Inbound'} ${interaction.channel}: ${interaction.body}`));
+    if (contact.deletedAt) add('contact.deleted', contact.deletedAt, 'Contact', contact._id, 'Contact moved to the trash');
+  });
+
+  bookings.forEach((booking) => {
+    add('booking.created', booking.createdAt, 'Booking', booking._id, `Booking for ${new Date(booking.eventStart).toISOString()} (${booking.status})`);
+  });
+
+  quotes.forEach((quote) => {
+    add('quote.created', quote.createdAt, 'Quote', quote._id, `Quote ${quote.quoteNumber} for ${quote.currency} ${quote.total}`);
+    add('quote.sent', quote.sentAt, 'Quote', quote._id, `Quote ${quote.quoteNumber} sent`);
+    add(`quote.${quote.status}`, quote.respondedAt, 'Quote', quote._id, `Quote ${quote.quoteNumber} ${quote.status}`);
+  });
+
+  invoices.forEach((invoice) => {
+    add('invoice.issued', invoice.issueDate || invoice.createdAt, 'Invoice', invoice._id, `Invoice ${invoice.invoiceNumber} for ${invoice.currency} ${invoice.total}`);
+    add('invoice.paid', invoice.paidAt, 'Invoice', invoice._id, `Invoice ${invoice.invoiceNumber} paid`);
+  });
+
+  if (subscription) {
+    add('subscription.subscribed', subscription.subscriptionDate, 'EmailSubscription', subscription._id, `Subscribed to emails from ${subscription.source}`);
+    add('subscription.unsubscribed', subscription.unsubscriptionDate, 'EmailSubscription', subscription._id, 'Unsubscribed from emails');
+  }
+
+  emailEvents.forEach((event) => {
+    add(`email.${event.type}`, event.createdAt, 'EmailEvent', event._id, event.url || event.reason || `Email ${event.type}`);
+  });
+
+  return events.sort((a, b) => b.at - a.at);
+};
+
+export {
+  normaliseEmail,
+  normalisePhone,
+  upsertCustomer,
+  linkSubscriptionToCustomers,
+  refreshCustomer,
+  mergeCustomers,
+  splitCustomer,
+  buildCustomerTimeline
+};
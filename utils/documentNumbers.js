@@ -0,0 +1,13 @@
+import Counter from '../models/Counter.js';
+
+// Sequential numbers that restart each calendar year, e.g. Q-2026-0007 / INV-2026-00042
+const nextDocumentNumber = async (prefix, padding) => {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(`${prefix}-${year}`);
+  return `${prefix}-${year}-${String(seq).padStart(padding, '0')}`;
+};
+
+const nextQuoteNumber = () => nextDocumentNumber('Q', 4);
+const nextInvoiceNumber = () => nextDocumentNumber('INV', 5);
+
+export { nextQuoteNumber, nextInvoiceNumber };
@@ -0,0 +1,110 @@
+import { escapeHtml } from './templateRenderer.js';
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount).toFixed(2)}`;
+
+const formatDate = (date) => {
+  return date ? new Date(date).toLocaleDateString('en-GB', { timeZone: 'Asia/Dubai' }) : '-';
+};
+
+// Shared layout for quotes and invoices
+const renderDocument = ({ title, number, meta, customer, lineItems, currency, subtotal, vatRate, vatAmount, total, footer }) => {
+  const rows = lineItems.map((item) => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="num">${item.quantity}</td>
+          <td class="num">${formatMoney(item.unitPrice, currency)}</td>
+          <td class="num">${formatMoney(item.amount, currency)}</td>
+        </tr>`).join('');
+
+  const metaRows = meta.map(([label, value]) => `
+        <tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(title)} ${escapeHtml(number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #222; max-width: 800px; margin: 40px auto; }
+    h1 { margin-bottom: 0; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+    .meta th { width: 160px; }
+  </style>
+</head>
+<body>
+  <h1>Royavalet Parking Services</h1>
+  <h2>${escapeHtml(title)} ${escapeHtml(number)}</h2>
+  <table class="meta">${metaRows}
+  </table>
+  <p>
+    <strong>Bill to:</strong><br />
+    ${escapeHtml(customer.name)}<br />
+    ${escapeHtml(customer.email)}${customer.phone ? `<br />${escapeHtml(customer.phone)}` : ''}
+  </p>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tr><td class="num">Subtotal</td><td class="num">${formatMoney(subtotal, currency)}</td></tr>
+    <tr><td class="num">VAT (${Math.round(vatRate * 10000) / 100}%)</td><td class="num">${formatMoney(vatAmount, currency)}</td></tr>
+    <tr><td class="num"><strong>Total</strong></td><td class="num"><strong>${formatMoney(total, currency)}</strong></td></tr>
+  </table>
+  ${footer || ''}
+</body>
+</html>`;
+};
+
+const renderQuoteDocument = (quote, { respondUrl } = {}) => {
+  return renderDocument({
+    title: 'Quote',
+    number: quote.quoteNumber,
+    meta: [
+      ['Version', String(quote.version)],
+      ['Date', formatDate(quote.createdAt)],
+      ['Valid until', formatDate(quote.validUntil)],
+      ['Status', quote.status]
+    ],
+    customer: quote.customer,
+    lineItems: quote.lineItems,
+    currency: quote.currency,
+    subtotal: quote.subtotal,
+    vatRate: quote.vatRate,
+    vatAmount: quote.vatAmount,
+    total: quote.total,
+    footer: [
+      quote.notes ? `<p>${escapeHtml(quote.notes)}</p>` : '',
+      respondUrl ? `<p><a href="${escapeHtml(respondUrl)}">Review and accept this quote</a></p>` : ''
+    ].join('')
+  });
+};
+
+const renderInvoiceDocument = (invoice) => {
+  return renderDocument({
+    title: 'Tax Invoice',
+    number: invoice.invoiceNumber,
+    meta: [
+      ['Issue date', formatDate(invoice.issueDate)],
+      ['Due date', formatDate(invoice.dueDate)],
+      ['Status', invoice.status]
+    ],
+    customer: invoice.customer,
+    lineItems: invoice.lineItems,
+    currency: invoice.currency,
+    subtotal: invoice.subtotal,
+    vatRate: invoice.vatRate,
+    vatAmount: invoice.vatAmount,
+    total: invoice.total,
+    footer: invoice.status === 'paid'
+      ? `<p><strong>Paid on ${formatDate(invoice.paidAt)}</strong></p>`
+      : '<p>Please quote the invoice number with your payment.</p>'
+  });
+};
+
+export { renderQuoteDocument, renderInvoiceDocument };
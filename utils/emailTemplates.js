@@ -0,0 +1,217 @@
+import { escapeHtml } from './templateRenderer.js';
+
+// Plain text and HTML bodies for transactional emails
+
+const verificationEmail = ({ verifyUrl }) => ({
+  subject: 'Please confirm your Royavalet subscription',
+  text: [
+    'Thank you for subscribing to Royavalet Parking Services updates.',
+    '',
+    'Please confirm your email address by opening the link below:',
+    verifyUrl,
+    '',
+    'If you did not request this, you can ignore this email and you will not be subscribed.'
+  ].join('\n'),
+  html: `
+    <p>Thank you for subscribing to Royavalet Parking Services updates.</p>
+    <p>Please confirm your email address by clicking the button below:</p>
+    <p><a href="${verifyUrl}">Confirm my subscription</a></p>
+    <p>If you did not request this, you can ignore this email and you will not be subscribed.</p>
+  `
+});
+
+const unsubscribeConfirmationEmail = ({ preferencesUrl }) => ({
+  subject: 'Manage your Royavalet email subscription',
+  text: [
+    'We received a request to unsubscribe this address from Royavalet Parking Services emails.',
+    '',
+    'To confirm, or to choose which emails you receive instead, open the link below:',
+    preferencesUrl,
+    '',
+    'If you did not make this request, you can ignore this email.'
+  ].join('\n'),
+  html: `
+    <p>We received a request to unsubscribe this address from Royavalet Parking Services emails.</p>
+    <p>To confirm, or to choose which emails you receive instead, open your preference center:</p>
+    <p><a href="${preferencesUrl}">Manage my subscription</a></p>
+    <p>If you did not make this request, you can ignore this email.</p>
+  `
+});
+
+const inviteEmail = ({ inviterName, role, acceptUrl, expiresAt }) => ({
+  subject: 'You have been invited to the Royavalet dashboard',
+  text: [
+    `${inviterName} has invited you to join the Royavalet Parking Services dashboard as ${role}.`,
+    '',
+    'Set up your account by opening the link below:',
+    acceptUrl,
+    '',
+    `This invitation expires on ${new Date(expiresAt).toLocaleDateString('en-GB')} and can only be used once.`
+  ].join('\n'),
+  html: `
+    <p>${escapeHtml(inviterName)} has invited you to join the Royavalet Parking Services dashboard as ${escapeHtml(role)}.</p>
+    <p><a href="${acceptUrl}">Set up my account</a></p>
+    <p>This invitation expires on ${new Date(expiresAt).toLocaleDateString('en-GB')} and can only be used once.</p>
+  `
+});
+
+const passwordResetEmail = ({ resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your Royavalet dashboard password',
+  text: [
+    'We received a request to reset the password for your Royavalet dashboard account.',
+    '',
+    'Choose a new password by opening the link below:',
+    resetUrl,
+    '',
+    `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    'If you did not request this, you can ignore this email and your password will stay the same.'
+  ].join('\n'),
+  html: `
+    <p>We received a request to reset the password for your Royavalet dashboard account.</p>
+    <p><a href="${resetUrl}">Choose a new password</a></p>
+    <p>The link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+    <p>If you did not request this, you can ignore this email and your password will stay the same.</p>
+  `
+});
+
+const passwordChangedEmail = ({ name }) => ({
+  subject: 'Your Royavalet dashboard password was changed',
+  text: [
+    `Hello ${name},`,
+    '',
+    'The password for your Royavalet dashboard account was just changed and your other sessions were signed out.',
+    'If you did not do this, reset your password immediately and contact an owner of your account.'
+  ].join('\n'),
+  html: `
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>The password for your Royavalet dashboard account was just changed and your other sessions were signed out.</p>
+    <p>If you did not do this, reset your password immediately and contact an owner of your account.</p>
+  `
+});
+
+const accountLockedEmail = ({ name, lockedUntil, ipAddress }) => ({
+  subject: 'Your Royavalet dashboard account has been locked',
+  text: [
+    `Hello ${name},`,
+    '',
+    `After several failed login attempts${ipAddress ? ` from ${ipAddress}` : ''}, your account has been locked until ${new Date(lockedUntil).toUTCString()}.`,
+    'If this was you, wait until then or ask an owner to unlock your account.',
+    'If it was not you, reset your password and consider enabling two-factor authentication.'
+  ].join('\n'),
+  html: `
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>After several failed login attempts${ipAddress ? ` from ${escapeHtml(ipAddress)}` : ''}, your account has been locked until ${new Date(lockedUntil).toUTCString()}.</p>
+    <p>If this was you, wait until then or ask an owner to unlock your account.</p>
+    <p>If it was not you, reset your password and consider enabling two-factor authentication.</p>
+  `
+});
+
+const privacyRequestEmail = ({ type, confirmUrl, expiresInHours }) => {
+  const action = type === 'erasure'
+    ? 'erase the personal data we hold about you'
+    : 'send you a copy of the personal data we hold about you';
+
+  return {
+    subject: type === 'erasure' ? 'Confirm your Royavalet data erasure request' : 'Confirm your Royavalet data export request',
+    text: [
+      `We received a request to ${action}.`,
+      '',
+      'Confirm the request by opening the link below:',
+      confirmUrl,
+      '',
+      `The link expires in ${expiresInHours} hours.`,
+      'If you did not make this request, you can ignore this email and nothing will happen.'
+    ].join('\n'),
+    html: `
+      <p>We received a request to ${action}.</p>
+      <p><a href="${confirmUrl}">Confirm my request</a></p>
+      <p>The link expires in ${expiresInHours} hours.</p>
+      <p>If you did not make this request, you can ignore this email and nothing will happen.</p>
+    `
+  };
+};
+
+const contactAssignedEmail = ({ name, contact, contactUrl }) => ({
+  subject: `New contact assigned to you: ${contact.name}`,
+  text: [
+    `Hello ${name},`,
+    '',
+    `${contact.name} (${contact.email}, ${contact.phone}) has been assigned to you. Priority: ${contact.priority}.`,
+    '',
+    contact.description,
+    '',
+    'Open the contact in the dashboard:',
+    contactUrl
+  ].join('\n'),
+  html: `
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>${escapeHtml(contact.name)} (${escapeHtml(contact.email)}, ${escapeHtml(contact.phone)}) has been assigned to you. Priority: ${escapeHtml(contact.priority)}.</p>
+    <blockquote>${escapeHtml(contact.description)}</blockquote>
+    <p><a href="${contactUrl}">Open the contact</a></p>
+  `
+});
+
+const contactReminderEmail = ({ name, contact, reason, contactUrl }) => {
+  const summary = reason === 'sla'
+    ? `${contact.name} has not had a first response within the ${contact.priority} priority target.`
+    : `The follow-up with ${contact.name} was due on ${new Date(contact.followUpDate).toLocaleString('en-GB')}.`;
+
+  return {
+    subject: reason === 'sla'
+      ? `Response overdue: ${contact.name}`
+      : `Follow-up due: ${contact.name}`,
+    text: [
+      `Hello ${name},`,
+      '',
+      summary,
+      `Email: ${contact.email}, phone: ${contact.phone}`,
+      '',
+      'Open the contact in the dashboard:',
+      contactUrl
+    ].join('\n'),
+    html: `
+      <p>Hello ${escapeHtml(name)},</p>
+      <p>${escapeHtml(summary)}</p>
+      <p>Email: ${escapeHtml(contact.email)}, phone: ${escapeHtml(contact.phone)}</p>
+      <p><a href="${contactUrl}">Open the contact</a></p>
+    `
+  };
+};
+
+const quoteEmail = ({ quote, documentHtml, respondUrl }) => ({
+  subject: `Your Royavalet quote ${quote.quoteNumber}`,
+  text: [
+    `Dear ${quote.customer.name},`,
+    '',
+    `Please find your quote ${quote.quoteNumber} for ${quote.currency} ${quote.total.toFixed(2)} (incl. VAT).`,
+    '',
+    'You can review and accept it here:',
+    respondUrl
+  ].join('\n'),
+  html: documentHtml
+});
+
+const invoiceEmail = ({ invoice, documentHtml }) => ({
+  subject: `Royavalet invoice ${invoice.invoiceNumber}`,
+  text: [
+    `Dear ${invoice.customer.name},`,
+    '',
+    `Please find your invoice ${invoice.invoiceNumber} for ${invoice.currency} ${invoice.total.toFixed(2)} (incl. VAT),`,
+    `due on ${new Date(invoice.dueDate).toLocaleDateString('en-GB')}.`
+  ].join('\n'),
+  html: documentHtml
+});
+
+export {
+  verificationEmail,
+  unsubscribeConfirmationEmail,
+  inviteEmail,
+  passwordResetEmail,
+  passwordChangedEmail,
+  accountLockedEmail,
+  privacyRequestEmail,
+  contactAssignedEmail,
+  contactReminderEmail,
+  quoteEmail,
+  invoiceEmail
+};
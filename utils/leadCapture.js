@@ -0,0 +1,94 @@
+import Contact from '../models/Contact.js';
+import { autoAssignContact, OPEN_STATUSES } from './assignment.js';
+import { upsertCustomer } from './customers.js';
+import { buildPhonePattern } from './privacy.js';
+
+// Link a contact to the customer with the same email or phone; the contact is
+// still saved if this fails and the backfill script can link it later
+const linkCustomer = async (contact) => {
+  try {
+    const customer = await upsertCustomer({ name: contact.name, email: contact.email, phone: contact.phone });
+    contact.customer = customer?._id || null;
+  } catch (error) {
+    console.error('Contact customer linking error:', error);
+  }
+};
+
+// The contact is kept even if it cannot be assigned
+const autoAssign = async (contact) => {
+  try {
+    await autoAssignContact(contact);
+  } catch (error) {
+    console.error('Contact auto-assignment error:', error);
+  }
+};
+
+// Digits with a leading +, the format the Contact model accepts
+const normaliseLeadPhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits ? `+${digits}` : null;
+};
+
+// Latest contact from this number that is still being worked on
+const findOpenContactByPhone = (phone) => {
+  return Contact.findOne({ phone: buildPhonePattern(phone), status: { $in: OPEN_STATUSES } })
+    .sort({ createdAt: -1 });
+};
+
+// Save a contact that arrived through any channel, link its customer and auto-assign it
+const saveNewContact = async (contact) => {
+  await linkCustomer(contact);
+  await contact.save();
+  await autoAssign(contact);
+  return contact;
+};
+
+// Add a message or call to the open contact for the phone number, or start a new contact
+// with it. Returns the contact, whether it was created and whether the provider's message ID
+// was already on the contact (nothing is added then).
+const captureInteraction = async ({ source, name, email = null, phone, interaction, contact = null }) => {
+  const existing = contact || await findOpenContactByPhone(phone);
+
+  if (existing && interaction.externalId) {
+    // Cast and validate the entry like a save would, then add it with a conditional push
+    // so concurrent redeliveries of one message add it once
+    existing.interactions.push({ channel: source, ...interaction });
+    const entry = existing.interactions[existing.interactions.length - 1];
+    await existing.validate(['interactions']);
+
+    const result = await Contact.updateOne(
+      { _id: existing._id, 'interactions.externalId': { $ne: interaction.externalId } },
+      { $push: { interactions: entry } }
+    );
+    const updated = await Contact.findById(existing._id);
+    return { contact: updated || existing, created: false, duplicate: result.modifiedCount === 0 };
+  }
+
+  if (existing) {
+    existing.interactions.push({ channel: source, ...interaction });
+    await existing.save();
+    return { contact: existing, created: false, duplicate: false };
+  }
+
+  const created = new Contact({
+    name,
+    email,
+    phone: normaliseLeadPhone(phone),
+    description: interaction.body.slice(0, 1000),
+    source,
+    sourceMessageId: interaction.externalId || null,
+    interactions: [{ channel: source, ...interaction }]
+  });
+
+  await saveNewContact(created);
+  return { contact: created, created: true, duplicate: false };
+};
+
+export {
+  linkCustomer,
+  autoAssign,
+  normaliseLeadPhone,
+  findOpenContactByPhone,
+  saveNewContact,
+  captureInteraction
+};
@@ -0,0 +1,116 @@
+import User from '../models/User.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import { sendMail } from './mailer.js';
+import { accountLockedEmail } from './emailTemplates.js';
+import { recordAudit } from './audit.js';
+
+const IP_WINDOW_MS = 15 * 60 * 1000;
+
+// Only real guesses count towards the IP limit; attempts rejected while blocked do not,
+// so a blocked IP is released once its window passes
+const IP_FAILURE_REASONS = ['invalid-password', 'unknown-user'];
+
+const getMaxFailures = () => parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const getLockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const getMaxFailuresPerIp = () => parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+
+const getClientIp = (req) => req.ip || req.connection.remoteAddress;
+
+// Write one entry to the login history and the audit log
+const recordLoginAttempt = async (req, { user = null, email, success, reason }) => {
+  await LoginAttempt.create({
+    user: user?._id || null,
+    email: email || user?.email,
+    success,
+    reason,
+    ipAddress: getClientIp(req),
+    userAgent: req.get('User-Agent') || null
+  });
+
+  await recordAudit({
+    req,
+    actor: success ? user : null,
+    action: success ? 'auth.login' : 'auth.login-failed',
+    entityType: 'User',
+    entityId: user?._id || null,
+    metadata: { email: email || user?.email, reason }
+  });
+};
+
+// Seconds until this IP may try again, 0 when it is under the failure limit
+const getIpRetryAfter = async (req) => {
+  const since = new Date(Date.now() - IP_WINDOW_MS);
+  const failures = await LoginAttempt.find({
+    ipAddress: getClientIp(req),
+    success: false,
+    reason: { $in: IP_FAILURE_REASONS },
+    createdAt: { $gte: since }
+  })
+    .sort({ createdAt: 1 })
+    .limit(getMaxFailuresPerIp())
+    .select('createdAt');
+
+  if (failures.length < getMaxFailuresPerIp()) return 0;
+
+  // Blocked until the oldest failure in the window drops out of it
+  return Math.ceil((failures[0].createdAt.getTime() + IP_WINDOW_MS - Date.now()) / 1000);
+};
+
+// Progressive delay: after the second failure each attempt has to wait 1, 2, 4 ... (max 30) seconds
+const getAccountRetryAfter = (user) => {
+  if (user.failedLoginAttempts < 2 || !user.lastFailedLoginAt) return 0;
+
+  const delayMs = Math.min(2 ** (user.failedLoginAttempts - 2), 30) * 1000;
+  const remaining = user.lastFailedLoginAt.getTime() + delayMs - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+// Count a wrong password and lock the account once the limit is reached.
+// Returns the lock expiry when this failure locked the account, otherwise null.
+const registerFailedLogin = async (user, req) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+
+  if (updated.failedLoginAttempts < getMaxFailures()) return null;
+
+  const lockedUntil = new Date(Date.now() + getLockoutMinutes() * 60 * 1000);
+
+  // Conditional update so parallel failures lock (and notify) only once
+  const locked = await User.updateOne(
+    { _id: user._id, failedLoginAttempts: { $gte: getMaxFailures() } },
+    { $set: { lockedUntil, failedLoginAttempts: 0, lastFailedLoginAt: null } }
+  );
+
+  if (locked.modifiedCount === 0) return null;
+
+  try {
+    await sendMail({
+      to: updated.email,
+      ...accountLockedEmail({ name: updated.name, lockedUntil, ipAddress: getClientIp(req) })
+    });
+  } catch (error) {
+    console.error('Lockout notification error:', error);
+  }
+
+  return lockedUntil;
+};
+
+const clearFailedLogins = (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil) return Promise.resolve();
+
+  return User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null } }
+  );
+};
+
+export {
+  recordLoginAttempt,
+  getIpRetryAfter,
+  getAccountRetryAfter,
+  registerFailedLogin,
+  clearFailedLogins
+};
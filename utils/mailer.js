@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Transport factories keyed by MAIL_TRANSPORT. Each factory returns an object
+// exposing `send(message)` so new providers can be plugged in without touching callers.
+const transportFactories = {
+  // Real delivery through any SMTP relay
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      send: (message) => transporter.sendMail(message)
+    };
+  },
+
+  // Writes every message as a JSON file, handy for local runs and inspection
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+
+    return {
+      send: async (message) => {
+        await fs.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+        const filePath = path.join(outboxDir, fileName);
+        await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+        return { messageId: fileName, filePath };
+      }
+    };
+  },
+
+  // Prints messages to stdout
+  console: () => ({
+    send: async (message) => {
+      console.log('📧 Outgoing email:', JSON.stringify(message, null, 2));
+      return { messageId: `console-${Date.now()}` };
+    }
+  })
+};
+
+let activeTransport = null;
+
+// Register (or override) a transport factory
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  activeTransport = null;
+};
+
+const getTransport = () => {
+  if (activeTransport) return activeTransport;
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const factory = transportFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  activeTransport = factory();
+  return activeTransport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html, headers }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'Royavalet <no-reply@royavaletparkingservices.ae>',
+    to,
+    subject,
+    text,
+    html,
+    headers
+  };
+
+  return getTransport().send(message);
+};
+
+export { sendMail, registerTransport };
+export default sendMail;
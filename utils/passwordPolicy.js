@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_LIST = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'common-passwords.txt');
+
+// bcrypt ignores everything after 72 bytes
+const MAX_BYTES = 72;
+
+let breachedPasswords = null;
+
+// Load the breached password list once, lowercased, skipping comments
+const getBreachedPasswords = () => {
+  if (!breachedPasswords) {
+    const file = process.env.BREACHED_PASSWORDS_FILE || DEFAULT_LIST;
+    breachedPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  }
+  return breachedPasswords;
+};
+
+const getMinLength = () => parseInt(process.env.PASSWORD_MIN_LENGTH) || 10;
+
+// Return the reasons a password is rejected (empty when it is acceptable)
+const checkPassword = (password, { email, name } = {}) => {
+  const problems = [];
+  const value = String(password || '');
+  const lower = value.toLowerCase();
+
+  if (value.length < getMinLength()) {
+    problems.push(`Password must be at least ${getMinLength()} characters long`);
+  }
+
+  if (Buffer.byteLength(value) > MAX_BYTES) {
+    problems.push(`Password cannot exceed ${MAX_BYTES} bytes`);
+  }
+
+  if (getBreachedPasswords().has(lower)) {
+    problems.push('This password appears in a list of breached passwords, please choose another');
+  }
+
+  const personal = [email?.split('@')[0], ...(name ? name.split(/\s+/) : [])]
+    .filter((part) => part && part.length >= 3)
+    .map((part) => part.toLowerCase());
+
+  if (personal.some((part) => lower.includes(part))) {
+    problems.push('Password cannot contain your name or email');
+  }
+
+  return problems;
+};
+
+// express-validator custom validator, takes name/email from the request body unless told otherwise
+const passwordPolicy = (getContext = (req) => req.body) => (value, { req }) => {
+  const problems = checkPassword(value, getContext(req));
+  if (problems.length > 0) {
+    throw new Error(problems[0]);
+  }
+  return true;
+};
+
+export { checkPassword, passwordPolicy };
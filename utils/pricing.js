@@ -0,0 +1,134 @@
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const getTimeZone = () => process.env.PRICING_TIMEZONE || 'Asia/Dubai';
+
+// Local hour (0-23) and weekday (0 = Sunday) of a date in the pricing time zone
+const getLocalParts = (date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: getTimeZone(),
+    hour: 'numeric',
+    hourCycle: 'h23',
+    weekday: 'short'
+  }).formatToParts(date);
+
+  const hour = parseInt(parts.find((part) => part.type === 'hour').value);
+  const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+    .indexOf(parts.find((part) => part.type === 'weekday').value);
+
+  return { hour, weekday };
+};
+
+const isNightHour = (hour, { startHour, endHour }) => {
+  // Windows such as 22 -> 6 wrap around midnight
+  return startHour > endHour
+    ? hour >= startHour || hour < endHour
+    : hour >= startHour && hour < endHour;
+};
+
+// Whether any hour of the event falls inside the night window
+const overlapsNight = (start, end, night) => {
+  for (let time = start.getTime(); time < end.getTime(); time += 60 * 60 * 1000) {
+    if (isNightHour(getLocalParts(new Date(time)).hour, night)) return true;
+  }
+  return false;
+};
+
+// Subtotal, VAT and total for a list of line items
+const calculateTotals = (lineItems, vatRate) => {
+  const subtotal = round2(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  const vatAmount = round2(subtotal * vatRate);
+
+  return {
+    subtotal,
+    vatRate,
+    vatAmount,
+    total: round2(subtotal + vatAmount)
+  };
+};
+
+// Price a valet job against a rate card
+const priceBooking = (rateCard, { eventStart, eventEnd, numberOfCars, valetsRequired = 1, isPeak = false }) => {
+  const start = new Date(eventStart);
+  const end = eventEnd
+    ? new Date(eventEnd)
+    : new Date(start.getTime() + rateCard.minimumHours * 60 * 60 * 1000);
+
+  const eventHours = round2((end - start) / (1000 * 60 * 60));
+  const hours = Math.max(eventHours, rateCard.minimumHours);
+
+  const lineItems = [{
+    description: `Valet service: ${valetsRequired} valet(s) x ${hours} hour(s)`,
+    kind: 'labour',
+    quantity: round2(valetsRequired * hours),
+    unitPrice: rateCard.perValetHour,
+    amount: round2(valetsRequired * hours * rateCard.perValetHour)
+  }];
+
+  if (rateCard.perCar > 0 && numberOfCars) {
+    lineItems.push({
+      description: `Vehicle handling: ${numberOfCars} car(s)`,
+      kind: 'cars',
+      quantity: numberOfCars,
+      unitPrice: rateCard.perCar,
+      amount: round2(numberOfCars * rateCard.perCar)
+    });
+  }
+
+  // Surcharges are a percentage of the base service charge
+  const base = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  const { night, weekend, peak } = rateCard.surcharges || {};
+
+  const addSurcharge = (label, percent) => {
+    if (!percent) return;
+    lineItems.push({
+      description: `${label} surcharge (${percent}%)`,
+      kind: 'surcharge',
+      quantity: 1,
+      unitPrice: round2(base * percent / 100),
+      amount: round2(base * percent / 100)
+    });
+  };
+
+  if (night?.percent && overlapsNight(start, end, night)) {
+    addSurcharge('Night', night.percent);
+  }
+  if (weekend?.percent && weekend.days.includes(getLocalParts(start).weekday)) {
+    addSurcharge('Weekend', weekend.percent);
+  }
+  if (isPeak && peak?.percent) {
+    addSurcharge('Peak event', peak.percent);
+  }
+
+  const charged = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  if (rateCard.minimumCharge > charged) {
+    lineItems.push({
+      description: 'Minimum charge adjustment',
+      kind: 'minimum',
+      quantity: 1,
+      unitPrice: round2(rateCard.minimumCharge - charged),
+      amount: round2(rateCard.minimumCharge - charged)
+    });
+  }
+
+  return {
+    lineItems,
+    currency: rateCard.currency,
+    ...calculateTotals(lineItems, rateCard.vatRate)
+  };
+};
+
+// Normalise manually entered line items (amount = quantity x unit price)
+const buildCustomLineItems = (items) => {
+  return items.map((item) => {
+    const quantity = item.quantity ?? 1;
+    return {
+      description: item.description,
+      kind: item.kind || 'custom',
+      quantity,
+      unitPrice: item.unitPrice,
+      amount: round2(quantity * item.unitPrice)
+    };
+  });
+};
+
+export { priceBooking, calculateTotals, buildCustomLineItems, round2 };
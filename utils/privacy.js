@@ -0,0 +1,246 @@
+import Contact from '../models/Contact.js';
+import EmailSubscription from '../models/EmailSubscription.js';
+import EmailEvent from '../models/EmailEvent.js';
+import CampaignDelivery from '../models/CampaignDelivery.js';
+import Booking from '../models/Booking.js';
+import Quote from '../models/Quote.js';
+import Invoice from '../models/Invoice.js';
+import AuditLog from '../models/AuditLog.js';
+import Customer from '../models/Customer.js';
+
+const ERASED = '[erased]';
+const ERASED_PHONE = '0000000000';
+
+// Placeholder address that still passes the email validators on the models
+const erasedEmail = (id) => `erased-${id}@example.com`;
+const ERASED_EMAIL_PATTERN = /^erased-[0-9a-f]{24}@example\.com$/;
+
+// Field updates that anonymise one record of each kind
+const ERASURE_UPDATES = {
+  contact: (contact) => ({
+    name: ERASED,
+    email: erasedEmail(contact._id),
+    phone: ERASED_PHONE,
+    description: ERASED,
+    cancelReason: contact.cancelReason ? ERASED : null,
+    ipAddress: null,
+    userAgent: null,
+    interactions: (contact.interactions || []).map((interaction) => ({ ...interaction, body: ERASED })),
+    notes: [{ note: 'Personal data erased on request', addedBy: 'system', addedAt: new Date() }]
+  }),
+  subscription: (subscription) => ({
+    email: erasedEmail(subscription._id),
+    status: subscription.status === 'active' ? 'unsubscribed' : subscription.status,
+    unsubscriptionDate: subscription.unsubscriptionDate || new Date(),
+    unsubscriptionReason: 'Data erasure request',
+    verificationToken: null,
+    tags: [],
+    'metadata.ipAddress': null,
+    'metadata.userAgent': null,
+    'metadata.referrer': null,
+    'metadata.country': null,
+    'metadata.city': null,
+    'consent.ipAddress': null,
+    'consent.userAgent': null
+  }),
+  booking: (booking) => ({
+    name: ERASED,
+    email: erasedEmail(booking._id),
+    phone: ERASED_PHONE,
+    'venue.address': null,
+    notes: (booking.notes || []).map((note) => ({ ...note, note: ERASED }))
+  }),
+  quote: (quote) => ({
+    'customer.name': ERASED,
+    'customer.email': erasedEmail(quote._id),
+    'customer.phone': null,
+    'response.name': quote.response?.name ? ERASED : null,
+    'response.ipAddress': null,
+    'response.userAgent': null
+  }),
+  customer: () => ({
+    name: ERASED,
+    emails: [],
+    phones: []
+  })
+};
+
+// Match a phone number however it was typed (spaces, dashes, brackets, leading +)
+const buildPhonePattern = (phone) => {
+  const separators = '[\\s\\-().]*';
+  const digits = String(phone).replace(/\D/g, '').split('');
+  return new RegExp(`^\\+?${separators}${digits.join(separators)}${separators}$`);
+};
+
+// Conditions matching the data subject on the given email and phone fields
+const subjectConditions = ({ email, phone }, emailField = 'email', phoneField = 'phone') => {
+  const conditions = [];
+  if (email) conditions.push({ [emailField]: email.toLowerCase() });
+  if (phone) conditions.push({ [phoneField]: buildPhonePattern(phone) });
+  return conditions;
+};
+
+// Blank old values in the audit trail of the given records, for every field or only the listed ones
+const scrubAuditHistory = async (entityIds, fields = null) => {
+  if (entityIds.length === 0) return 0;
+
+  const value = fields ? null : ERASED;
+  const result = await AuditLog.updateMany(
+    { entityId: { $in: entityIds }, 'changes.0': { $exists: true } },
+    { $set: { 'changes.$[change].before': value, 'changes.$[change].after': value } },
+    { arrayFilters: [fields ? { 'change.field': { $in: fields } } : { 'change.field': { $exists: true } }] }
+  );
+  return result.modifiedCount;
+};
+
+const byIds = (field, ids) => (ids.length > 0 ? [{ [field]: { $in: ids } }] : []);
+
+// Find every record that belongs to the data subject, including trashed and quarantined ones
+const findSubjectRecords = async (subject) => {
+  const contacts = await Contact.find({ $or: subjectConditions(subject) })
+    .setOptions({ withDeleted: true, withQuarantined: true })
+    .lean();
+
+  const subscriptions = subject.email
+    ? await EmailSubscription.find({ email: subject.email.toLowerCase() })
+      .setOptions({ withDeleted: true, withQuarantined: true })
+      .select('-verificationToken')
+      .lean()
+    : [];
+
+  const contactIds = contacts.map((contact) => contact._id);
+  const subscriptionIds = subscriptions.map((subscription) => subscription._id);
+
+  const bookings = await Booking.find({
+    $or: [...subjectConditions(subject), ...byIds('contact', contactIds)]
+  }).lean();
+  const bookingIds = bookings.map((booking) => booking._id);
+
+  const quotes = await Quote.find({
+    $or: [
+      ...subjectConditions(subject, 'customer.email', 'customer.phone'),
+      ...byIds('contact', contactIds),
+      ...byIds('booking', bookingIds)
+    ]
+  }).lean();
+  const quoteIds = quotes.map((quote) => quote._id);
+
+  const invoices = await Invoice.find({
+    $or: [
+      ...subjectConditions(subject, 'customer.email', 'customer.phone'),
+      ...byIds('quote', quoteIds),
+      ...byIds('booking', bookingIds)
+    ]
+  }).lean();
+
+  // Customers hold normalised identifiers, so match them exactly as well as through linked records
+  const customerIds = [...contacts, ...bookings].map((record) => record.customer).filter(Boolean);
+  const customerConditions = [
+    ...(subject.email ? [{ emails: subject.email.toLowerCase() }] : []),
+    ...(subject.phone ? [{ phones: String(subject.phone).replace(/\D/g, '') }] : []),
+    ...byIds('_id', customerIds)
+  ];
+  const customers = customerConditions.length > 0
+    ? await Customer.find({ $or: customerConditions }).lean()
+    : [];
+
+  const emailEvents = subscriptionIds.length > 0
+    ? await EmailEvent.find({ subscription: { $in: subscriptionIds } }).lean()
+    : [];
+
+  const deliveryConditions = [...subjectConditions({ email: subject.email }), ...byIds('subscription', subscriptionIds)];
+  const campaignDeliveries = deliveryConditions.length > 0
+    ? await CampaignDelivery.find({ $or: deliveryConditions }).lean()
+    : [];
+
+  return { customers, contacts, subscriptions, bookings, quotes, invoices, emailEvents, campaignDeliveries };
+};
+
+const countRecords = (records) => {
+  return Object.fromEntries(Object.entries(records).map(([name, list]) => [name, list.length]));
+};
+
+// Everything we hold about the data subject, one entry per collection
+const buildExportBundle = async (request) => {
+  const records = await findSubjectRecords(request);
+
+  return {
+    requestId: request._id,
+    generatedAt: new Date(),
+    subject: {
+      email: request.email,
+      phone: request.phone
+    },
+    records
+  };
+};
+
+// Anonymise the data subject's personal data. Record IDs, dates, statuses, sources and
+// counters stay in place so dashboard totals and analytics keep adding up.
+// Invoices are kept unchanged because they must be retained for tax purposes.
+const eraseSubjectData = async (request) => {
+  const records = await findSubjectRecords(request);
+  const ids = (list) => list.map((record) => record._id);
+  const result = {};
+
+  for (const contact of records.contacts) {
+    await Contact.updateOne({ _id: contact._id }, { $set: ERASURE_UPDATES.contact(contact) });
+  }
+  result.contacts = records.contacts.length;
+
+  for (const subscription of records.subscriptions) {
+    await EmailSubscription.updateOne({ _id: subscription._id }, { $set: ERASURE_UPDATES.subscription(subscription) });
+  }
+  result.subscriptions = records.subscriptions.length;
+
+  for (const booking of records.bookings) {
+    await Booking.updateOne({ _id: booking._id }, { $set: ERASURE_UPDATES.booking(booking) });
+  }
+  result.bookings = records.bookings.length;
+
+  for (const quote of records.quotes) {
+    await Quote.updateOne({ _id: quote._id }, { $set: ERASURE_UPDATES.quote(quote) });
+  }
+  result.quotes = records.quotes.length;
+
+  for (const customer of records.customers) {
+    await Customer.updateOne({ _id: customer._id }, { $set: ERASURE_UPDATES.customer(customer) });
+  }
+  result.customers = records.customers.length;
+
+  const events = await EmailEvent.updateMany(
+    { _id: { $in: ids(records.emailEvents) } },
+    { $set: { ipAddress: null, userAgent: null } }
+  );
+  result.emailEvents = events.matchedCount;
+
+  for (const delivery of records.campaignDeliveries) {
+    await CampaignDelivery.updateOne(
+      { _id: delivery._id },
+      { $set: { email: erasedEmail(delivery.subscription) } }
+    );
+  }
+  result.campaignDeliveries = records.campaignDeliveries.length;
+
+  // Old values in the audit trail of the erased records
+  result.auditEntries = await scrubAuditHistory([
+    ...ids(records.customers),
+    ...ids(records.contacts),
+    ...ids(records.subscriptions)
+  ]);
+
+  result.invoicesRetained = records.invoices.length;
+
+  return result;
+};
+
+export {
+  ERASED_EMAIL_PATTERN,
+  ERASURE_UPDATES,
+  buildPhonePattern,
+  scrubAuditHistory,
+  findSubjectRecords,
+  countRecords,
+  buildExportBundle,
+  eraseSubjectData
+};
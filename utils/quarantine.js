@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+const READ_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+const FLAG = 'spam.quarantinedAt';
+
+// Mongoose plugin for spam quarantine. Reads skip quarantined documents unless the query
+// filters on `spam.quarantinedAt` itself or is run with `.setOptions({ withQuarantined: true })`.
+const quarantinePlugin = (schema) => {
+  schema.add({
+    spam: {
+      quarantinedAt: {
+        type: Date,
+        default: null
+      },
+      reasons: [{
+        type: String
+      }],
+      releasedAt: {
+        type: Date,
+        default: null
+      },
+      releasedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      }
+    }
+  });
+
+  schema.index({ [FLAG]: 1 });
+
+  schema.pre(READ_QUERIES, function(next) {
+    const { withQuarantined } = this.getOptions();
+    delete this.options.withQuarantined;
+
+    if (!withQuarantined && this.getFilter()[FLAG] === undefined) {
+      this.where({ [FLAG]: null });
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    const withQuarantined = this.options.withQuarantined;
+    delete this.options.withQuarantined;
+
+    const [firstStage] = this.pipeline();
+    if (!withQuarantined && firstStage?.$match?.[FLAG] === undefined) {
+      this.pipeline().unshift({ $match: { [FLAG]: null } });
+    }
+    next();
+  });
+
+  // Hold the document back for review
+  schema.methods.quarantine = function(reasons) {
+    this.spam.quarantinedAt = new Date();
+    this.spam.reasons = reasons;
+  };
+
+  // Let the document through after review
+  schema.methods.release = function(user) {
+    this.spam.quarantinedAt = null;
+    this.spam.releasedAt = new Date();
+    this.spam.releasedBy = user?._id || null;
+    return this.save();
+  };
+
+  // Permanently remove documents that have been in quarantine since before `cutoff`
+  schema.statics.purgeQuarantined = function(cutoff) {
+    return this.deleteMany({ [FLAG]: { $ne: null, $lt: cutoff } });
+  };
+};
+
+export { quarantinePlugin };
@@ -0,0 +1,194 @@
+import Contact from '../models/Contact.js';
+import EmailSubscription from '../models/EmailSubscription.js';
+import EmailEvent from '../models/EmailEvent.js';
+import Booking from '../models/Booking.js';
+import Quote from '../models/Quote.js';
+import RetentionPolicy from '../models/RetentionPolicy.js';
+import RetentionRun from '../models/RetentionRun.js';
+import { RETENTION_TARGETS } from '../config/retention.js';
+import { ERASED_EMAIL_PATTERN, ERASURE_UPDATES, scrubAuditHistory } from './privacy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+const SAMPLE_SIZE = 5;
+
+// Models behind each retention target and how their records are anonymised
+const TARGET_MODELS = {
+  contacts: { model: Contact, emailField: 'email', anonymise: ERASURE_UPDATES.contact, audited: true },
+  subscriptions: { model: EmailSubscription, emailField: 'email', anonymise: ERASURE_UPDATES.subscription, audited: true },
+  bookings: { model: Booking, emailField: 'email', anonymise: ERASURE_UPDATES.booking },
+  quotes: { model: Quote, emailField: 'customer.email', anonymise: ERASURE_UPDATES.quote },
+  emailEvents: { model: EmailEvent }
+};
+
+// Status values a policy may filter on for the given target
+const getTargetStatuses = (target) => {
+  return TARGET_MODELS[target].model.schema.path('status')?.enumValues || [];
+};
+
+// Targets with the fields, statuses and actions a policy can use
+const describeTargets = () => {
+  return Object.fromEntries(Object.entries(RETENTION_TARGETS).map(([name, target]) => [name, {
+    fields: target.fields,
+    statuses: getTargetStatuses(name),
+    actions: [
+      ...(target.fields.length > 0 ? ['clear-fields'] : []),
+      ...(target.anonymise ? ['anonymise'] : [])
+    ]
+  }]));
+};
+
+const getCutoff = (policy, now = new Date()) => new Date(now.getTime() - policy.afterDays * DAY_MS);
+
+// Records old enough for the policy that still hold the data it removes
+const buildPolicyQuery = (policy, now = new Date()) => {
+  const { emailField } = TARGET_MODELS[policy.target];
+  const query = { [policy.dateField || 'createdAt']: { $lt: getCutoff(policy, now) } };
+
+  if (policy.statuses?.length > 0) {
+    query.status = { $in: policy.statuses };
+  }
+
+  if (policy.action === 'clear-fields') {
+    query.$or = policy.fields.map((field) => ({ [field]: { $ne: null } }));
+  } else {
+    query[emailField] = { $not: ERASED_EMAIL_PATTERN };
+  }
+
+  return query;
+};
+
+// Retention also applies to records in the trash and in spam quarantine
+const findPolicyRecords = (policy, now) => {
+  const { model } = TARGET_MODELS[policy.target];
+  const query = model.find(buildPolicyQuery(policy, now));
+  if (model.schema.path('deletedAt')) query.setOptions({ withDeleted: true });
+  if (model.schema.path('spam.quarantinedAt')) query.setOptions({ withQuarantined: true });
+  return query;
+};
+
+// Dry run: how many records the policy would change right now, with the oldest few as a sample
+const previewPolicy = async (policy, now = new Date()) => {
+  const dateField = policy.dateField || 'createdAt';
+  const affected = await findPolicyRecords(policy, now).countDocuments();
+  const sample = affected > 0
+    ? await findPolicyRecords(policy, now).select(dateField).sort({ [dateField]: 1 }).limit(SAMPLE_SIZE).lean()
+    : [];
+
+  return {
+    policy: policy._id,
+    name: policy.name,
+    target: policy.target,
+    action: policy.action,
+    fields: policy.fields,
+    statuses: policy.statuses,
+    cutoff: getCutoff(policy, now),
+    affected,
+    sample: sample.map((record) => ({ id: record._id, [dateField]: record[dateField] }))
+  };
+};
+
+// Clear or anonymise every record matched by the policy, in batches.
+// Timestamps are left alone so one policy does not restart the clock of another.
+const applyPolicy = async (policy, now = new Date()) => {
+  const { model, anonymise, audited } = TARGET_MODELS[policy.target];
+  const fields = policy.action === 'clear-fields' ? policy.fields : null;
+  const cursor = (fields ? findPolicyRecords(policy, now).select('_id') : findPolicyRecords(policy, now))
+    .lean()
+    .cursor();
+
+  let affected = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    const ids = batch.map((record) => record._id);
+
+    if (fields) {
+      await model.updateMany(
+        { _id: { $in: ids } },
+        { $set: Object.fromEntries(fields.map((field) => [field, null])) },
+        { timestamps: false }
+      );
+    } else {
+      for (const record of batch) {
+        await model.updateOne({ _id: record._id }, { $set: anonymise(record) }, { timestamps: false });
+      }
+    }
+
+    if (audited) await scrubAuditHistory(ids, fields);
+
+    affected += batch.length;
+    batch = [];
+  };
+
+  for await (const record of cursor) {
+    batch.push(record);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return affected;
+};
+
+// Run all enabled policies and log the outcome of each one
+const runRetention = async (run) => {
+  const now = new Date();
+
+  try {
+    await RetentionPolicy.ensureDefaults();
+    const policies = await RetentionPolicy.find({ enabled: true }).sort({ createdAt: 1 });
+
+    for (const policy of policies) {
+      const result = {
+        policy: policy._id,
+        name: policy.name,
+        target: policy.target,
+        action: policy.action,
+        cutoff: getCutoff(policy, now)
+      };
+
+      try {
+        result.affected = await applyPolicy(policy, now);
+        policy.lastRunAt = now;
+        policy.lastAffected = result.affected;
+        await policy.save();
+      } catch (error) {
+        console.error(`Retention policy "${policy.name}" error:`, error);
+        result.error = error.message;
+      }
+
+      run.results.push(result);
+      run.totalAffected += result.affected || 0;
+    }
+
+    run.status = run.results.some((result) => result.error) ? 'failed' : 'completed';
+  } catch (error) {
+    console.error('Retention run error:', error);
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.completedAt = new Date();
+  await run.save();
+  return run;
+};
+
+// Only one run at a time; a run that never finished is ignored after six hours
+const isRetentionRunning = () => {
+  return RetentionRun.exists({
+    status: 'running',
+    startedAt: { $gt: new Date(Date.now() - 6 * 60 * 60 * 1000) }
+  });
+};
+
+export {
+  getTargetStatuses,
+  describeTargets,
+  buildPolicyQuery,
+  previewPolicy,
+  applyPolicy,
+  runRetention,
+  isRetentionRunning
+};
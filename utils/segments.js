@@ -0,0 +1,49 @@
+// Translate a subscriber segment definition into an EmailSubscription query
+const buildSegmentQuery = (segment = {}) => {
+  const query = {};
+
+  if (segment.statuses && segment.statuses.length > 0) {
+    query.status = { $in: segment.statuses };
+  }
+
+  if (segment.preferences) {
+    ['newsletters', 'promotions', 'updates', 'events'].forEach((key) => {
+      if (typeof segment.preferences[key] === 'boolean') {
+        query[`preferences.${key}`] = segment.preferences[key];
+      }
+    });
+  }
+
+  if (segment.tags && segment.tags.length > 0) {
+    query.tags = { $in: segment.tags };
+  }
+
+  if (segment.sources && segment.sources.length > 0) {
+    query.source = { $in: segment.sources };
+  }
+
+  if (segment.subscribedFrom || segment.subscribedTo) {
+    query.subscriptionDate = {};
+    if (segment.subscribedFrom) query.subscriptionDate.$gte = new Date(segment.subscribedFrom);
+    if (segment.subscribedTo) query.subscriptionDate.$lte = new Date(segment.subscribedTo);
+  }
+
+  return query;
+};
+
+// Recipients a campaign may actually be sent to: the segment, narrowed to confirmed
+// active subscribers who opted in to the campaign's preference category
+const buildAudienceQuery = (segment, category) => {
+  return {
+    $and: [
+      buildSegmentQuery(segment),
+      {
+        status: 'active',
+        isVerified: true,
+        [`preferences.${category}`]: true
+      }
+    ]
+  };
+};
+
+export { buildSegmentQuery, buildAudienceQuery };
@@ -0,0 +1,142 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { body } from 'express-validator';
+import Session from '../models/Session.js';
+import { createRandomToken, hashToken } from './tokens.js';
+
+const MAX_ROTATED_HASHES = 20;
+
+const getRefreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Short-lived access token tied to a session so revoking the session takes effect at once
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
+  );
+};
+
+// Refresh tokens are "<sessionId>.<secret>", only the hash of the secret is stored
+const issueRefreshToken = (session) => {
+  const secret = createRandomToken();
+  return { refreshToken: `${session._id}.${secret}`, refreshTokenHash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secretHash: hashToken(secret) };
+};
+
+// Rough "Browser on OS" label for the session list
+const describeDevice = (userAgent = '') => {
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']]
+    .find(([marker]) => userAgent.includes(marker))?.[1];
+  const os = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+    .find(([marker]) => userAgent.includes(marker))?.[1];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+// Optional device label sent by the client on any request that starts a session
+const validateDevice = body('device')
+  .optional({ values: 'falsy' })
+  .isString()
+  .trim()
+  .isLength({ max: 100 })
+  .withMessage('Device name cannot exceed 100 characters');
+
+// Start a new session for a freshly authenticated user
+const createSession = async (user, req) => {
+  const userAgent = req.get('User-Agent') || null;
+  const session = new Session({
+    user: user._id,
+    device: req.body?.device || describeDevice(userAgent || ''),
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent,
+    expiresAt: getRefreshExpiry()
+  });
+
+  const { refreshToken, refreshTokenHash } = issueRefreshToken(session);
+  session.refreshTokenHash = refreshTokenHash;
+  await session.save();
+
+  return {
+    session,
+    accessToken: signAccessToken(user._id, session._id),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new token pair, returns { error } when it cannot be used
+const refreshSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'invalid' };
+
+  const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash +rotatedTokenHashes');
+  if (!session) return { error: 'invalid' };
+
+  if (session.rotatedTokenHashes.includes(parsed.secretHash)) {
+    // An old token came back: whoever holds the current one may be an attacker, end the session
+    if (!session.revokedAt) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'reuse-detected';
+      await session.save();
+    }
+    return { error: 'reuse' };
+  }
+
+  if (session.refreshTokenHash !== parsed.secretHash) return { error: 'invalid' };
+  if (!session.isActive) return { error: 'expired' };
+
+  const { refreshToken: nextToken, refreshTokenHash } = issueRefreshToken(session);
+
+  // Rotate only if nobody else rotated this token in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: parsed.secretHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash,
+        lastUsedAt: new Date(),
+        ipAddress: req.ip || req.connection.remoteAddress,
+        expiresAt: getRefreshExpiry()
+      },
+      $push: { rotatedTokenHashes: { $each: [parsed.secretHash], $slice: -MAX_ROTATED_HASHES } }
+    },
+    { new: true }
+  );
+
+  if (!rotated) return { error: 'invalid' };
+
+  return {
+    session: rotated,
+    accessToken: signAccessToken(rotated.user, rotated._id),
+    refreshToken: nextToken
+  };
+};
+
+// Start a session and build the login response body
+const buildLoginResponse = async (user, req) => {
+  const { accessToken, refreshToken } = await createSession(user, req);
+
+  return {
+    token: accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: user.getPermissions(),
+      twoFactorEnabled: user.twoFactor.enabled,
+      lastLogin: user.lastLogin
+    }
+  };
+};
+
+export { signAccessToken, createSession, refreshSession, buildLoginResponse, describeDevice, validateDevice };
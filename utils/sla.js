@@ -0,0 +1,43 @@
+import { OPEN_STATUSES } from './assignment.js';
+
+// Open contacts whose follow-up date has passed
+const followUpDueQuery = (now = new Date()) => ({
+  status: { $in: OPEN_STATUSES },
+  followUpDate: { $lte: now }
+});
+
+// Contacts still waiting for a first response after the SLA target
+const slaOverdueQuery = (now = new Date()) => ({
+  status: { $in: OPEN_STATUSES },
+  firstRespondedAt: null,
+  'sla.firstResponseDueAt': { $lte: now }
+});
+
+// Contacts that need attention: type is "follow-up", "sla" or both when omitted
+const buildOverdueQuery = (type, now = new Date()) => {
+  if (type === 'follow-up') return followUpDueQuery(now);
+  if (type === 'sla') return slaOverdueQuery(now);
+  return { $or: [followUpDueQuery(now), slaOverdueQuery(now)] };
+};
+
+// Why a contact shows up in the overdue view
+const describeOverdue = (contact, now = new Date()) => {
+  const reasons = [];
+
+  if (contact.followUpDate && contact.followUpDate <= now) {
+    reasons.push('follow-up');
+  }
+
+  if (!contact.firstRespondedAt && contact.sla?.firstResponseDueAt && contact.sla.firstResponseDueAt <= now) {
+    reasons.push('sla');
+  }
+
+  return reasons;
+};
+
+export {
+  followUpDueQuery,
+  slaOverdueQuery,
+  buildOverdueQuery,
+  describeOverdue
+};
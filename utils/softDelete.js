@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+const READ_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+// Mongoose plugin for soft delete. Reads skip deleted documents unless the query
+// filters on `deletedAt` itself or is run with `.setOptions({ withDeleted: true })`.
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(READ_QUERIES, function(next) {
+    const { withDeleted } = this.getOptions();
+    delete this.options.withDeleted;
+
+    if (!withDeleted && this.getFilter().deletedAt === undefined) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    const withDeleted = this.options.withDeleted;
+    delete this.options.withDeleted;
+
+    const [firstStage] = this.pipeline();
+    if (!withDeleted && firstStage?.$match?.deletedAt === undefined) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+
+  // Move the document to the trash
+  schema.methods.softDelete = function(user) {
+    this.deletedAt = new Date();
+    this.deletedBy = user?._id || null;
+    return this.save();
+  };
+
+  // Take the document out of the trash
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+
+  schema.statics.softDeleteMany = function(filter, user) {
+    return this.updateMany(
+      { ...filter, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy: user?._id || null } }
+    );
+  };
+
+  // Permanently remove documents that have been in the trash since before `cutoff`
+  schema.statics.purgeDeleted = function(cutoff) {
+    return this.deleteMany({ deletedAt: { $ne: null, $lt: cutoff } });
+  };
+};
+
+export { softDeletePlugin };
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import OrgSettings from '../models/OrgSettings.js';
+import { HONEYPOT_FIELD } from '../config/spam.js';
+
+const DEFAULT_DOMAIN_LIST = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'disposable-email-domains.txt');
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+let disposableDomains = null;
+
+// Load the disposable domain list once, lowercased, skipping comments
+const getDisposableDomains = () => {
+  if (!disposableDomains) {
+    const file = process.env.DISPOSABLE_DOMAINS_FILE || DEFAULT_DOMAIN_LIST;
+    disposableDomains = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  }
+  return disposableDomains;
+};
+
+// True when the address (or a parent of its domain) is on the built-in list or the admin's list
+const isDisposableEmail = (email, blockedDomains = []) => {
+  const domain = String(email || '').split('@').pop().trim().toLowerCase();
+  if (!domain) return false;
+
+  const parts = domain.split('.');
+  const candidates = parts.slice(0, -1).map((part, index) => parts.slice(index).join('.'));
+  const extra = new Set(blockedDomains);
+
+  return candidates.some((candidate) => getDisposableDomains().has(candidate) || extra.has(candidate));
+};
+
+// express-validator check for email fields on public forms
+const rejectDisposableEmail = async (email) => {
+  const { spam } = await OrgSettings.getCached();
+
+  if (isDisposableEmail(email, spam.blockedDomains)) {
+    throw new Error('Please use a permanent email address');
+  }
+  return true;
+};
+
+const countLinks = (text) => (String(text || '').match(LINK_PATTERN) || []).length;
+
+const findBlockedKeywords = (text, keywords) => {
+  const lower = String(text || '').toLowerCase();
+  return keywords.filter((keyword) => lower.includes(keyword.toLowerCase()));
+};
+
+// Reasons a submission looks automated or abusive (empty when it looks genuine).
+// `formStartedAt` is the time the form was opened, sent by the frontend as epoch milliseconds or ISO 8601.
+const checkSubmission = async (body, { textField = null } = {}) => {
+  const { spam } = await OrgSettings.getCached();
+  const reasons = [];
+
+  if (body[HONEYPOT_FIELD]) {
+    reasons.push('Hidden honeypot field was filled in');
+  }
+
+  if (body.formStartedAt !== undefined && spam.minFillSeconds > 0) {
+    const value = body.formStartedAt;
+    const startedAt = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+    const seconds = (Date.now() - startedAt.getTime()) / 1000;
+
+    if (Number.isNaN(seconds)) {
+      reasons.push('Form start time is not a valid date');
+    } else if (seconds < spam.minFillSeconds) {
+      reasons.push(`Form was submitted ${Math.max(seconds, 0).toFixed(1)}s after it was opened (minimum ${spam.minFillSeconds}s)`);
+    }
+  }
+
+  if (textField) {
+    const text = body[textField];
+
+    const links = countLinks(text);
+    if (links > spam.maxLinks) {
+      reasons.push(`${textField} contains ${links} links (limit ${spam.maxLinks})`);
+    }
+
+    const keywords = findBlockedKeywords(text, spam.blockedKeywords);
+    if (keywords.length > 0) {
+      reasons.push(`${textField} contains blocked keywords: ${keywords.join(', ')}`);
+    }
+  }
+
+  return reasons;
+};
+
+export {
+  isDisposableEmail,
+  rejectDisposableEmail,
+  countLinks,
+  findBlockedKeywords,
+  checkSubmission
+};
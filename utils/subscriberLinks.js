@@ -0,0 +1,51 @@
+import { signValue, verifySignedValue } from './tokens.js';
+import { buildApiUrl } from './urls.js';
+
+// Signed token identifying a single subscriber in unsubscribe/preference links
+const createSubscriberToken = (subscriptionId) => {
+  return signValue(`subscriber:${subscriptionId}`);
+};
+
+// Resolve a subscriber token back to its subscription id, or null if tampered with
+const parseSubscriberToken = (token) => {
+  const value = verifySignedValue(token);
+  if (!value || !value.startsWith('subscriber:')) return null;
+  return value.slice('subscriber:'.length);
+};
+
+// Link to the preference center. Without a frontend page the preferences API only returns
+// JSON, so the built-in unsubscribe page is linked instead.
+const buildPreferencesUrl = (subscriptionId) => {
+  const token = createSubscriberToken(subscriptionId);
+
+  if (process.env.PREFERENCE_CENTER_URL) {
+    return `${process.env.PREFERENCE_CENTER_URL}?token=${encodeURIComponent(token)}`;
+  }
+
+  return buildUnsubscribePageUrl(subscriptionId);
+};
+
+// Unsubscribe confirmation page; the one-click endpoint shares the URL and takes the POST
+const buildUnsubscribePageUrl = (subscriptionId) => {
+  return buildApiUrl(`/api/email/unsubscribe/${createSubscriberToken(subscriptionId)}`);
+};
+
+// RFC 8058 one-click unsubscribe endpoint
+const buildOneClickUnsubscribeUrl = (subscriptionId) => {
+  return buildApiUrl(`/api/email/unsubscribe/${createSubscriberToken(subscriptionId)}`);
+};
+
+// Headers that let mail clients show a native unsubscribe button
+const buildListUnsubscribeHeaders = (subscriptionId) => ({
+  'List-Unsubscribe': `<${buildOneClickUnsubscribeUrl(subscriptionId)}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+});
+
+export {
+  createSubscriberToken,
+  parseSubscriberToken,
+  buildPreferencesUrl,
+  buildUnsubscribePageUrl,
+  buildOneClickUnsubscribeUrl,
+  buildListUnsubscribeHeaders
+};
@@ -0,0 +1,38 @@
+import { escapeHtml } from './templateRenderer.js';
+
+// Minimal pages served to subscribers who open an email link in the browser
+
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>${escapeHtml(title)} - Royavalet</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #222; max-width: 480px; margin: 60px auto; padding: 0 16px; }
+    button { background: #222; color: #fff; border: 0; padding: 10px 18px; font-size: 15px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+</body>
+</html>`;
+
+// Confirmation step: the unsubscribe only happens when the form is posted, so link
+// scanners that open the URL do not unsubscribe anyone
+const renderUnsubscribePage = ({ email, actionUrl }) => renderPage('Unsubscribe', `
+  <p>Stop sending Royavalet Parking Services emails to <strong>${escapeHtml(email)}</strong>?</p>
+  <form method="post" action="${escapeHtml(actionUrl)}">
+    <input type="hidden" name="List-Unsubscribe" value="One-Click" />
+    <button type="submit">Unsubscribe</button>
+  </form>`);
+
+const renderUnsubscribedPage = () => renderPage('Unsubscribed', `
+  <p>You have been unsubscribed and will no longer receive our emails.</p>`);
+
+const renderInvalidLinkPage = () => renderPage('Link not valid', `
+  <p>This unsubscribe link is not valid. Please use the link from a recent email.</p>`);
+
+export { renderUnsubscribePage, renderUnsubscribedPage, renderInvalidLinkPage };
@@ -0,0 +1,39 @@
+import { sendMail } from './mailer.js';
+import { verificationEmail } from './emailTemplates.js';
+import { signPurposeToken, hashToken } from './tokens.js';
+import { buildApiUrl } from './urls.js';
+
+// Issue a fresh confirmation token and email it to the subscriber.
+// Returns false when the email could not be sent; the subscription is kept and the send
+// is not counted against the resend limits, so the subscriber can ask for another.
+const sendVerificationEmail = async (subscription) => {
+  const token = signPurposeToken(
+    { subscriptionId: subscription._id.toString() },
+    'email-verify',
+    process.env.EMAIL_VERIFY_EXPIRE || '48h'
+  );
+
+  const isNewWindow = !subscription.verificationSentAt ||
+    Date.now() - subscription.verificationSentAt.getTime() >= 24 * 60 * 60 * 1000;
+
+  const { verificationSentAt, verificationSendCount } = subscription;
+
+  subscription.verificationToken = hashToken(token);
+  subscription.verificationSentAt = new Date();
+  subscription.verificationSendCount = isNewWindow ? 1 : verificationSendCount + 1;
+  await subscription.save();
+
+  try {
+    const verifyUrl = buildApiUrl(`/api/email/verify/${token}`);
+    await sendMail({ to: subscription.email, ...verificationEmail({ verifyUrl }) });
+    return true;
+  } catch (error) {
+    console.error('Verification email error:', error);
+    subscription.verificationSentAt = verificationSentAt;
+    subscription.verificationSendCount = verificationSendCount;
+    await subscription.save();
+    return false;
+  }
+};
+
+export { sendVerificationEmail };
@@ -0,0 +1,21 @@
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Replace {{ placeholder }} tokens with values; unknown placeholders are left empty
+const renderTemplate = (template, variables = {}, { html = false } = {}) => {
+  if (!template) return template;
+
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_match, key) => {
+    const value = variables[key];
+    if (value === undefined || value === null) return '';
+    return html ? escapeHtml(value) : String(value);
+  });
+};
+
+export { renderTemplate, escapeHtml };
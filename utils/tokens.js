@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const getSecret = () => process.env.EMAIL_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Sign a short-lived token bound to a single purpose (e.g. 'email-verify')
+const signPurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, getSecret(), { expiresIn });
+};
+
+// Verify a purpose token, throwing if it is invalid, expired or meant for something else
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, getSecret());
+
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('Token purpose mismatch');
+  }
+
+  return decoded;
+};
+
+// Random opaque token for single-use links (invites, password resets)
+const createRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+// Hash a token before storing it so a database leak does not expose usable links
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// HMAC a value with the email token secret (URL-safe output)
+const hmac = (value) => {
+  return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+};
+
+// Produce a non-expiring "<value>.<signature>" token for long-lived links such as unsubscribe
+const signValue = (value) => {
+  return `${Buffer.from(value).toString('base64url')}.${hmac(value)}`;
+};
+
+// Return the original value if the signature matches, otherwise null
+const verifySignedValue = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+
+  const value = Buffer.from(encoded, 'base64url').toString();
+  const expected = Buffer.from(hmac(value));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return value;
+};
+
+export { signPurposeToken, verifyPurposeToken, createRandomToken, hashToken, hmac, signValue, verifySignedValue };
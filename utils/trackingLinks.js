@@ -0,0 +1,31 @@
+import { signValue, verifySignedValue } from './tokens.js';
+import { buildApiUrl } from './urls.js';
+
+// Tracking pixel URL for one campaign recipient
+const buildOpenTrackingUrl = (campaignId, subscriptionId) => {
+  const token = signValue(JSON.stringify({ t: 'open', c: String(campaignId), s: String(subscriptionId) }));
+  return buildApiUrl(`/api/email/track/open/${token}.gif`);
+};
+
+// Redirect URL for a link; the destination is part of the signed payload so the
+// endpoint can only ever redirect to URLs we put into the email at send time
+const buildClickTrackingUrl = (campaignId, subscriptionId, url) => {
+  const token = signValue(JSON.stringify({ t: 'click', c: String(campaignId), s: String(subscriptionId), u: url }));
+  return buildApiUrl(`/api/email/track/click/${token}`);
+};
+
+// Decode a tracking token, returning null unless the signature and type match
+const parseTrackingToken = (token, type) => {
+  const value = verifySignedValue(token);
+  if (!value) return null;
+
+  try {
+    const payload = JSON.parse(value);
+    if (payload.t !== type) return null;
+    return { campaignId: payload.c, subscriptionId: payload.s, url: payload.u };
+  } catch (error) {
+    return null;
+  }
+};
+
+export { buildOpenTrackingUrl, buildClickTrackingUrl, parseTrackingToken };
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { hmac, signPurposeToken, verifyPurposeToken } from './tokens.js';
+import { verifyTotp, decryptSecret } from './totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const FAILED_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+
+// Recovery codes are compared case-insensitively and without the dash
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const hashRecoveryCode = (code) => hmac(`recovery:${normalizeRecoveryCode(code)}`);
+
+// Fresh set of one-time recovery codes like "3f9a1-c07be", returns plain codes and their hashes
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    recoveryCodes: codes.map((code) => ({ hash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+// Too many wrong codes in a row blocks verification for a while
+const isTwoFactorLocked = (user) => {
+  const { failedAttempts, lastFailedAt } = user.twoFactor;
+  return failedAttempts >= MAX_FAILED_ATTEMPTS &&
+    lastFailedAt && Date.now() - lastFailedAt.getTime() < FAILED_ATTEMPT_WINDOW_MS;
+};
+
+// Check a TOTP code or an unused recovery code for a user loaded with the 2FA secrets.
+// Updates the user's 2FA state (replay guard, used codes, failure counter) but does not save it.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  let valid = false;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, { afterStep: user.twoFactor.lastUsedStep });
+    if (step !== null) {
+      user.twoFactor.lastUsedStep = step;
+      valid = true;
+    }
+  } else if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const entry = user.twoFactor.recoveryCodes.find((item) => item.hash === hash && !item.usedAt);
+    if (entry) {
+      entry.usedAt = new Date();
+      valid = true;
+    }
+  }
+
+  if (valid) {
+    user.twoFactor.failedAttempts = 0;
+    user.twoFactor.lastFailedAt = null;
+  } else {
+    user.twoFactor.failedAttempts += 1;
+    user.twoFactor.lastFailedAt = new Date();
+  }
+
+  return valid;
+};
+
+// Short-lived token proving the password step of a login succeeded
+const createLoginChallenge = (user) => {
+  return signPurposeToken(
+    { userId: user._id.toString() },
+    '2fa-login',
+    process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  );
+};
+
+// Resolve a login challenge to its user id, or null if it is invalid or expired
+const parseLoginChallenge = (token) => {
+  try {
+    return verifyPurposeToken(token, '2fa-login').userId;
+  } catch (error) {
+    return null;
+  }
+};
+
+const countRemainingRecoveryCodes = (user) => {
+  return user.twoFactor.recoveryCodes.filter((item) => !item.usedAt).length;
+};
+
+// Fields to select when a second factor has to be checked
+const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+export {
+  generateRecoveryCodes,
+  isTwoFactorLocked,
+  verifySecondFactor,
+  createLoginChallenge,
+  parseLoginChallenge,
+  countRemainingRecoveryCodes,
+  TWO_FACTOR_SECRETS
+};
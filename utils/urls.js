@@ -0,0 +1,7 @@
+// Build absolute URLs to this API for links embedded in outgoing emails
+const buildApiUrl = (pathname) => {
+  const baseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${baseUrl.replace(/\/$/, '')}${pathname}`;
+};
+
+export { buildApiUrl };
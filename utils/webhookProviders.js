@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import https from 'https';
+
+// Each provider verifies the request signature and normalises its payload into
+// { events: [{ type: 'bounce' | 'complaint', email, bounceType: 'hard' | 'soft', reason, messageId }] }
+
+const certCache = new Map();
+
+const SNS_CERT_URL = /^https:\/\/sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?\/[^?#]+\.pem$/;
+const SNS_SUBSCRIBE_URL = /^https:\/\/sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?\//;
+
+const httpsGet = (url) => new Promise((resolve, reject) => {
+  https.get(url, (response) => {
+    if (response.statusCode !== 200) {
+      response.resume();
+      return reject(new Error(`Request to ${url} failed with status ${response.statusCode}`));
+    }
+    let data = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => { data += chunk; });
+    response.on('end', () => resolve(data));
+  }).on('error', reject);
+});
+
+const getSnsCertificate = async (url) => {
+  if (!certCache.has(url)) {
+    certCache.set(url, await httpsGet(url));
+  }
+  return certCache.get(url);
+};
+
+// Canonical string AWS signs for each SNS message type
+const buildSnsStringToSign = (message) => {
+  const keys = message.Type === 'Notification'
+    ? ['Message', 'MessageId', 'Subject', 'Timestamp', 'TopicArn', 'Type']
+    : ['Message', 'MessageId', 'SubscribeURL', 'Timestamp', 'Token', 'TopicArn', 'Type'];
+
+  return keys
+    .filter((key) => message[key] !== undefined)
+    .map((key) => `${key}\n${message[key]}\n`)
+    .join('');
+};
+
+// Signed SNS messages older than this are treated as replays
+const getSnsMaxAgeMs = () => (parseInt(process.env.SES_SNS_MAX_AGE_MINUTES) || 60) * 60 * 1000;
+
+const isFreshSnsMessage = (message) => {
+  const sentAt = new Date(message.Timestamp).getTime();
+  return !Number.isNaN(sentAt) && Math.abs(Date.now() - sentAt) <= getSnsMaxAgeMs();
+};
+
+const parseJsonBody = (req) => {
+  if (typeof req.body === 'string') return JSON.parse(req.body);
+  return req.body;
+};
+
+// Amazon SES notifications delivered through SNS. Any AWS account can sign SNS messages,
+// so only the configured topic is accepted and nothing is accepted until it is set.
+const ses = {
+  verify: async (req) => {
+    const message = parseJsonBody(req);
+    const topicArn = process.env.SES_SNS_TOPIC_ARN;
+
+    if (!topicArn || !message || message.TopicArn !== topicArn) return false;
+    if (!SNS_CERT_URL.test(message.SigningCertURL || '') || !isFreshSnsMessage(message)) return false;
+
+    const certificate = await getSnsCertificate(message.SigningCertURL);
+    const algorithm = message.SignatureVersion === '2' ? 'RSA-SHA256' : 'RSA-SHA1';
+
+    return crypto.createVerify(algorithm)
+      .update(buildSnsStringToSign(message))
+      .verify(certificate, message.Signature, 'base64');
+  },
+
+  parse: (req) => {
+    const message = parseJsonBody(req);
+
+    if (message.Type === 'SubscriptionConfirmation') {
+      if (!SNS_SUBSCRIBE_URL.test(message.SubscribeURL || '')) return { events: [] };
+      return { events: [], confirm: () => httpsGet(message.SubscribeURL) };
+    }
+
+    if (message.Type !== 'Notification') return { events: [] };
+
+    const notification = JSON.parse(message.Message);
+    const type = notification.notificationType || notification.eventType;
+    const messageId = notification.mail?.messageId || null;
+
+    if (type === 'Bounce') {
+      const bounceType = notification.bounce.bounceType === 'Permanent' ? 'hard' : 'soft';
+      return {
+        events: notification.bounce.bouncedRecipients.map((recipient) => ({
+          type: 'bounce',
+          email: recipient.emailAddress,
+          bounceType,
+          reason: recipient.diagnosticCode || notification.bounce.bounceSubType || null,
+          messageId
+        }))
+      };
+    }
+
+    if (type === 'Complaint') {
+      return {
+        events: notification.complaint.complainedRecipients.map((recipient) => ({
+          type: 'complaint',
+          email: recipient.emailAddress,
+          reason: notification.complaint.complaintFeedbackType || null,
+          messageId
+        }))
+      };
+    }
+
+    return { events: [] };
+  }
+};
+
+// Generic JSON format signed with a shared secret:
+// X-Webhook-Signature: sha256=<hex HMAC of the raw body>
+// { "events": [{ "type": "bounce", "email": "...", "bounceType": "hard", "reason": "...", "messageId": "..." }] }
+const generic = {
+  verify: async (req) => {
+    const secret = process.env.GENERIC_WEBHOOK_SECRET;
+    const signature = req.get('X-Webhook-Signature') || '';
+
+    if (!secret || !req.rawBody) return false;
+
+    const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex')}`);
+    const actual = Buffer.from(signature);
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  },
+
+  parse: (req) => {
+    const body = parseJsonBody(req);
+    const events = Array.isArray(body.events) ? body.events : [body];
+
+    return {
+      events: events
+        .filter((event) => ['bounce', 'complaint'].includes(event?.type) && typeof event.email === 'string' && event.email)
+        .map((event) => ({
+          type: event.type,
+          email: event.email,
+          bounceType: event.type === 'bounce' ? (event.bounceType === 'hard' ? 'hard' : 'soft') : undefined,
+          reason: event.reason || null,
+          messageId: event.messageId || null
+        }))
+    };
+  }
+};
+
+const providers = { ses, generic };
+
+const getWebhookProvider = (name) => providers[name] || null;
+
+export { getWebhookProvider };
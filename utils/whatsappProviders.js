@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+
+// Each provider verifies the request signature and normalises its payload into
+// { messages: [{ externalId, from, name, text, at }] }
+
+// Compare `<prefix><hex HMAC-SHA256 of the raw body>` against the signature header in constant time
+const verifyHmac = (req, header, secret) => {
+  const signature = req.get(header) || '';
+
+  if (!secret || !req.rawBody) return false;
+
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex')}`);
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// WhatsApp sends epoch seconds as a string
+const parseTimestamp = (value) => {
+  const date = value ? new Date(Number(value) * 1000) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+};
+
+// WhatsApp Business Cloud API (Meta) message notifications
+const cloud = {
+  verify: async (req) => verifyHmac(req, 'X-Hub-Signature-256', process.env.WHATSAPP_APP_SECRET),
+
+  parse: (req) => {
+    const messages = [];
+
+    for (const entry of req.body.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        const names = new Map((value.contacts || []).map((contact) => [contact.wa_id, contact.profile?.name]));
+
+        for (const message of value.messages || []) {
+          messages.push({
+            externalId: message.id,
+            from: message.from,
+            name: names.get(message.from) || null,
+            text: message.type === 'text' ? message.text?.body : `[${message.type} message]`,
+            at: parseTimestamp(message.timestamp)
+          });
+        }
+      }
+    }
+
+    return { messages };
+  }
+};
+
+// Local format for development and testing, signed with a shared secret:
+// X-Webhook-Signature: sha256=<hex HMAC of the raw body>
+// { "messages": [{ "id": "...", "from": "+971500000000", "name": "...", "text": "...", "timestamp": 1700000000 }] }
+const mock = {
+  verify: async (req) => verifyHmac(req, 'X-Webhook-Signature', process.env.WHATSAPP_MOCK_SECRET),
+
+  parse: (req) => {
+    const messages = Array.isArray(req.body.messages) ? req.body.messages : [req.body];
+
+    return {
+      messages: messages.map((message) => ({
+        externalId: message.id,
+        from: message.from,
+        name: message.name || null,
+        text: message.text,
+        at: parseTimestamp(message.timestamp)
+      }))
+    };
+  }
+};
+
+const providers = { cloud, mock };
+
+const getWhatsAppProvider = (name) => providers[name] || null;
+
+export { getWhatsAppProvider };